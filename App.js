@@ -10,6 +10,10 @@ import { LogBox } from 'react-native';
 // Initialize Firebase (imported via the imported files)
 import './firebase/config';
 
+// Background location and geofence tasks must be defined before the app renders,
+// so they're there when the OS wakes the app for a location update
+import './utils/backgroundTracking';
+
 // Ignore specific warnings
 LogBox.ignoreLogs([
   'AsyncStorage has been extracted from react-native core', // Common AsyncStorage warning
@@ -1,5 +1,6 @@
 import { firestore } from '../config';
 import { Alert } from 'react-native';
+import { estimateServiceDuration, buildVisitHistory } from '../../utils/serviceDuration';
 
 const appointmentsCollection = firestore().collection('appointments');
 
@@ -27,7 +28,9 @@ class AppointmentModel {
       // Create appointment document
       const appointmentRef = await appointmentsCollection.add({
         date: appointmentData.date,
-        duration: appointmentData.duration || 60, // Default 60 minutes
+        duration: appointmentData.duration || null, // Booked length; without one the duration estimator decides
+        durationOverride: appointmentData.durationOverride || null, // User's own estimate, replaces the prediction
+        priority: appointmentData.priority || 'normal', // must-visit, normal or optional; decides what's dropped on busy days
         status: appointmentData.status || 'scheduled',
         petId: appointmentData.petId,
         clientId: appointmentData.clientId,
@@ -96,6 +99,51 @@ class AppointmentModel {
     }
   }
 
+  // Scheduled appointments for each of the next few days, with their clients attached
+  // Used to suggest a day and time for a new booking
+  async getUpcomingDays(userId, fromDate, dayCount) {
+    try {
+      const clients = new Map();
+      const days = [];
+      
+      for (let offset = 0; offset < dayCount; offset++) {
+        const date = new Date(fromDate);
+        date.setDate(date.getDate() + offset);
+        date.setHours(0, 0, 0, 0);
+        
+        const appointments = (await this.getAppointmentsByDate(userId, date))
+          .filter(appointment => appointment.status === 'scheduled');
+        
+        // Regular clients turn up on most days, so each is only fetched once
+        for (const appointment of appointments) {
+          if (!clients.has(appointment.clientId)) {
+            const clientDoc = await firestore()
+              .collection('clients')
+              .doc(appointment.clientId)
+              .get();
+            
+            clients.set(appointment.clientId, clientDoc.exists ? { id: clientDoc.id, ...clientDoc.data() } : null);
+          }
+          
+          appointment.client = clients.get(appointment.clientId);
+        }
+        
+        days.push({
+          date,
+          appointments: appointments.filter(appointment =>
+            appointment.client && appointment.client.address && appointment.client.address.coordinates
+          ),
+        });
+      }
+      
+      return days;
+    } catch (error) {
+      console.error('Error getting upcoming days:', error);
+      Alert.alert('Error', 'Failed to load upcoming appointments');
+      throw error;
+    }
+  }
+
   // Get a specific appointment by ID
   async getAppointment(appointmentId) {
     try {
@@ -141,6 +189,38 @@ class AppointmentModel {
     }
   }
 
+  // Record a visit's progress while its route is being driven (see utils/driverMode)
+  // progress: { status, actualStartTime, actualEndTime, actualDuration }, any of them optional
+  // actualDuration (minutes) is what getVisitHistory feeds the duration estimator
+  async updateVisitProgress(appointmentId, progress) {
+    try {
+      const dataToUpdate = {};
+      
+      ['status', 'actualDuration'].forEach(field => {
+        if (progress[field] !== undefined) {
+          dataToUpdate[field] = progress[field];
+        }
+      });
+      
+      ['actualStartTime', 'actualEndTime'].forEach(field => {
+        if (progress[field]) {
+          dataToUpdate[field] = firestore.Timestamp.fromDate(new Date(progress[field]));
+        }
+      });
+      
+      await appointmentsCollection.doc(appointmentId).update({
+        ...dataToUpdate,
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+      
+      return { id: appointmentId, ...dataToUpdate };
+    } catch (error) {
+      console.error('Error updating visit progress:', error);
+      Alert.alert('Error', 'Failed to update the visit');
+      throw error;
+    }
+  }
+
   // Delete an appointment
   async deleteAppointment(appointmentId) {
     try {
@@ -172,6 +252,40 @@ class AppointmentModel {
     }
   }
 
+  // Get recently completed visits with their actual lengths and pets, newest first
+  // Used as history by the service duration estimator
+  async getVisitHistory(userId, maxVisits = 200) {
+    try {
+      const snapshot = await appointmentsCollection
+        .where('userId', '==', userId)
+        .where('status', '==', 'completed')
+        .orderBy('date', 'desc')
+        .limit(maxVisits)
+        .get();
+
+      const visits = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        date: doc.data().date.toDate(),
+      }));
+
+      // Each pet once, however many visits it has had
+      const petIds = [...new Set(visits.map(visit => visit.petId).filter(Boolean))];
+      const petDocs = await Promise.all(
+        petIds.map(petId => firestore().collection('pets').doc(petId).get())
+      );
+      const pets = petDocs
+        .filter(petDoc => petDoc.exists)
+        .map(petDoc => ({ id: petDoc.id, ...petDoc.data() }));
+
+      return buildVisitHistory(visits, pets);
+    } catch (error) {
+      console.error('Error getting visit history:', error);
+      Alert.alert('Error', 'Failed to load visit history');
+      throw error;
+    }
+  }
+
   // Get appointments for route planning
   async getAppointmentsForRouting(userId, date) {
     try {
@@ -211,10 +325,29 @@ class AppointmentModel {
             ...clientDoc.data()
           };
           
+          // Get pet details (size matters for group walk capacity)
+          const petDoc = await firestore()
+            .collection('pets')
+            .doc(appointment.petId)
+            .get();
+          
+          if (petDoc.exists) {
+            appointment.pet = {
+              id: petDoc.id,
+              ...petDoc.data()
+            };
+          }
+          
           appointmentsWithDetails.push(appointment);
         }
       }
       
+      // Predict how long each visit really takes from the pet and past visits
+      const history = appointmentsWithDetails.length > 0 ? await this.getVisitHistory(userId) : [];
+      appointmentsWithDetails.forEach(appointment => {
+        appointment.durationEstimate = estimateServiceDuration(appointment, appointment.pet, history);
+      });
+      
       return appointmentsWithDetails;
     } catch (error) {
       console.error('Error getting appointments for routing:', error);
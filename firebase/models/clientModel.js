@@ -3,6 +3,9 @@ import { Alert } from 'react-native';
 
 const clientsCollection = firestore().collection('clients');
 
+// A Firestore batch holds at most 500 writes
+const MAX_BATCH_WRITES = 500;
+
 class ClientModel {
   // Create a new client
   async addClient(userId, clientData) {
@@ -23,6 +26,7 @@ class ClientModel {
         email: clientData.email || '',
         address: clientData.address,
         notes: clientData.notes || '',
+        notificationsOptOut: clientData.notificationsOptOut || false, // No "on my way" or visit complete messages
         userId: userId, // Associate with the service provider
         createdAt: firestore.FieldValue.serverTimestamp(),
       });
@@ -76,6 +80,19 @@ class ClientModel {
     }
   }
 
+  // Get a client to message about a visit, or null if it no longer exists
+  // No alert: this also runs from the background geofence task, so errors go to the caller
+  async getClientForNotifications(clientId) {
+    try {
+      const doc = await clientsCollection.doc(clientId).get();
+
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (error) {
+      console.error('Error getting client for notifications:', error);
+      throw error;
+    }
+  }
+
   // Update an existing client
   async updateClient(clientId, clientData) {
     try {
@@ -92,6 +109,95 @@ class ClientModel {
     }
   }
 
+  // Turn "on my way" and visit complete messages off (or back on) for a client
+  async setNotificationsOptOut(clientId, optOut) {
+    try {
+      await clientsCollection.doc(clientId).update({
+        notificationsOptOut: !!optOut,
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { id: clientId, notificationsOptOut: !!optOut };
+    } catch (error) {
+      console.error('Error updating client notifications:', error);
+      Alert.alert('Error', 'Failed to update client notifications');
+      throw error;
+    }
+  }
+
+  // Save each client's territory weekday (0 = Sunday ... 6 = Saturday) and move
+  // their appointments onto it
+  // assignments: { clientId: weekday }, moves: [{ appointmentId, clientId, to (Date) }]
+  // A client's new weekday is written in the same batch as its appointment moves, so
+  // no client is left half moved. Plans of up to 500 writes commit all or nothing;
+  // bigger ones take several batches, and if one fails the error's appliedClientIds
+  // lists the clients already saved. Applying the same plan again finishes the job.
+  // A client with more moves than fit in one batch is refused before anything is written.
+  async setServiceDays(assignments, moves = []) {
+    const appliedClientIds = [];
+
+    try {
+      // Whole clients are packed into each batch
+      const chunks = [];
+      Object.keys(assignments).forEach(clientId => {
+        const clientMoves = moves.filter(move => move.clientId === clientId);
+        const writes = 1 + clientMoves.length;
+        const chunk = chunks[chunks.length - 1];
+
+        if (writes > MAX_BATCH_WRITES) {
+          throw new Error(
+            `One client has ${clientMoves.length} appointments to move, more than can be saved at once ` +
+            `(${MAX_BATCH_WRITES - 1}). Plan fewer weeks at a time.`
+          );
+        }
+
+        if (chunk && chunk.writes + writes <= MAX_BATCH_WRITES) {
+          chunk.writes += writes;
+          chunk.clients.push({ clientId, moves: clientMoves });
+        } else {
+          chunks.push({ writes, clients: [{ clientId, moves: clientMoves }] });
+        }
+      });
+
+      for (const chunk of chunks) {
+        const batch = firestore().batch();
+
+        chunk.clients.forEach(({ clientId, moves: clientMoves }) => {
+          batch.update(clientsCollection.doc(clientId), {
+            serviceDay: assignments[clientId],
+            updatedAt: firestore.FieldValue.serverTimestamp(),
+          });
+
+          clientMoves.forEach(move => {
+            batch.update(firestore().collection('appointments').doc(move.appointmentId), {
+              date: firestore.Timestamp.fromDate(move.to),
+              updatedAt: firestore.FieldValue.serverTimestamp(),
+            });
+          });
+        });
+
+        await batch.commit();
+        appliedClientIds.push(...chunk.clients.map(({ clientId }) => clientId));
+      }
+
+      return assignments;
+    } catch (error) {
+      console.error('Error saving service days:', error);
+
+      if (appliedClientIds.length > 0) {
+        const total = Object.keys(assignments).length;
+        Alert.alert(
+          'Zones Partly Applied',
+          `${appliedClientIds.length} of ${total} clients were moved before an error. Apply again to finish; clients already moved stay as they are.`
+        );
+        error.appliedClientIds = appliedClientIds;
+      } else {
+        Alert.alert('Error', error.message || 'Failed to save client weekdays');
+      }
+      throw error;
+    }
+  }
+
   // Delete a client
   async deleteClient(clientId) {
     try {
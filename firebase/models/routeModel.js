@@ -3,6 +3,35 @@ import { Alert } from 'react-native';
 
 const routesCollection = firestore().collection('routes');
 
+// Waypoint fields that Firestore hands back as Timestamps
+const WAYPOINT_TIME_FIELDS = [
+  'time',
+  'arrivalTime',
+  'serviceStartTime',
+  'departureTime',
+  'timeWindowStart',
+  'timeWindowEnd',
+  'earliestStart',
+  'scheduledTime',
+  'actualArrivalTime',
+  'actualDepartureTime',
+];
+
+// Convert waypoint (and optimized path stop, unscheduled appointment) timestamps back to Date objects
+const formatWaypoints = (waypoints) => {
+  return (waypoints || []).map(waypoint => {
+    const formatted = { ...waypoint };
+    
+    WAYPOINT_TIME_FIELDS.forEach(field => {
+      if (formatted[field] && typeof formatted[field].toDate === 'function') {
+        formatted[field] = formatted[field].toDate();
+      }
+    });
+    
+    return formatted;
+  });
+};
+
 class RouteModel {
   // Create a new optimized route
   async createRoute(routeData) {
@@ -24,13 +53,32 @@ class RouteModel {
       const routeRef = await routesCollection.add({
         routeDate: routeData.routeDate,
         userId: routeData.userId,
+        staffId: routeData.staffId || null, // Set for routes planned for a team member
+        ownerId: routeData.ownerId || routeData.userId, // The business account that planned it
         appointmentIds: routeData.appointmentIds,
         waypoints: routeData.waypoints || [],
         optimizedPath: routeData.optimizedPath || null,
+        unscheduled: routeData.unscheduled || [], // Appointments that didn't fit in the day, with the reason
         startPoint: routeData.startPoint || null,
         endPoint: routeData.endPoint || null,
         totalDistance: routeData.totalDistance || 0,
+        initialDistance: routeData.initialDistance || 0,
         totalDuration: routeData.totalDuration || 0,
+        totalLateness: routeData.totalLateness || 0,
+        totalBreakTime: routeData.totalBreakTime || 0, // Minutes of breaks and lunch in the day
+        algorithm: routeData.algorithm || null, // Which solver produced the order
+        trafficProfile: routeData.trafficProfile || null, // Traffic profile the travel times were estimated with
+        objective: routeData.objective || 'distance', // What the order was optimized for: distance or cost
+        cost: routeData.cost || null, // { fuel, wear, labor, total, fuelUsed, workMinutes, distance } for the day
+        run: routeData.run || null, // Optimizer version, seed, parameters and input snapshot, for replaying the run
+        optimal: routeData.optimal || false, // True when the order is provably shortest
+        pinnedPositions: routeData.pinnedPositions || {}, // { [appointmentId]: position } fixed by the user
+        manualOrder: routeData.manualOrder || false, // True once the user has re-ordered stops by hand
+        version: 1, // Bumped each time the route is re-planned
+        status: 'planned', // 'planned' | 'in_progress' once the day is started | 'completed'
+        startedAt: null, // When driver mode was started
+        completedAt: null, // When the last stop was done
+        breadcrumbs: [], // { latitude, longitude, accuracy, speed, timestamp } recorded while the route is tracked
         createdAt: firestore.FieldValue.serverTimestamp(),
       });
 
@@ -54,6 +102,9 @@ class RouteModel {
         id: doc.id,
         ...doc.data(),
         routeDate: doc.data().routeDate.toDate(),
+        waypoints: formatWaypoints(doc.data().waypoints),
+        optimizedPath: formatWaypoints(doc.data().optimizedPath),
+        unscheduled: formatWaypoints(doc.data().unscheduled),
         createdAt: doc.data().createdAt ? doc.data().createdAt.toDate() : new Date(),
       }));
     } catch (error) {
@@ -90,6 +141,9 @@ class RouteModel {
         id: doc.id,
         ...doc.data(),
         routeDate: doc.data().routeDate.toDate(),
+        waypoints: formatWaypoints(doc.data().waypoints),
+        optimizedPath: formatWaypoints(doc.data().optimizedPath),
+        unscheduled: formatWaypoints(doc.data().unscheduled),
         createdAt: doc.data().createdAt ? doc.data().createdAt.toDate() : new Date(),
       };
     } catch (error) {
@@ -99,6 +153,37 @@ class RouteModel {
     }
   }
 
+  // Get every team member's route planned by a business for a specific date
+  async getTeamRoutesByDate(ownerId, date) {
+    try {
+      const startDate = new Date(date);
+      startDate.setHours(0, 0, 0, 0);
+      
+      const endDate = new Date(date);
+      endDate.setHours(23, 59, 59, 999);
+      
+      const snapshot = await routesCollection
+        .where('ownerId', '==', ownerId)
+        .where('routeDate', '>=', startDate)
+        .where('routeDate', '<=', endDate)
+        .get();
+
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        routeDate: doc.data().routeDate.toDate(),
+        waypoints: formatWaypoints(doc.data().waypoints),
+        optimizedPath: formatWaypoints(doc.data().optimizedPath),
+        unscheduled: formatWaypoints(doc.data().unscheduled),
+        createdAt: doc.data().createdAt ? doc.data().createdAt.toDate() : new Date(),
+      }));
+    } catch (error) {
+      console.error('Error getting team routes by date:', error);
+      Alert.alert('Error', 'Failed to load team routes for this date');
+      throw error;
+    }
+  }
+
   // Get a specific route by ID
   async getRoute(routeId) {
     try {
@@ -112,6 +197,9 @@ class RouteModel {
         id: doc.id,
         ...doc.data(),
         routeDate: doc.data().routeDate.toDate(),
+        waypoints: formatWaypoints(doc.data().waypoints),
+        optimizedPath: formatWaypoints(doc.data().optimizedPath),
+        unscheduled: formatWaypoints(doc.data().unscheduled),
         createdAt: doc.data().createdAt ? doc.data().createdAt.toDate() : new Date(),
       };
     } catch (error) {
@@ -122,7 +210,8 @@ class RouteModel {
   }
 
   // Update an existing route
-  async updateRoute(routeId, routeData) {
+  // Pass { keepHistory: true } to archive the current version in the route's history first
+  async updateRoute(routeId, routeData, options = {}) {
     try {
       // Format date as timestamp if it's a Date object
       const dataToUpdate = { ...routeData };
@@ -131,12 +220,43 @@ class RouteModel {
         dataToUpdate.routeDate = firestore.Timestamp.fromDate(dataToUpdate.routeDate);
       }
       
-      await routesCollection.doc(routeId).update({
-        ...dataToUpdate,
-        updatedAt: firestore.FieldValue.serverTimestamp(),
+      if (!options.keepHistory) {
+        await routesCollection.doc(routeId).update({
+          ...dataToUpdate,
+          updatedAt: firestore.FieldValue.serverTimestamp(),
+        });
+        
+        return { id: routeId, ...routeData };
+      }
+      
+      // Archive and update in one transaction so no version is lost
+      const routeRef = routesCollection.doc(routeId);
+      const version = await firestore().runTransaction(async (transaction) => {
+        const currentDoc = await transaction.get(routeRef);
+        
+        if (!currentDoc.exists) {
+          throw new Error('Route not found');
+        }
+        
+        const currentVersion = currentDoc.data().version || 1;
+        
+        transaction.set(routeRef.collection('history').doc(String(currentVersion)), {
+          ...currentDoc.data(),
+          version: currentVersion,
+          reason: options.reason || null,
+          archivedAt: firestore.FieldValue.serverTimestamp(),
+        });
+        
+        transaction.update(routeRef, {
+          ...dataToUpdate,
+          version: currentVersion + 1,
+          updatedAt: firestore.FieldValue.serverTimestamp(),
+        });
+        
+        return currentVersion + 1;
       });
 
-      return { id: routeId, ...routeData };
+      return { id: routeId, ...routeData, version };
     } catch (error) {
       console.error('Error updating route:', error);
       Alert.alert('Error', 'Failed to update route');
@@ -144,6 +264,48 @@ class RouteModel {
     }
   }
 
+  // Add location fixes to the route's breadcrumb trail
+  // Called from the background location task, so it doesn't alert
+  async addBreadcrumbs(routeId, points) {
+    try {
+      if (!points || points.length === 0) return routeId;
+
+      await routesCollection.doc(routeId).update({
+        breadcrumbs: firestore.FieldValue.arrayUnion(...points),
+      });
+
+      return routeId;
+    } catch (error) {
+      console.error('Error adding breadcrumbs:', error);
+      throw error;
+    }
+  }
+
+  // Get the previous versions of a route, newest first
+  async getRouteHistory(routeId) {
+    try {
+      const snapshot = await routesCollection
+        .doc(routeId)
+        .collection('history')
+        .orderBy('version', 'desc')
+        .get();
+
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        routeDate: doc.data().routeDate.toDate(),
+        waypoints: formatWaypoints(doc.data().waypoints),
+        optimizedPath: formatWaypoints(doc.data().optimizedPath),
+        unscheduled: formatWaypoints(doc.data().unscheduled),
+        archivedAt: doc.data().archivedAt ? doc.data().archivedAt.toDate() : new Date(),
+      }));
+    } catch (error) {
+      console.error('Error getting route history:', error);
+      Alert.alert('Error', 'Failed to load route history');
+      throw error;
+    }
+  }
+
   // Delete a route
   async deleteRoute(routeId) {
     try {
@@ -169,6 +331,11 @@ class RouteModel {
         id: routeDoc.id,
         ...routeDoc.data(),
         routeDate: routeDoc.data().routeDate.toDate(),
+        waypoints: formatWaypoints(routeDoc.data().waypoints),
+        optimizedPath: formatWaypoints(routeDoc.data().optimizedPath),
+        unscheduled: formatWaypoints(routeDoc.data().unscheduled),
+        startedAt: routeDoc.data().startedAt ? routeDoc.data().startedAt.toDate() : null,
+        completedAt: routeDoc.data().completedAt ? routeDoc.data().completedAt.toDate() : null,
       };
       
       // Get appointment details
@@ -0,0 +1,110 @@
+import { firestore } from '../config';
+import { Alert } from 'react-native';
+
+const staffCollection = firestore().collection('staff');
+
+// Make sure a walker's shift and daily limit are something team planning can use
+const validateShift = (staffData) => {
+  const isTime = (value) => /^([01]?\d|2[0-3]):[0-5]\d$/.test(value || '');
+  const shiftStart = staffData.shiftStart || '08:00';
+  const shiftEnd = staffData.shiftEnd || '17:00';
+
+  if (!isTime(shiftStart) || !isTime(shiftEnd)) {
+    throw new Error('Shift times must look like 08:00');
+  }
+
+  if (shiftStart.padStart(5, '0') >= shiftEnd.padStart(5, '0')) {
+    throw new Error('Shift must end after it starts');
+  }
+
+  if (staffData.capacity !== undefined && !(staffData.capacity > 0)) {
+    throw new Error('Daily visits must be a positive number');
+  }
+};
+
+class StaffModel {
+  // Add a staff member (walker) to the business
+  async addStaffMember(ownerId, staffData) {
+    try {
+      // Validate required fields
+      if (!staffData.name) {
+        throw new Error('Staff member name is required');
+      }
+
+      if (!staffData.startLocation || !staffData.startLocation.coordinates) {
+        throw new Error('Staff member start location is required');
+      }
+
+      validateShift(staffData);
+
+      // Create staff document
+      const staffRef = await staffCollection.add({
+        name: staffData.name,
+        userId: staffData.userId || null, // The walker's own account, if they have one
+        startLocation: staffData.startLocation,
+        shiftStart: staffData.shiftStart || '08:00',
+        shiftEnd: staffData.shiftEnd || '17:00',
+        capacity: staffData.capacity || 10, // Max appointments per day
+        active: staffData.active !== false,
+        ownerId: ownerId, // The business account that manages this walker
+        createdAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { id: staffRef.id, ...staffData };
+    } catch (error) {
+      console.error('Error adding staff member:', error);
+      Alert.alert('Error', error.message);
+      throw error;
+    }
+  }
+
+  // Get all active staff members for a business
+  async getStaff(ownerId) {
+    try {
+      const snapshot = await staffCollection
+        .where('ownerId', '==', ownerId)
+        .where('active', '==', true)
+        .get();
+
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        createdAt: doc.data().createdAt ? doc.data().createdAt.toDate() : new Date(),
+      }));
+    } catch (error) {
+      console.error('Error getting staff:', error);
+      Alert.alert('Error', 'Failed to load staff');
+      throw error;
+    }
+  }
+
+  // Update an existing staff member
+  async updateStaffMember(staffId, staffData) {
+    try {
+      await staffCollection.doc(staffId).update({
+        ...staffData,
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { id: staffId, ...staffData };
+    } catch (error) {
+      console.error('Error updating staff member:', error);
+      Alert.alert('Error', 'Failed to update staff member');
+      throw error;
+    }
+  }
+
+  // Delete a staff member
+  async deleteStaffMember(staffId) {
+    try {
+      await staffCollection.doc(staffId).delete();
+      return staffId;
+    } catch (error) {
+      console.error('Error deleting staff member:', error);
+      Alert.alert('Error', 'Failed to delete staff member');
+      throw error;
+    }
+  }
+}
+
+export default new StaffModel();
@@ -0,0 +1,247 @@
+import { firestore } from '../config';
+import { Alert } from 'react-native';
+import { DEFAULT_BREAK_RULES } from '../../utils/breakScheduling';
+import { DEFAULT_TRAFFIC_PROFILE, validateTrafficProfile } from '../../utils/trafficProfiles';
+import { DEFAULT_COST_MODEL, ROUTE_OBJECTIVES, validateCostModel } from '../../utils/routeCost';
+import { DEFAULT_TRACKING_SETTINGS, TRACKING_MODES } from '../../utils/backgroundTracking';
+
+const usersCollection = firestore().collection('users');
+
+// Make sure a location can be used as a route start or end point
+const validateLocation = (location) => {
+  if (!location || !location.coordinates) {
+    throw new Error('Location coordinates are required');
+  }
+
+  if (!location.label) {
+    throw new Error('Location name is required');
+  }
+};
+
+// Make sure a { start, end } pair of 'HH:MM' times is a real span of the day
+const validateTimeSpan = (span, name) => {
+  const isTime = (value) => /^([01]?\d|2[0-3]):[0-5]\d$/.test(value || '');
+
+  if (!isTime(span.start) || !isTime(span.end)) {
+    throw new Error(`${name} times must look like 12:00`);
+  }
+
+  if (span.start.padStart(5, '0') >= span.end.padStart(5, '0')) {
+    throw new Error(`${name} must end after it starts`);
+  }
+};
+
+// Make sure break rules are something the route optimizer can follow
+const validateBreakRules = (rules) => {
+  if (!(rules.workBeforeBreak > 0) || !(rules.breakDuration > 0)) {
+    throw new Error('Break rules need a positive number of minutes');
+  }
+
+  if (rules.lunchWindow) {
+    validateTimeSpan(rules.lunchWindow, 'Lunch window');
+  }
+};
+
+class UserModel {
+  // Get the user document (profile and settings)
+  async getUser(userId) {
+    try {
+      const doc = await usersCollection.doc(userId).get();
+
+      if (!doc.exists) {
+        throw new Error('User not found');
+      }
+
+      return {
+        id: doc.id,
+        ...doc.data(),
+        savedLocations: doc.data().savedLocations || [],
+        breakRules: { ...DEFAULT_BREAK_RULES, ...doc.data().breakRules },
+        trafficProfile: doc.data().trafficProfile || DEFAULT_TRAFFIC_PROFILE,
+        shift: doc.data().shift || null,
+        costModel: { ...DEFAULT_COST_MODEL, ...doc.data().costModel },
+        routeObjective: doc.data().routeObjective || ROUTE_OBJECTIVES.DISTANCE,
+        tracking: { ...DEFAULT_TRACKING_SETTINGS, ...doc.data().tracking },
+        createdAt: doc.data().createdAt ? doc.data().createdAt.toDate() : new Date(),
+      };
+    } catch (error) {
+      console.error('Error getting user:', error);
+      Alert.alert('Error', 'Failed to load user settings');
+      throw error;
+    }
+  }
+
+  // Set the home/office location routes start from by default
+  async updateHomeLocation(userId, location) {
+    try {
+      validateLocation(location);
+
+      await usersCollection.doc(userId).update({
+        homeLocation: location,
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return location;
+    } catch (error) {
+      console.error('Error updating home location:', error);
+      Alert.alert('Error', error.message);
+      throw error;
+    }
+  }
+
+  // Save another place routes can start or end at (e.g. the groomer's shop)
+  async addSavedLocation(userId, location) {
+    try {
+      validateLocation(location);
+
+      await usersCollection.doc(userId).update({
+        savedLocations: firestore.FieldValue.arrayUnion(location),
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return location;
+    } catch (error) {
+      console.error('Error adding saved location:', error);
+      Alert.alert('Error', error.message);
+      throw error;
+    }
+  }
+
+  // Set when breaks and lunch go into optimized routes
+  async updateBreakRules(userId, rules) {
+    try {
+      const breakRules = { ...DEFAULT_BREAK_RULES, ...rules };
+      validateBreakRules(breakRules);
+
+      await usersCollection.doc(userId).update({
+        breakRules,
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return breakRules;
+    } catch (error) {
+      console.error('Error updating break rules:', error);
+      Alert.alert('Error', error.message);
+      throw error;
+    }
+  }
+
+  // Set the working hours a day's route has to fit in ({ start, end } as 'HH:MM'), or null for no limit
+  async updateShift(userId, shift) {
+    try {
+      if (shift) {
+        validateTimeSpan(shift, 'Shift');
+      }
+
+      const value = shift ? { start: shift.start, end: shift.end } : null;
+      await usersCollection.doc(userId).update({
+        shift: value,
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return value;
+    } catch (error) {
+      console.error('Error updating shift:', error);
+      Alert.alert('Error', error.message);
+      throw error;
+    }
+  }
+
+  // Set the traffic speeds route travel times are estimated with
+  async updateTrafficProfile(userId, profile) {
+    try {
+      validateTrafficProfile(profile);
+
+      const trafficProfile = { name: profile.name, speeds: profile.speeds };
+      await usersCollection.doc(userId).update({
+        trafficProfile,
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return trafficProfile;
+    } catch (error) {
+      console.error('Error updating traffic profile:', error);
+      Alert.alert('Error', error.message);
+      throw error;
+    }
+  }
+
+  // Set the running costs (fuel economy and price, wear per km, hourly wage) routes are costed with
+  async updateCostModel(userId, rates) {
+    try {
+      const costModel = { ...DEFAULT_COST_MODEL, ...rates };
+      validateCostModel(costModel);
+
+      await usersCollection.doc(userId).update({
+        costModel,
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return costModel;
+    } catch (error) {
+      console.error('Error updating cost model:', error);
+      Alert.alert('Error', error.message);
+      throw error;
+    }
+  }
+
+  // Choose whether routes are optimized for distance or for cost
+  async updateRouteObjective(userId, objective) {
+    try {
+      if (!Object.values(ROUTE_OBJECTIVES).includes(objective)) {
+        throw new Error('Unknown route objective');
+      }
+
+      await usersCollection.doc(userId).update({
+        routeObjective: objective,
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return objective;
+    } catch (error) {
+      console.error('Error updating route objective:', error);
+      Alert.alert('Error', error.message);
+      throw error;
+    }
+  }
+
+  // Opt in or out of background tracking and automatic check-in, and pick its sampling mode
+  async updateTrackingSettings(userId, settings) {
+    try {
+      const tracking = { ...DEFAULT_TRACKING_SETTINGS, ...settings };
+
+      if (!Object.values(TRACKING_MODES).includes(tracking.mode)) {
+        throw new Error('Unknown tracking mode');
+      }
+
+      await usersCollection.doc(userId).update({
+        tracking: { enabled: !!tracking.enabled, mode: tracking.mode },
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return tracking;
+    } catch (error) {
+      console.error('Error updating tracking settings:', error);
+      Alert.alert('Error', error.message);
+      throw error;
+    }
+  }
+
+  // Remove a saved place
+  async removeSavedLocation(userId, location) {
+    try {
+      await usersCollection.doc(userId).update({
+        savedLocations: firestore.FieldValue.arrayRemove(location),
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+      });
+
+      return location;
+    } catch (error) {
+      console.error('Error removing saved location:', error);
+      Alert.alert('Error', 'Failed to remove location');
+      throw error;
+    }
+  }
+}
+
+export default new UserModel();
@@ -17,6 +17,7 @@ import ClientsScreen from '../screens/clients/ClientsScreen';
 import PetsScreen from '../screens/pets/PetsScreen';
 import AppointmentsScreen from '../screens/appointments/AppointmentsScreen';
 import RoutesScreen from '../screens/routes/RoutesScreen';
+import RouteMapScreen from '../screens/routes/RouteMapScreen';
 import ProfileScreen from '../screens/ProfileScreen';
 
 const Stack = createStackNavigator();
@@ -77,6 +78,20 @@ const MainTabNavigator = () => {
   );
 };
 
+// App Navigator: the tabs, plus screens opened on top of them
+const AppNavigator = () => {
+  return (
+    <Stack.Navigator>
+      <Stack.Screen name="Main" component={MainTabNavigator} options={{ headerShown: false }} />
+      <Stack.Screen
+        name="RouteMap"
+        component={RouteMapScreen}
+        options={{ title: 'Route Map', headerBackTitle: 'Route' }}
+      />
+    </Stack.Navigator>
+  );
+};
+
 // Root navigator to handle auth state
 const Navigator = () => {
   const { currentUser, loading } = useAuth();
@@ -91,7 +106,7 @@ const Navigator = () => {
 
   return (
     <NavigationContainer>
-      {currentUser ? <MainTabNavigator /> : <AuthNavigator />}
+      {currentUser ? <AppNavigator /> : <AuthNavigator />}
     </NavigationContainer>
   );
 };
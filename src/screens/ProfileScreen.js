@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   StyleSheet,
   View,
@@ -8,9 +8,18 @@ import {
   Alert,
   ScrollView,
   ActivityIndicator,
+  Switch,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
+import userModel from '../../firebase/models/userModel';
+import { geocodeAddress, getCurrentLocation } from '../../utils/location';
+import { TRAFFIC_PRESETS, getTrafficProfileLabel } from '../../utils/trafficProfiles';
+import TrafficProfileEditor from './TrafficProfileEditor';
+import TeamMembers from './TeamMembers';
+import { ROUTE_OBJECTIVES, ROUTE_OBJECTIVE_LABELS, getCostPerKm } from '../../utils/routeCost';
+import { TRACKING_MODES, TRACKING_MODE_LABELS, DEFAULT_TRACKING_SETTINGS } from '../../utils/backgroundTracking';
 
 const ProfileScreen = () => {
   const { currentUser, logout, updateProfile } = useAuth();
@@ -19,6 +28,223 @@ const ProfileScreen = () => {
   const [email, setEmail] = useState(currentUser?.email || '');
   const [loading, setLoading] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
+  const [userProfile, setUserProfile] = useState(null);
+  const [locationForm, setLocationForm] = useState(null); // 'home' | 'saved' | null
+  const [locationLabel, setLocationLabel] = useState('');
+  const [locationAddress, setLocationAddress] = useState('');
+  const [savingLocation, setSavingLocation] = useState(false);
+  const [editingBreaks, setEditingBreaks] = useState(false);
+  const [breakAfterHours, setBreakAfterHours] = useState('');
+  const [breakMinutes, setBreakMinutes] = useState('');
+  const [lunchStart, setLunchStart] = useState('');
+  const [lunchEnd, setLunchEnd] = useState('');
+  const [shiftStart, setShiftStart] = useState('');
+  const [shiftEnd, setShiftEnd] = useState('');
+  const [savingBreaks, setSavingBreaks] = useState(false);
+  const [draftTrafficProfile, setDraftTrafficProfile] = useState(null); // set while customizing
+  const [savingTraffic, setSavingTraffic] = useState(false);
+  const [costForm, setCostForm] = useState(null); // { fuelEconomy, fuelPrice, wearPerKm, hourlyWage } as text
+  const [savingCosts, setSavingCosts] = useState(false);
+
+  useEffect(() => {
+    loadUserProfile();
+  }, [currentUser]);
+
+  const loadUserProfile = async () => {
+    if (!currentUser) return;
+
+    try {
+      const profile = await userModel.getUser(currentUser.uid);
+      setUserProfile(profile);
+    } catch (error) {
+      console.error('Error loading user profile:', error);
+    }
+  };
+
+  const openLocationForm = (kind) => {
+    setLocationForm(kind);
+    setLocationLabel(kind === 'home' ? 'Home/Office' : '');
+    setLocationAddress('');
+  };
+
+  const saveLocation = async (location) => {
+    if (locationForm === 'home') {
+      await userModel.updateHomeLocation(currentUser.uid, location);
+    } else {
+      await userModel.addSavedLocation(currentUser.uid, location);
+    }
+
+    setLocationForm(null);
+    await loadUserProfile();
+  };
+
+  const handleSaveLocation = async () => {
+    if (!locationLabel.trim() || !locationAddress.trim()) {
+      Alert.alert('Error', 'Please enter a name and an address');
+      return;
+    }
+
+    setSavingLocation(true);
+    try {
+      const location = await geocodeAddress(locationLabel.trim(), locationAddress.trim());
+      await saveLocation(location);
+    } catch (error) {
+      console.error('Save location error:', error);
+      Alert.alert('Error', error.message || 'Failed to save location. Please try again.');
+    } finally {
+      setSavingLocation(false);
+    }
+  };
+
+  const handleUseCurrentLocation = async () => {
+    if (!locationLabel.trim()) {
+      Alert.alert('Error', 'Please enter a name for this location');
+      return;
+    }
+
+    setSavingLocation(true);
+    try {
+      const location = await getCurrentLocation(locationLabel.trim());
+      await saveLocation(location);
+    } catch (error) {
+      console.error('Current location error:', error);
+      Alert.alert('Error', error.message || 'Failed to get your location. Please try again.');
+    } finally {
+      setSavingLocation(false);
+    }
+  };
+
+  const handleRemoveLocation = async (location) => {
+    try {
+      await userModel.removeSavedLocation(currentUser.uid, location);
+      await loadUserProfile();
+    } catch (error) {
+      console.error('Remove location error:', error);
+    }
+  };
+
+  const openBreakForm = () => {
+    const rules = userProfile?.breakRules || {};
+    setBreakAfterHours(rules.workBeforeBreak ? String(rules.workBeforeBreak / 60) : '');
+    setBreakMinutes(rules.breakDuration ? String(rules.breakDuration) : '');
+    setLunchStart(rules.lunchWindow?.start || '');
+    setLunchEnd(rules.lunchWindow?.end || '');
+    setShiftStart(userProfile?.shift?.start || '');
+    setShiftEnd(userProfile?.shift?.end || '');
+    setEditingBreaks(true);
+  };
+
+  const handleSaveBreaks = async () => {
+    const hours = parseFloat(breakAfterHours);
+    const minutes = parseInt(breakMinutes, 10);
+
+    if (!(hours > 0) || !(minutes > 0)) {
+      Alert.alert('Error', 'Please enter the hours before a break and the break length');
+      return;
+    }
+
+    if (Boolean(lunchStart.trim()) !== Boolean(lunchEnd.trim())) {
+      Alert.alert('Error', 'Please enter both a start and an end for the lunch window, or neither');
+      return;
+    }
+
+    if (Boolean(shiftStart.trim()) !== Boolean(shiftEnd.trim())) {
+      Alert.alert('Error', 'Please enter both a start and an end for your shift, or neither');
+      return;
+    }
+
+    setSavingBreaks(true);
+    try {
+      await userModel.updateShift(
+        currentUser.uid,
+        shiftStart.trim() ? { start: shiftStart.trim(), end: shiftEnd.trim() } : null
+      );
+      await userModel.updateBreakRules(currentUser.uid, {
+        workBeforeBreak: Math.round(hours * 60),
+        breakDuration: minutes,
+        lunchWindow: lunchStart.trim() ? { start: lunchStart.trim(), end: lunchEnd.trim() } : null,
+      });
+      setEditingBreaks(false);
+      await loadUserProfile();
+    } catch (error) {
+      console.error('Save work day error:', error);
+    } finally {
+      setSavingBreaks(false);
+    }
+  };
+
+  const formatBreakRules = (rules) => {
+    if (!rules) return 'Not set';
+    return `${rules.breakDuration} min break after ${rules.workBeforeBreak / 60} hours of work`;
+  };
+
+  const saveTrafficProfile = async (profile) => {
+    setSavingTraffic(true);
+    try {
+      await userModel.updateTrafficProfile(currentUser.uid, profile);
+      setDraftTrafficProfile(null);
+      await loadUserProfile();
+    } catch (error) {
+      console.error('Save traffic profile error:', error);
+    } finally {
+      setSavingTraffic(false);
+    }
+  };
+
+  const openCostForm = () => {
+    const rates = userProfile?.costModel || {};
+    setCostForm({
+      fuelEconomy: rates.fuelEconomy !== undefined ? String(rates.fuelEconomy) : '',
+      fuelPrice: rates.fuelPrice !== undefined ? String(rates.fuelPrice) : '',
+      wearPerKm: rates.wearPerKm !== undefined ? String(rates.wearPerKm) : '',
+      hourlyWage: rates.hourlyWage !== undefined ? String(rates.hourlyWage) : '',
+    });
+  };
+
+  const handleSaveCosts = async () => {
+    const rates = Object.keys(costForm).reduce((values, field) => ({
+      ...values,
+      [field]: parseFloat(costForm[field]),
+    }), {});
+
+    if (Object.values(rates).some(value => Number.isNaN(value))) {
+      Alert.alert('Error', 'Please enter a number for every cost');
+      return;
+    }
+
+    setSavingCosts(true);
+    try {
+      await userModel.updateCostModel(currentUser.uid, rates);
+      setCostForm(null);
+      await loadUserProfile();
+    } catch (error) {
+      console.error('Save costs error:', error);
+    } finally {
+      setSavingCosts(false);
+    }
+  };
+
+  const handleChangeObjective = async (objective) => {
+    try {
+      await userModel.updateRouteObjective(currentUser.uid, objective);
+      await loadUserProfile();
+    } catch (error) {
+      console.error('Save route objective error:', error);
+    }
+  };
+
+  // changes: { enabled } or { mode }; takes effect the next time a day is started
+  const handleChangeTracking = async (changes) => {
+    try {
+      await userModel.updateTrackingSettings(currentUser.uid, {
+        ...(userProfile?.tracking || DEFAULT_TRACKING_SETTINGS),
+        ...changes,
+      });
+      await loadUserProfile();
+    } catch (error) {
+      console.error('Save tracking settings error:', error);
+    }
+  };
 
   const handleUpdateProfile = async () => {
     if (!displayName.trim()) {
@@ -132,6 +358,433 @@ const ProfileScreen = () => {
           </View>
         </View>
 
+        <View style={styles.card}>
+          <View style={styles.profileSection}>
+            <Text style={styles.sectionTitle}>Route Locations</Text>
+
+            <View style={styles.field}>
+              <Text style={styles.label}>Home/Office (default route start)</Text>
+              <Text style={styles.value}>
+                {userProfile?.homeLocation
+                  ? `${userProfile.homeLocation.label} · ${userProfile.homeLocation.address}`
+                  : 'Not set'}
+              </Text>
+            </View>
+
+            <View style={styles.field}>
+              <Text style={styles.label}>Other places routes can start or finish</Text>
+              {(userProfile?.savedLocations || []).length === 0 ? (
+                <Text style={styles.value}>None saved</Text>
+              ) : (
+                userProfile.savedLocations.map(location => (
+                  <View key={location.label} style={styles.locationRow}>
+                    <Text style={styles.locationText} numberOfLines={1}>
+                      {location.label} · {location.address}
+                    </Text>
+                    <TouchableOpacity onPress={() => handleRemoveLocation(location)}>
+                      <Ionicons name="trash-outline" size={20} color="#f44336" />
+                    </TouchableOpacity>
+                  </View>
+                ))
+              )}
+            </View>
+
+            {locationForm ? (
+              <View>
+                <TextInput
+                  style={[styles.input, styles.locationInput]}
+                  value={locationLabel}
+                  onChangeText={setLocationLabel}
+                  placeholder="Name (e.g. Groomer's Shop)"
+                />
+                <TextInput
+                  style={[styles.input, styles.locationInput]}
+                  value={locationAddress}
+                  onChangeText={setLocationAddress}
+                  placeholder="Street address"
+                />
+                <View style={styles.buttonRow}>
+                  <TouchableOpacity
+                    style={[styles.button, styles.cancelButton]}
+                    onPress={() => setLocationForm(null)}
+                    disabled={savingLocation}
+                  >
+                    <Text style={styles.cancelButtonText}>Cancel</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.button, styles.saveButton, savingLocation && styles.buttonDisabled]}
+                    onPress={handleSaveLocation}
+                    disabled={savingLocation}
+                  >
+                    {savingLocation ? (
+                      <ActivityIndicator size="small" color="#FFFFFF" />
+                    ) : (
+                      <Text style={styles.saveButtonText}>Save</Text>
+                    )}
+                  </TouchableOpacity>
+                </View>
+                <TouchableOpacity
+                  style={[styles.button, styles.editButton]}
+                  onPress={handleUseCurrentLocation}
+                  disabled={savingLocation}
+                >
+                  <Text style={styles.editButtonText}>Use Current Location</Text>
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <View style={styles.buttonRow}>
+                <TouchableOpacity
+                  style={[styles.button, styles.editButton, styles.halfButton]}
+                  onPress={() => openLocationForm('home')}
+                >
+                  <Text style={styles.editButtonText}>Set Home</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.button, styles.editButton, styles.halfButton]}
+                  onPress={() => openLocationForm('saved')}
+                >
+                  <Text style={styles.editButtonText}>Add Place</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <View style={styles.profileSection}>
+            <Text style={styles.sectionTitle}>Work Day</Text>
+
+            {editingBreaks ? (
+              <View>
+                <View style={styles.field}>
+                  <Text style={styles.label}>Shift hours (optional)</Text>
+                  <View style={styles.timeRow}>
+                    <TextInput
+                      style={[styles.input, styles.timeInput]}
+                      value={shiftStart}
+                      onChangeText={setShiftStart}
+                      placeholder="08:00"
+                    />
+                    <Text style={styles.timeSeparator}>to</Text>
+                    <TextInput
+                      style={[styles.input, styles.timeInput]}
+                      value={shiftEnd}
+                      onChangeText={setShiftEnd}
+                      placeholder="17:00"
+                    />
+                  </View>
+                </View>
+                <View style={styles.field}>
+                  <Text style={styles.label}>Hours of work before a break</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={breakAfterHours}
+                    onChangeText={setBreakAfterHours}
+                    placeholder="5"
+                    keyboardType="decimal-pad"
+                  />
+                </View>
+                <View style={styles.field}>
+                  <Text style={styles.label}>Break length (minutes)</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={breakMinutes}
+                    onChangeText={setBreakMinutes}
+                    placeholder="30"
+                    keyboardType="number-pad"
+                  />
+                </View>
+                <View style={styles.field}>
+                  <Text style={styles.label}>Lunch window (optional)</Text>
+                  <View style={styles.timeRow}>
+                    <TextInput
+                      style={[styles.input, styles.timeInput]}
+                      value={lunchStart}
+                      onChangeText={setLunchStart}
+                      placeholder="12:00"
+                    />
+                    <Text style={styles.timeSeparator}>to</Text>
+                    <TextInput
+                      style={[styles.input, styles.timeInput]}
+                      value={lunchEnd}
+                      onChangeText={setLunchEnd}
+                      placeholder="13:30"
+                    />
+                  </View>
+                </View>
+                <View style={styles.buttonRow}>
+                  <TouchableOpacity
+                    style={[styles.button, styles.cancelButton]}
+                    onPress={() => setEditingBreaks(false)}
+                    disabled={savingBreaks}
+                  >
+                    <Text style={styles.cancelButtonText}>Cancel</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.button, styles.saveButton, savingBreaks && styles.buttonDisabled]}
+                    onPress={handleSaveBreaks}
+                    disabled={savingBreaks}
+                  >
+                    {savingBreaks ? (
+                      <ActivityIndicator size="small" color="#FFFFFF" />
+                    ) : (
+                      <Text style={styles.saveButtonText}>Save</Text>
+                    )}
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ) : (
+              <View>
+                <View style={styles.field}>
+                  <Text style={styles.label}>Shift</Text>
+                  <Text style={styles.value}>
+                    {userProfile?.shift
+                      ? `${userProfile.shift.start} to ${userProfile.shift.end}`
+                      : 'No limit'}
+                  </Text>
+                </View>
+                <View style={styles.field}>
+                  <Text style={styles.label}>Breaks added to optimized routes</Text>
+                  <Text style={styles.value}>{formatBreakRules(userProfile?.breakRules)}</Text>
+                  {userProfile?.breakRules?.lunchWindow && (
+                    <Text style={styles.value}>
+                      Lunch between {userProfile.breakRules.lunchWindow.start} and {userProfile.breakRules.lunchWindow.end}
+                    </Text>
+                  )}
+                </View>
+                <TouchableOpacity
+                  style={[styles.button, styles.editButton]}
+                  onPress={openBreakForm}
+                >
+                  <Text style={styles.editButtonText}>Edit Work Day</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <View style={styles.profileSection}>
+            <Text style={styles.sectionTitle}>Traffic</Text>
+
+            <View style={styles.field}>
+              <Text style={styles.label}>Travel times are estimated with</Text>
+              <Text style={styles.value}>
+                {getTrafficProfileLabel(userProfile?.trafficProfile) || 'Urban'} traffic speeds
+              </Text>
+            </View>
+
+            <View style={styles.presetRow}>
+              {Object.values(TRAFFIC_PRESETS).map(preset => (
+                <TouchableOpacity
+                  key={preset.name}
+                  style={[
+                    styles.presetChip,
+                    userProfile?.trafficProfile?.name === preset.name && styles.presetChipActive,
+                  ]}
+                  onPress={() => saveTrafficProfile(preset)}
+                  disabled={savingTraffic}
+                >
+                  <Text
+                    style={[
+                      styles.presetText,
+                      userProfile?.trafficProfile?.name === preset.name && styles.presetTextActive,
+                    ]}
+                  >
+                    {preset.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {draftTrafficProfile ? (
+              <View>
+                <TrafficProfileEditor
+                  profile={draftTrafficProfile}
+                  onChange={setDraftTrafficProfile}
+                />
+                <View style={styles.buttonRow}>
+                  <TouchableOpacity
+                    style={[styles.button, styles.cancelButton]}
+                    onPress={() => setDraftTrafficProfile(null)}
+                    disabled={savingTraffic}
+                  >
+                    <Text style={styles.cancelButtonText}>Cancel</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.button, styles.saveButton, savingTraffic && styles.buttonDisabled]}
+                    onPress={() => saveTrafficProfile(draftTrafficProfile)}
+                    disabled={savingTraffic}
+                  >
+                    {savingTraffic ? (
+                      <ActivityIndicator size="small" color="#FFFFFF" />
+                    ) : (
+                      <Text style={styles.saveButtonText}>Save</Text>
+                    )}
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ) : (
+              <TouchableOpacity
+                style={[styles.button, styles.editButton]}
+                onPress={() => setDraftTrafficProfile(userProfile?.trafficProfile || TRAFFIC_PRESETS.urban)}
+              >
+                <Text style={styles.editButtonText}>Customize Speeds</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <View style={styles.profileSection}>
+            <Text style={styles.sectionTitle}>Running Costs</Text>
+
+            {costForm ? (
+              <View>
+                {[
+                  { field: 'fuelEconomy', label: 'Fuel economy (litres per 100 km)', placeholder: '8' },
+                  { field: 'fuelPrice', label: 'Fuel price (per litre)', placeholder: '1.80' },
+                  { field: 'wearPerKm', label: 'Vehicle wear (per km)', placeholder: '0.12' },
+                  { field: 'hourlyWage', label: 'Hourly wage', placeholder: '20' },
+                ].map(({ field, label, placeholder }) => (
+                  <View key={field} style={styles.field}>
+                    <Text style={styles.label}>{label}</Text>
+                    <TextInput
+                      style={styles.input}
+                      value={costForm[field]}
+                      onChangeText={text => setCostForm({ ...costForm, [field]: text })}
+                      placeholder={placeholder}
+                      keyboardType="decimal-pad"
+                    />
+                  </View>
+                ))}
+                <View style={styles.buttonRow}>
+                  <TouchableOpacity
+                    style={[styles.button, styles.cancelButton]}
+                    onPress={() => setCostForm(null)}
+                    disabled={savingCosts}
+                  >
+                    <Text style={styles.cancelButtonText}>Cancel</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.button, styles.saveButton, savingCosts && styles.buttonDisabled]}
+                    onPress={handleSaveCosts}
+                    disabled={savingCosts}
+                  >
+                    {savingCosts ? (
+                      <ActivityIndicator size="small" color="#FFFFFF" />
+                    ) : (
+                      <Text style={styles.saveButtonText}>Save</Text>
+                    )}
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ) : (
+              <View>
+                {userProfile?.costModel && (
+                  <View style={styles.field}>
+                    <Text style={styles.label}>Driving costs</Text>
+                    <Text style={styles.value}>
+                      {getCostPerKm(userProfile.costModel).toFixed(2)} per km · {userProfile.costModel.hourlyWage} per hour
+                    </Text>
+                  </View>
+                )}
+                <View style={styles.field}>
+                  <Text style={styles.label}>Optimize routes for</Text>
+                  <View style={[styles.presetRow, styles.objectiveRow]}>
+                    {Object.values(ROUTE_OBJECTIVES).map(objective => (
+                      <TouchableOpacity
+                        key={objective}
+                        style={[
+                          styles.presetChip,
+                          styles.objectiveChip,
+                          userProfile?.routeObjective === objective && styles.presetChipActive,
+                        ]}
+                        onPress={() => handleChangeObjective(objective)}
+                      >
+                        <Text
+                          style={[
+                            styles.presetText,
+                            userProfile?.routeObjective === objective && styles.presetTextActive,
+                          ]}
+                        >
+                          {ROUTE_OBJECTIVE_LABELS[objective]}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </View>
+                <TouchableOpacity
+                  style={[styles.button, styles.editButton]}
+                  onPress={openCostForm}
+                >
+                  <Text style={styles.editButtonText}>Edit Costs</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <View style={styles.profileSection}>
+            <Text style={styles.sectionTitle}>Team</Text>
+            <TeamMembers ownerId={currentUser?.uid} />
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <View style={styles.profileSection}>
+            <Text style={styles.sectionTitle}>Automatic Check-In</Text>
+
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>Track my location while driving a route</Text>
+              <Switch
+                value={!!userProfile?.tracking?.enabled}
+                onValueChange={(enabled) => handleChangeTracking({ enabled })}
+                trackColor={{ true: '#1e88e5' }}
+              />
+            </View>
+
+            <Text style={styles.helpText}>
+              Only between Start Day and your last stop. Stops are checked in when you arrive at
+              a client's address and out when you leave, and your trail is saved with the route.
+              Your phone will ask to allow location access all the time.
+            </Text>
+
+            {userProfile?.tracking?.enabled && (
+              <View style={styles.field}>
+                <Text style={styles.label}>Location updates</Text>
+                <View style={styles.presetRow}>
+                  {Object.values(TRACKING_MODES).map(mode => (
+                    <TouchableOpacity
+                      key={mode}
+                      style={[
+                        styles.presetChip,
+                        userProfile.tracking.mode === mode && styles.presetChipActive,
+                      ]}
+                      onPress={() => handleChangeTracking({ mode })}
+                    >
+                      <Text
+                        style={[
+                          styles.presetText,
+                          userProfile.tracking.mode === mode && styles.presetTextActive,
+                        ]}
+                      >
+                        {TRACKING_MODE_LABELS[mode]}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <Text style={styles.helpText}>
+                  {userProfile.tracking.mode === TRACKING_MODES.PRECISE
+                    ? 'A detailed trail, at the cost of more battery.'
+                    : 'A rougher trail that saves battery. Check-ins work the same.'}
+                </Text>
+              </View>
+            )}
+          </View>
+        </View>
+
         <TouchableOpacity
           style={[styles.button, styles.logoutButton, loading && styles.buttonDisabled]}
           onPress={handleLogout}
@@ -248,6 +901,86 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     fontSize: 16,
   },
+  halfButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  locationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  locationText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginRight: 8,
+  },
+  locationInput: {
+    marginBottom: 8,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  timeInput: {
+    flex: 1,
+  },
+  presetRow: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  objectiveRow: {
+    flexWrap: 'wrap',
+  },
+  objectiveChip: {
+    flexBasis: '45%',
+    marginBottom: 8,
+  },
+  presetChip: {
+    flex: 1,
+    paddingVertical: 8,
+    marginHorizontal: 4,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    alignItems: 'center',
+  },
+  presetChipActive: {
+    backgroundColor: '#1e88e5',
+    borderColor: '#1e88e5',
+  },
+  presetText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  presetTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginRight: 12,
+  },
+  helpText: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  timeSeparator: {
+    marginHorizontal: 8,
+    fontSize: 14,
+    color: '#666',
+  },
   logoutButton: {
     backgroundColor: '#f44336',
   },
@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import staffModel from '../../firebase/models/staffModel';
+import { geocodeAddress } from '../../utils/location';
+
+const EMPTY_FORM = { name: '', address: '', shiftStart: '08:00', shiftEnd: '17:00', capacity: '10' };
+
+// The walkers a business plans team routes for (see vehicleRouting)
+// Each needs a start location; shift hours and a daily appointment limit are optional
+const TeamMembers = ({ ownerId }) => {
+  const [staff, setStaff] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null); // EMPTY_FORM-shaped text fields while adding
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadStaff();
+  }, [ownerId]);
+
+  const loadStaff = async () => {
+    if (!ownerId) return;
+
+    try {
+      setLoading(true);
+      setStaff(await staffModel.getStaff(ownerId));
+    } catch (error) {
+      console.error('Load staff error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateForm = (field, value) => setForm({ ...form, [field]: value });
+
+  const handleAdd = async () => {
+    if (!form.name.trim() || !form.address.trim()) {
+      Alert.alert('Error', 'Please enter a name and a start address');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const startLocation = await geocodeAddress('Start', form.address.trim());
+      await staffModel.addStaffMember(ownerId, {
+        name: form.name.trim(),
+        startLocation,
+        shiftStart: form.shiftStart.trim(),
+        shiftEnd: form.shiftEnd.trim(),
+        capacity: parseInt(form.capacity, 10),
+      });
+
+      setForm(null);
+      await loadStaff();
+    } catch (error) {
+      console.error('Add staff error:', error);
+      Alert.alert('Error', error.message || 'Failed to add walker. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Walkers are deactivated rather than deleted so their past routes keep their owner
+  const handleRemove = (staffMember) => {
+    Alert.alert(
+      'Remove Walker',
+      `${staffMember.name} won't be given routes any more. Routes already planned stay as they are.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await staffModel.updateStaffMember(staffMember.id, { active: false });
+              await loadStaff();
+            } catch (error) {
+              console.error('Remove staff error:', error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (loading) {
+    return <ActivityIndicator size="small" color="#1e88e5" />;
+  }
+
+  return (
+    <View>
+      {staff.length === 0 ? (
+        <Text style={styles.emptyText}>
+          No walkers yet. Add the people who drive routes for you to plan the day for the whole team.
+        </Text>
+      ) : (
+        staff.map(staffMember => (
+          <View key={staffMember.id} style={styles.staffRow}>
+            <View style={styles.staffInfo}>
+              <Text style={styles.staffName}>{staffMember.name}</Text>
+              <Text style={styles.staffDetails} numberOfLines={1}>
+                {staffMember.startLocation?.address || 'No start location'}
+              </Text>
+              <Text style={styles.staffDetails}>
+                {staffMember.shiftStart}–{staffMember.shiftEnd} · up to {staffMember.capacity} visits
+              </Text>
+            </View>
+            <TouchableOpacity onPress={() => handleRemove(staffMember)}>
+              <Ionicons name="trash-outline" size={20} color="#f44336" />
+            </TouchableOpacity>
+          </View>
+        ))
+      )}
+
+      {form ? (
+        <View>
+          <TextInput
+            style={styles.input}
+            value={form.name}
+            onChangeText={value => updateForm('name', value)}
+            placeholder="Name"
+          />
+          <TextInput
+            style={styles.input}
+            value={form.address}
+            onChangeText={value => updateForm('address', value)}
+            placeholder="Start address (where their day begins)"
+          />
+          <View style={styles.inputRow}>
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              value={form.shiftStart}
+              onChangeText={value => updateForm('shiftStart', value)}
+              placeholder="08:00"
+            />
+            <Text style={styles.separator}>to</Text>
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              value={form.shiftEnd}
+              onChangeText={value => updateForm('shiftEnd', value)}
+              placeholder="17:00"
+            />
+            <TextInput
+              style={[styles.input, styles.rowInput, styles.capacityInput]}
+              value={form.capacity}
+              onChangeText={value => updateForm('capacity', value)}
+              placeholder="Visits"
+              keyboardType="number-pad"
+            />
+          </View>
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.button, styles.cancelButton]}
+              onPress={() => setForm(null)}
+              disabled={saving}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.saveButton, saving && styles.buttonDisabled]}
+              onPress={handleAdd}
+              disabled={saving}
+            >
+              {saving ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.saveButtonText}>Add</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <TouchableOpacity style={[styles.button, styles.editButton]} onPress={() => setForm(EMPTY_FORM)}>
+          <Text style={styles.editButtonText}>Add Walker</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  staffRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  staffInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  staffName: {
+    fontSize: 16,
+    color: '#333',
+  },
+  staffDetails: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  input: {
+    height: 40,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    marginTop: 8,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rowInput: {
+    flex: 1,
+  },
+  capacityInput: {
+    marginLeft: 8,
+  },
+  separator: {
+    marginHorizontal: 8,
+    marginTop: 8,
+    fontSize: 14,
+    color: '#666',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  button: {
+    borderRadius: 8,
+    height: 50,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  editButton: {
+    backgroundColor: '#1e88e5',
+  },
+  editButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  saveButton: {
+    backgroundColor: '#4caf50',
+    flex: 1,
+    marginLeft: 8,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  cancelButton: {
+    backgroundColor: '#f5f5f5',
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  cancelButtonText: {
+    color: '#666',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+});
+
+export default TeamMembers;
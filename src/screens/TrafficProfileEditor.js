@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import {
+  TRAFFIC_DAYS,
+  TRAFFIC_DAY_LABELS,
+  setProfileSpeed,
+  copyDayToWeekdays,
+} from '../../utils/trafficProfiles';
+
+const formatHour = (hour) => {
+  if (hour === 0) return '12a';
+  if (hour === 12) return '12p';
+  return hour < 12 ? `${hour}a` : `${hour - 12}p`;
+};
+
+// Hour-by-hour speeds for one day of a traffic profile at a time
+// Every edit turns the profile into a custom one; onChange receives the new profile
+const TrafficProfileEditor = ({ profile, onChange }) => {
+  const [day, setDay] = useState(TRAFFIC_DAYS[1]);
+
+  const handleChangeSpeed = (hour, text) => {
+    const speed = parseInt(text, 10);
+    onChange(setProfileSpeed(profile, day, hour, Number.isNaN(speed) ? 0 : speed));
+  };
+
+  return (
+    <View>
+      <View style={styles.dayRow}>
+        {TRAFFIC_DAYS.map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.dayChip, day === option && styles.dayChipActive]}
+            onPress={() => setDay(option)}
+          >
+            <Text style={[styles.dayText, day === option && styles.dayTextActive]}>
+              {TRAFFIC_DAY_LABELS[option]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={styles.hint}>Average speed in km/h for each hour</Text>
+      <View style={styles.grid}>
+        {profile.speeds[day].map((speed, hour) => (
+          <View key={hour} style={styles.cell}>
+            <Text style={styles.hourText}>{formatHour(hour)}</Text>
+            <TextInput
+              style={styles.speedInput}
+              value={speed > 0 ? String(speed) : ''}
+              onChangeText={text => handleChangeSpeed(hour, text)}
+              keyboardType="number-pad"
+              maxLength={3}
+            />
+          </View>
+        ))}
+      </View>
+
+      <TouchableOpacity onPress={() => onChange(copyDayToWeekdays(profile, day))}>
+        <Text style={styles.copyText}>Use {TRAFFIC_DAY_LABELS[day]} for every weekday</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  dayRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  dayChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  dayChipActive: {
+    backgroundColor: '#1e88e5',
+    borderColor: '#1e88e5',
+  },
+  dayText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  dayTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 8,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  cell: {
+    width: '25%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  hourText: {
+    width: 28,
+    fontSize: 12,
+    color: '#666',
+  },
+  speedInput: {
+    width: 44,
+    height: 32,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    paddingHorizontal: 6,
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  copyText: {
+    color: '#1e88e5',
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+});
+
+export default TrafficProfileEditor;
@@ -1,23 +1,44 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   StyleSheet,
   View,
   Text,
+  TextInput,
   FlatList,
   TouchableOpacity,
   ActivityIndicator,
   Alert,
+  Modal,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../contexts/AuthContext';
 import appointmentModel from '../../../firebase/models/appointmentModel';
+import petModel from '../../../firebase/models/petModel';
+import {
+  estimateServiceDuration,
+  buildVisitHistory,
+  describeDurationEstimate,
+  DURATION_SOURCES,
+} from '../../../utils/serviceDuration';
+import {
+  PRIORITIES,
+  PRIORITY_LABELS,
+  getPriority,
+  nextPriority,
+} from '../../../utils/appointmentPriority';
+import NewAppointmentModal from './NewAppointmentModal';
 
 const AppointmentsScreen = ({ navigation }) => {
   const { currentUser } = useAuth();
   const [appointments, setAppointments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [pets, setPets] = useState([]);
+  const [durationEditor, setDurationEditor] = useState(null); // { appointment, estimate }
+  const [durationInput, setDurationInput] = useState('');
+  const [savingDuration, setSavingDuration] = useState(false);
+  const [addingAppointment, setAddingAppointment] = useState(false);
 
   useEffect(() => {
     loadAppointments();
@@ -28,7 +49,11 @@ const AppointmentsScreen = ({ navigation }) => {
     
     try {
       setLoading(true);
-      const fetchedAppointments = await appointmentModel.getAppointments(currentUser.uid);
+      const [fetchedAppointments, fetchedPets] = await Promise.all([
+        appointmentModel.getAppointments(currentUser.uid),
+        petModel.getAllPets(currentUser.uid),
+      ]);
+      setPets(fetchedPets);
       
       // Sort appointments by date (upcoming first)
       const sortedAppointments = fetchedAppointments.sort((a, b) => a.date - b.date);
@@ -43,14 +68,78 @@ const AppointmentsScreen = ({ navigation }) => {
     }
   };
 
+  // Predicted visit length for every appointment, using completed visits as history
+  const durationEstimates = useMemo(() => {
+    const petsById = new Map(pets.map(pet => [pet.id, pet]));
+    const history = buildVisitHistory(appointments, pets);
+    
+    return appointments.reduce((estimates, appointment) => {
+      estimates[appointment.id] = estimateServiceDuration(appointment, petsById.get(appointment.petId), history);
+      return estimates;
+    }, {});
+  }, [appointments, pets]);
+
+  const handleOpenDurationEditor = (appointment) => {
+    setDurationEditor({ appointment, estimate: durationEstimates[appointment.id] });
+    setDurationInput(appointment.durationOverride ? String(appointment.durationOverride) : '');
+  };
+
+  // Save the user's own visit length, or null to go back to the prediction
+  const saveDurationOverride = async (durationOverride) => {
+    try {
+      setSavingDuration(true);
+      
+      await appointmentModel.updateAppointment(durationEditor.appointment.id, { durationOverride });
+      setAppointments(appointments.map(appointment =>
+        appointment.id === durationEditor.appointment.id
+          ? { ...appointment, durationOverride }
+          : appointment
+      ));
+      setDurationEditor(null);
+    } catch (error) {
+      console.error('Error saving visit length:', error);
+    } finally {
+      setSavingDuration(false);
+    }
+  };
+
+  const handleSaveDuration = () => {
+    const minutes = parseInt(durationInput, 10);
+    
+    if (!minutes || minutes <= 0) {
+      Alert.alert('Invalid Length', 'Please enter the visit length in minutes.');
+      return;
+    }
+    
+    saveDurationOverride(minutes);
+  };
+
+  // Tap through normal -> must visit -> optional; decides what's dropped on busy days
+  const handleCyclePriority = async (appointment) => {
+    const priority = nextPriority(getPriority(appointment));
+    
+    try {
+      await appointmentModel.updateAppointment(appointment.id, { priority });
+      setAppointments(appointments.map(item =>
+        item.id === appointment.id ? { ...item, priority } : item
+      ));
+    } catch (error) {
+      console.error('Error saving priority:', error);
+    }
+  };
+
   const handleRefresh = () => {
     setRefreshing(true);
     loadAppointments();
   };
 
   const handleAddAppointment = () => {
-    // Navigate to add appointment screen - to be implemented
-    navigation.navigate('AddAppointment');
+    setAddingAppointment(true);
+  };
+
+  const handleAppointmentCreated = () => {
+    setAddingAppointment(false);
+    loadAppointments();
   };
 
   const handleAppointmentPress = (appointment) => {
@@ -83,17 +172,47 @@ const AppointmentsScreen = ({ navigation }) => {
           {/* In a real app, we would fetch and display the pet and client names */}
           Pet ID: {item.petId?.substring(0, 8)}...
         </Text>
+        <View style={styles.chipRow}>
+          {durationEstimates[item.id] && (
+            <TouchableOpacity style={styles.durationChip} onPress={() => handleOpenDurationEditor(item)}>
+              <Ionicons name="time-outline" size={14} color="#1e88e5" />
+              <Text style={styles.durationText}>
+                {durationEstimates[item.id].minutes} min
+                {durationEstimates[item.id].source === DURATION_SOURCES.OVERRIDE ? '' : ' (predicted)'}
+              </Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={[styles.priorityChip, getPriorityStyle(getPriority(item))]}
+            onPress={() => handleCyclePriority(item)}
+          >
+            <Text style={styles.priorityText}>{PRIORITY_LABELS[getPriority(item)]}</Text>
+          </TouchableOpacity>
+        </View>
       </View>
       <View style={[styles.statusBadge, getStatusStyle(item.status)]}>
-        <Text style={styles.statusText}>{item.status}</Text>
+        <Text style={styles.statusText}>{item.status.replace('_', ' ')}</Text>
       </View>
     </TouchableOpacity>
   );
 
+  const getPriorityStyle = (priority) => {
+    switch (priority) {
+      case PRIORITIES.MUST_VISIT:
+        return styles.mustVisitPriority;
+      case PRIORITIES.OPTIONAL:
+        return styles.optionalPriority;
+      default:
+        return styles.normalPriority;
+    }
+  };
+
   const getStatusStyle = (status) => {
     switch (status) {
       case 'scheduled':
         return styles.scheduledStatus;
+      case 'in_progress':
+        return styles.inProgressStatus;
       case 'completed':
         return styles.completedStatus;
       case 'cancelled':
@@ -138,6 +257,65 @@ const AppointmentsScreen = ({ navigation }) => {
           showsVerticalScrollIndicator={false}
         />
       )}
+
+      <Modal
+        visible={!!durationEditor}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setDurationEditor(null)}
+      >
+        <View style={styles.modalBackdrop}>
+          {durationEditor && (
+            <View style={styles.modalCard}>
+              <Text style={styles.modalTitle}>Visit Length</Text>
+              <Text style={styles.modalText}>
+                Predicted: {durationEditor.estimate.predicted} min
+              </Text>
+              <Text style={styles.modalSubText}>
+                {describeDurationEstimate(durationEditor.estimate)}
+              </Text>
+              <TextInput
+                style={styles.input}
+                placeholder={`Your estimate in minutes (e.g. ${durationEditor.estimate.predicted})`}
+                value={durationInput}
+                onChangeText={setDurationInput}
+                keyboardType="number-pad"
+              />
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={styles.modalButton}
+                  onPress={() => saveDurationOverride(null)}
+                  disabled={savingDuration}
+                >
+                  <Text style={styles.modalButtonText}>Use Prediction</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.modalPrimaryButton]}
+                  onPress={handleSaveDuration}
+                  disabled={savingDuration}
+                >
+                  {savingDuration ? (
+                    <ActivityIndicator size="small" color="#FFFFFF" />
+                  ) : (
+                    <Text style={styles.modalPrimaryButtonText}>Save</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+              <TouchableOpacity onPress={() => setDurationEditor(null)} disabled={savingDuration}>
+                <Text style={styles.modalCancelText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      </Modal>
+
+      <NewAppointmentModal
+        visible={addingAppointment}
+        userId={currentUser && currentUser.uid}
+        pets={pets}
+        onClose={() => setAddingAppointment(false)}
+        onCreated={handleAppointmentCreated}
+      />
     </SafeAreaView>
   );
 };
@@ -216,6 +394,43 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#666',
   },
+  chipRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  durationChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: '#e3f2fd',
+  },
+  durationText: {
+    fontSize: 12,
+    color: '#1e88e5',
+    marginLeft: 4,
+  },
+  priorityChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  priorityText: {
+    fontSize: 12,
+    color: 'white',
+  },
+  mustVisitPriority: {
+    backgroundColor: '#e53935',
+  },
+  normalPriority: {
+    backgroundColor: '#90a4ae',
+  },
+  optionalPriority: {
+    backgroundColor: '#bdbdbd',
+  },
   statusBadge: {
     paddingHorizontal: 8,
     paddingVertical: 4,
@@ -226,6 +441,9 @@ const styles = StyleSheet.create({
   scheduledStatus: {
     backgroundColor: '#e3f2fd',
   },
+  inProgressStatus: {
+    backgroundColor: '#fff3e0',
+  },
   completedStatus: {
     backgroundColor: '#e8f5e9',
   },
@@ -237,6 +455,70 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     textTransform: 'capitalize',
   },
+  modalBackdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 24,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  modalCard: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  modalText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  modalSubText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+    marginBottom: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  modalButton: {
+    flex: 1,
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#1e88e5',
+    marginHorizontal: 4,
+  },
+  modalButtonText: {
+    color: '#1e88e5',
+    fontWeight: 'bold',
+  },
+  modalPrimaryButton: {
+    backgroundColor: '#1e88e5',
+  },
+  modalPrimaryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  modalCancelText: {
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 12,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
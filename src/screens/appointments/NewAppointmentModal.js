@@ -0,0 +1,450 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import appointmentModel from '../../../firebase/models/appointmentModel';
+import clientModel from '../../../firebase/models/clientModel';
+import userModel from '../../../firebase/models/userModel';
+import { SERVICE_BASE_DURATIONS } from '../../../utils/serviceDuration';
+import { suggestSlotsAsync } from '../../../utils/slotSuggestions';
+import { getDefaultMatrixProvider, withTrafficProfile } from '../../../utils/distanceMatrix';
+import { isCancellationError } from '../../../utils/optimizationRunner';
+import { toRoutePoint } from '../../../utils/location';
+
+// How far ahead to look for a good day
+const SUGGESTION_DAYS = 7;
+
+const formatSlot = (date) => {
+  const day = date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  const time = date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  return `${day} · ${time}`;
+};
+
+// One line on what booking a slot would do to that day
+const describeSuggestion = (suggestion) => {
+  const parts = [
+    suggestion.addedDistance < 0.05
+      ? 'No extra driving'
+      : `+${suggestion.addedDistance.toFixed(1)} km driving`,
+    suggestion.stopCount === 0 ? 'free day' : `${suggestion.stopCount} other visits`,
+  ];
+
+  if (suggestion.lateness > 0) parts.push(`${Math.round(suggestion.lateness)} min late overall`);
+  if (suggestion.displaced.length > 0) parts.push(`bumps ${suggestion.displaced.length} visit`);
+
+  return parts.join(' · ');
+};
+
+// Book a new appointment, with days and times ranked by how well they fit the route
+const NewAppointmentModal = ({ visible, userId, pets, onClose, onCreated }) => {
+  const [clients, setClients] = useState([]);
+  const [clientId, setClientId] = useState(null);
+  const [petId, setPetId] = useState(null);
+  const [serviceType, setServiceType] = useState(null);
+  const [durationInput, setDurationInput] = useState('');
+  const [suggestions, setSuggestions] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    setClientId(null);
+    setPetId(null);
+    setServiceType(null);
+    setDurationInput('');
+    setSuggestions(null);
+    loadClients();
+  }, [visible]);
+
+  // Stop looking for slots if the modal goes away
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const loadClients = async () => {
+    try {
+      setClients(await clientModel.getClientsWithAddresses(userId));
+    } catch (error) {
+      console.error('Error loading clients:', error);
+    }
+  };
+
+  const clientPets = pets.filter(pet => pet.clientId === clientId);
+
+  const handleSelectService = (service) => {
+    setServiceType(service);
+    setDurationInput(String(SERVICE_BASE_DURATIONS[service]));
+    setSuggestions(null);
+  };
+
+  const handleClose = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    onClose();
+  };
+
+  const handleSuggest = async () => {
+    const duration = parseInt(durationInput, 10);
+    const client = clients.find(item => item.id === clientId);
+
+    if (!client || !petId || !serviceType || !(duration > 0)) {
+      Alert.alert('Missing Details', 'Please choose a client, pet and service, and enter the visit length.');
+      return;
+    }
+
+    try {
+      setSuggestions(null);
+      setProgress({ progress: 0 });
+      abortControllerRef.current = new AbortController();
+
+      const profile = await userModel.getUser(userId);
+      if (!profile.homeLocation) {
+        Alert.alert('No Home Location', 'Set your home/office location in Profile so we can work out drive times.');
+        return;
+      }
+
+      const startPoint = toRoutePoint(profile.homeLocation, 'start');
+      const days = await appointmentModel.getUpcomingDays(userId, new Date(), SUGGESTION_DAYS);
+
+      const matrixProvider = withTrafficProfile(getDefaultMatrixProvider(), profile.trafficProfile);
+      await matrixProvider.prefetch([
+        startPoint,
+        client.address,
+        ...days.flatMap(day => day.appointments.map(appointment => appointment.client.address)),
+      ]);
+
+      const { suggestions: ranked } = await suggestSlotsAsync(
+        {
+          clientId: client.id,
+          client,
+          petId,
+          pet: pets.find(pet => pet.id === petId),
+          serviceType,
+          duration,
+        },
+        days,
+        startPoint,
+        {
+          matrixProvider,
+          breaks: profile.breakRules,
+          ...(profile.shift ? { workingHours: profile.shift } : {}),
+          signal: abortControllerRef.current.signal,
+          onProgress: setProgress,
+        }
+      );
+
+      setSuggestions(ranked);
+    } catch (error) {
+      // Closing the modal cancels the search; that's not an error
+      if (isCancellationError(error)) return;
+
+      console.error('Error suggesting slots:', error);
+      Alert.alert('Error', error.message || 'Failed to suggest times. Please try again.');
+    } finally {
+      abortControllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleBook = (suggestion) => {
+    Alert.alert(
+      'Book Appointment',
+      `Book ${serviceType} for ${formatSlot(suggestion.date)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Book',
+          onPress: async () => {
+            try {
+              setSaving(true);
+              const appointment = await appointmentModel.addAppointment({
+                date: suggestion.date,
+                clientId,
+                petId,
+                serviceType,
+                duration: parseInt(durationInput, 10),
+                userId,
+              });
+              onCreated(appointment);
+            } catch (error) {
+              console.error('Error booking appointment:', error);
+            } finally {
+              setSaving(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderChips = (options, selected, onSelect) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.key}
+          style={[styles.chip, selected === option.key && styles.chipActive]}
+          onPress={() => onSelect(option.key)}
+        >
+          <Text style={[styles.chipText, selected === option.key && styles.chipTextActive]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={handleClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>New Appointment</Text>
+          <TouchableOpacity onPress={handleClose}>
+            <Text style={styles.closeText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.label}>Client</Text>
+          {clients.length === 0 ? (
+            <Text style={styles.emptyText}>No clients with an address yet</Text>
+          ) : (
+            renderChips(
+              clients.map(client => ({ key: client.id, label: client.name })),
+              clientId,
+              (id) => {
+                setClientId(id);
+                setPetId(null);
+                setSuggestions(null);
+              }
+            )
+          )}
+
+          {clientId && (
+            <>
+              <Text style={styles.label}>Pet</Text>
+              {clientPets.length === 0 ? (
+                <Text style={styles.emptyText}>This client has no pets yet</Text>
+              ) : (
+                renderChips(clientPets.map(pet => ({ key: pet.id, label: pet.name })), petId, setPetId)
+              )}
+            </>
+          )}
+
+          <Text style={styles.label}>Service</Text>
+          {renderChips(
+            Object.keys(SERVICE_BASE_DURATIONS).map(service => ({ key: service, label: service })),
+            serviceType,
+            handleSelectService
+          )}
+
+          <Text style={styles.label}>Visit length (minutes)</Text>
+          <TextInput
+            style={styles.input}
+            value={durationInput}
+            onChangeText={(text) => {
+              setDurationInput(text);
+              setSuggestions(null);
+            }}
+            keyboardType="number-pad"
+            placeholder="60"
+          />
+
+          <TouchableOpacity
+            style={[styles.suggestButton, (progress || saving) && styles.buttonDisabled]}
+            onPress={handleSuggest}
+            disabled={!!progress || saving}
+          >
+            {progress ? (
+              <View style={styles.progressRow}>
+                <ActivityIndicator size="small" color="white" />
+                <Text style={styles.suggestButtonText}>
+                  Checking the next {SUGGESTION_DAYS} days… {Math.round(progress.progress * 100)}%
+                </Text>
+              </View>
+            ) : (
+              <Text style={styles.suggestButtonText}>Suggest Times</Text>
+            )}
+          </TouchableOpacity>
+
+          {suggestions && suggestions.length === 0 && (
+            <Text style={styles.emptyText}>
+              No time in the next {SUGGESTION_DAYS} days fits this visit without dropping another one.
+            </Text>
+          )}
+
+          {suggestions && suggestions.map((suggestion, index) => (
+            <TouchableOpacity
+              key={suggestion.date.getTime()}
+              style={styles.suggestion}
+              onPress={() => handleBook(suggestion)}
+              disabled={saving}
+            >
+              <View style={[styles.rankBadge, !suggestion.feasible && styles.rankBadgeWarning]}>
+                <Text style={styles.rankText}>{index + 1}</Text>
+              </View>
+              <View style={styles.suggestionInfo}>
+                <Text style={styles.suggestionTitle}>{formatSlot(suggestion.date)}</Text>
+                <Text style={styles.suggestionText}>{describeSuggestion(suggestion)}</Text>
+              </View>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f6f8fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 48,
+    paddingBottom: 12,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  closeText: {
+    fontSize: 16,
+    color: '#1e88e5',
+  },
+  content: {
+    padding: 16,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    marginVertical: 8,
+  },
+  chipRow: {
+    flexGrow: 0,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: 'white',
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: '#1e88e5',
+    borderColor: '#1e88e5',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  input: {
+    height: 40,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    backgroundColor: 'white',
+  },
+  suggestButton: {
+    backgroundColor: '#1e88e5',
+    borderRadius: 8,
+    height: 50,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 20,
+    marginBottom: 12,
+  },
+  suggestButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  suggestion: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  rankBadge: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: '#4caf50',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  rankBadgeWarning: {
+    backgroundColor: '#ff9800',
+  },
+  rankText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  suggestionInfo: {
+    flex: 1,
+  },
+  suggestionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  suggestionText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+});
+
+export default NewAppointmentModal;
@@ -12,12 +12,15 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../contexts/AuthContext';
 import clientModel from '../../../firebase/models/clientModel';
+import TerritoryPlanner from './TerritoryPlanner';
+import { hasNotificationGateway } from '../../../utils/clientNotifications';
 
 const ClientsScreen = ({ navigation }) => {
   const { currentUser } = useAuth();
   const [clients, setClients] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [planningZones, setPlanningZones] = useState(false);
 
   useEffect(() => {
     loadClients();
@@ -49,6 +52,24 @@ const ClientsScreen = ({ navigation }) => {
     navigation.navigate('AddClient');
   };
 
+  const handleZonesApplied = () => {
+    setPlanningZones(false);
+    loadClients();
+  };
+
+  // Turn a client's "on my way" and visit complete messages off or back on
+  const handleToggleNotifications = async (client) => {
+    const optOut = !client.notificationsOptOut;
+    
+    try {
+      await clientModel.setNotificationsOptOut(client.id, optOut);
+      setClients(clients.map(item =>
+        (item.id === client.id ? { ...item, notificationsOptOut: optOut } : item)));
+    } catch (error) {
+      console.error('Error updating client notifications:', error);
+    }
+  };
+
   const handleClientPress = (client) => {
     // Navigate to client details screen - to be implemented
     navigation.navigate('ClientDetails', { clientId: client.id });
@@ -64,7 +85,21 @@ const ClientsScreen = ({ navigation }) => {
         <Text style={styles.clientAddress} numberOfLines={1}>
           {item.address?.formatted || 'No address provided'}
         </Text>
+        {!item.phone && !item.email && (
+          <Text style={styles.noContactText}>No phone or email for arrival messages</Text>
+        )}
       </View>
+      <TouchableOpacity
+        style={styles.notifyButton}
+        onPress={() => handleToggleNotifications(item)}
+        accessibilityLabel={item.notificationsOptOut ? 'Turn arrival messages on' : 'Turn arrival messages off'}
+      >
+        <Ionicons
+          name={item.notificationsOptOut ? 'notifications-off-outline' : 'notifications-outline'}
+          size={22}
+          color={item.notificationsOptOut ? '#999' : '#1e88e5'}
+        />
+      </TouchableOpacity>
       <Ionicons name="chevron-forward" size={24} color="#ccc" />
     </TouchableOpacity>
   );
@@ -81,11 +116,25 @@ const ClientsScreen = ({ navigation }) => {
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.title}>Clients</Text>
-        <TouchableOpacity style={styles.addButton} onPress={handleAddClient}>
-          <Ionicons name="add" size={24} color="white" />
-        </TouchableOpacity>
+        <View style={styles.headerButtons}>
+          <TouchableOpacity style={styles.zonesButton} onPress={() => setPlanningZones(true)}>
+            <Ionicons name="map-outline" size={22} color="#1e88e5" />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.addButton} onPress={handleAddClient}>
+            <Ionicons name="add" size={24} color="white" />
+          </TouchableOpacity>
+        </View>
       </View>
 
+      {!hasNotificationGateway() && (
+        <View style={styles.gatewayNotice}>
+          <Ionicons name="notifications-off-outline" size={18} color="#666" />
+          <Text style={styles.gatewayNoticeText}>
+            Arrival messages are off: no SMS or email gateway is set up, so clients aren't told when you're on the way.
+          </Text>
+        </View>
+      )}
+
       {clients.length === 0 ? (
         <View style={styles.emptyContainer}>
           <Text style={styles.emptyText}>No clients yet</Text>
@@ -104,6 +153,13 @@ const ClientsScreen = ({ navigation }) => {
           showsVerticalScrollIndicator={false}
         />
       )}
+
+      <TerritoryPlanner
+        visible={planningZones}
+        userId={currentUser && currentUser.uid}
+        onClose={() => setPlanningZones(false)}
+        onApplied={handleZonesApplied}
+      />
     </SafeAreaView>
   );
 };
@@ -130,6 +186,20 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#333',
   },
+  headerButtons: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  zonesButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#1e88e5',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
   addButton: {
     backgroundColor: '#1e88e5',
     width: 40,
@@ -169,6 +239,30 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#666',
   },
+  gatewayNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff3e0',
+    borderRadius: 8,
+    padding: 12,
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
+  gatewayNoticeText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 8,
+  },
+  noContactText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  notifyButton: {
+    padding: 8,
+    marginRight: 4,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -0,0 +1,387 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
+import clientModel from '../../../firebase/models/clientModel';
+import appointmentModel from '../../../firebase/models/appointmentModel';
+import {
+  WEEKDAY_LABELS,
+  DEFAULT_WORKING_WEEKDAYS,
+  ZONE_COLORS,
+  proposeTerritories,
+  planWeekdayMoves,
+} from '../../../utils/territoryClustering';
+
+// Weeks of upcoming appointments used to work out who is a regular client
+const PLANNING_WEEKS = 4;
+
+// Map region that shows every client
+const regionFor = (clients) => {
+  const latitudes = clients.map(client => client.address.coordinates.latitude);
+  const longitudes = clients.map(client => client.address.coordinates.longitude);
+  const minLat = Math.min(...latitudes);
+  const maxLat = Math.max(...latitudes);
+  const minLng = Math.min(...longitudes);
+  const maxLng = Math.max(...longitudes);
+
+  return {
+    latitude: (minLat + maxLat) / 2,
+    longitude: (minLng + maxLng) / 2,
+    latitudeDelta: Math.max(0.02, (maxLat - minLat) * 1.3),
+    longitudeDelta: Math.max(0.02, (maxLng - minLng) * 1.3),
+  };
+};
+
+// Propose one area of town per weekday, review it on a map, then move
+// recurring appointments onto their client's new day
+const TerritoryPlanner = ({ visible, userId, onClose, onApplied }) => {
+  const [clients, setClients] = useState([]);
+  const [appointments, setAppointments] = useState([]);
+  const [weekdays, setWeekdays] = useState(DEFAULT_WORKING_WEEKDAYS);
+  const [proposal, setProposal] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setProposal(null);
+      loadData();
+    }
+  }, [visible]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const now = new Date();
+      const horizon = new Date(now);
+      horizon.setDate(horizon.getDate() + PLANNING_WEEKS * 7);
+
+      const [fetchedClients, fetchedAppointments] = await Promise.all([
+        clientModel.getClientsWithAddresses(userId),
+        appointmentModel.getAppointments(userId),
+      ]);
+
+      setClients(fetchedClients.filter(client => client.address && client.address.coordinates));
+      setAppointments(fetchedAppointments.filter(appointment =>
+        appointment.status === 'scheduled' && appointment.date >= now && appointment.date < horizon
+      ));
+    } catch (error) {
+      console.error('Error loading territory data:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleWeekday = (weekday) => {
+    setProposal(null);
+    setWeekdays(current => (current.includes(weekday)
+      ? current.filter(day => day !== weekday)
+      : [...current, weekday].sort((a, b) => a - b)));
+  };
+
+  const handlePropose = () => {
+    try {
+      const result = proposeTerritories(clients, appointments, weekdays);
+      setProposal({ ...result, moves: planWeekdayMoves(appointments, result.assignments) });
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const handleApply = () => {
+    const movedClients = new Set(proposal.moves.map(move => move.clientId)).size;
+
+    Alert.alert(
+      'Apply Zones',
+      `Move ${proposal.moves.length} appointments for ${movedClients} clients onto their new weekday?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Apply',
+          onPress: async () => {
+            try {
+              setApplying(true);
+              // Weekdays and appointment moves are saved together (see setServiceDays)
+              await clientModel.setServiceDays(proposal.assignments, proposal.moves);
+              Alert.alert('Zones Applied', `${proposal.moves.length} appointments rescheduled.`);
+              onApplied();
+            } catch (error) {
+              console.error('Error applying zones:', error);
+            } finally {
+              setApplying(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const zoneOf = (clientId) =>
+    (proposal ? proposal.zones.find(zone => zone.clientIds.includes(clientId)) : null);
+
+  const clientName = (clientId) => {
+    const client = clients.find(item => item.id === clientId);
+    return client ? client.name : 'Unknown client';
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Weekday Zones</Text>
+          <TouchableOpacity onPress={onClose} disabled={applying}>
+            <Text style={styles.closeText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+
+        {loading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#1e88e5" />
+          </View>
+        ) : (
+          <ScrollView contentContainerStyle={styles.content}>
+            {clients.length > 0 && (
+              <MapView style={styles.map} initialRegion={regionFor(clients)}>
+                {clients.map(client => {
+                  const zone = zoneOf(client.id);
+                  return (
+                    <Marker
+                      key={client.id}
+                      coordinate={client.address.coordinates}
+                      title={client.name}
+                      description={zone ? `${zone.label} zone` : undefined}
+                      pinColor={zone ? zone.color : '#9e9e9e'}
+                    />
+                  );
+                })}
+              </MapView>
+            )}
+
+            <Text style={styles.label}>Working days</Text>
+            <View style={styles.dayRow}>
+              {WEEKDAY_LABELS.map((label, weekday) => (
+                <TouchableOpacity
+                  key={label}
+                  style={[styles.dayChip, weekdays.includes(weekday) && styles.dayChipActive]}
+                  onPress={() => handleToggleWeekday(weekday)}
+                >
+                  <Text style={[styles.dayText, weekdays.includes(weekday) && styles.dayTextActive]}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <TouchableOpacity
+              style={[styles.primaryButton, weekdays.length === 0 && styles.buttonDisabled]}
+              onPress={handlePropose}
+              disabled={weekdays.length === 0}
+            >
+              <Text style={styles.primaryButtonText}>Propose Zones</Text>
+            </TouchableOpacity>
+
+            {proposal && (
+              <>
+                {proposal.zones.length === 0 && (
+                  <Text style={styles.emptyText}>
+                    No regular weekly clients in the next {PLANNING_WEEKS} weeks to plan zones for.
+                  </Text>
+                )}
+
+                {proposal.zones.map(zone => (
+                  <View key={zone.weekday} style={styles.zoneCard}>
+                    <View style={styles.zoneHeader}>
+                      <View style={[styles.zoneDot, { backgroundColor: ZONE_COLORS[zone.weekday] }]} />
+                      <Text style={styles.zoneTitle}>{zone.label}</Text>
+                      <Text style={styles.zoneMeta}>
+                        {zone.clientIds.length} clients · {Math.round(zone.visitsPerWeek)} visits/week
+                      </Text>
+                    </View>
+                    <Text style={styles.zoneClients}>
+                      {zone.clientIds.map(clientName).join(', ')}
+                    </Text>
+                  </View>
+                ))}
+
+                {proposal.skipped.length > 0 && (
+                  <View style={styles.zoneCard}>
+                    <Text style={styles.zoneTitle}>Left as they are</Text>
+                    {proposal.skipped.map(item => (
+                      <Text key={item.clientId} style={styles.zoneClients}>
+                        {item.name}: {item.reason}
+                      </Text>
+                    ))}
+                  </View>
+                )}
+
+                {proposal.zones.length > 0 && (
+                  <>
+                    <Text style={styles.summaryText}>
+                      {proposal.changedClients} clients change day · {proposal.moves.length} appointments to move
+                    </Text>
+                    <TouchableOpacity
+                      style={[styles.primaryButton, (applying || proposal.moves.length === 0) && styles.buttonDisabled]}
+                      onPress={handleApply}
+                      disabled={applying || proposal.moves.length === 0}
+                    >
+                      {applying ? (
+                        <ActivityIndicator size="small" color="white" />
+                      ) : (
+                        <Text style={styles.primaryButtonText}>Apply and Reschedule</Text>
+                      )}
+                    </TouchableOpacity>
+                  </>
+                )}
+              </>
+            )}
+          </ScrollView>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f6f8fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 48,
+    paddingBottom: 12,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  closeText: {
+    fontSize: 16,
+    color: '#1e88e5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 16,
+  },
+  map: {
+    height: 280,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  dayRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  dayChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: 'white',
+  },
+  dayChipActive: {
+    backgroundColor: '#1e88e5',
+    borderColor: '#1e88e5',
+  },
+  dayText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  dayTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  primaryButton: {
+    backgroundColor: '#1e88e5',
+    borderRadius: 8,
+    height: 50,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 12,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    marginVertical: 8,
+  },
+  zoneCard: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  zoneHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  zoneDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 8,
+  },
+  zoneTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginRight: 8,
+  },
+  zoneMeta: {
+    fontSize: 12,
+    color: '#666',
+  },
+  zoneClients: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#333',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+});
+
+export default TerritoryPlanner;
@@ -0,0 +1,231 @@
+import React from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+const formatTime = (date) => {
+  if (!date) return '';
+  return date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+};
+
+// What the walker is doing at a stop, e.g. "Pick up Rex"
+const stopTitle = (stop) => {
+  if (stop.type === 'pickup') return `Pick up ${stop.petName || 'pet'}`;
+  if (stop.type === 'dropoff') return `Drop off ${stop.petName || 'pet'}`;
+  if (stop.type === 'walk') return `Group walk at ${stop.name}`;
+  return `${stop.clientName || 'Client'} · ${stop.serviceType}`;
+};
+
+// The stop the walker is on while driving a route, with Arrived / Done buttons
+// stop is the current waypoint, or null once every stop is done
+// notice is a line about the messages just sent to clients
+// onToggleTracking is only passed when the walker has opted in to automatic check-in
+const DriverPanel = ({
+  stop,
+  progress,
+  finishTime,
+  busy,
+  onArrived,
+  onDone,
+  onNavigate,
+  tracking,
+  notice,
+  onToggleTracking,
+}) => {
+  const noticeRow = notice ? (
+    <View style={styles.noticeRow}>
+      <Ionicons name="chatbubble-ellipses-outline" size={16} color="#666" />
+      <Text style={styles.noticeText}>{notice}</Text>
+    </View>
+  ) : null;
+
+  if (!stop) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.doneRow}>
+          <Ionicons name="checkmark-circle" size={24} color="#4caf50" />
+          <Text style={styles.doneText}>
+            All {progress.total} stops done{finishTime ? ` · finished ${formatTime(finishTime)}` : ''}
+          </Text>
+        </View>
+        {noticeRow}
+      </View>
+    );
+  }
+
+  const arrived = !!stop.actualArrivalTime;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <Text style={styles.label}>{arrived ? 'At stop' : 'Next stop'}</Text>
+        <Text style={styles.progressText}>{progress.done} of {progress.total} done</Text>
+      </View>
+
+      <Text style={styles.title}>{stopTitle(stop)}</Text>
+      <Text style={styles.address} numberOfLines={1}>{stop.address}</Text>
+
+      <Text style={styles.timeText}>
+        {arrived
+          ? `Arrived ${formatTime(stop.actualArrivalTime)}${stop.arrivalSource === 'geofence' ? ' (auto)' : ''} · expected to leave ${formatTime(stop.departureTime)}`
+          : `Expected ${formatTime(stop.arrivalTime)}`}
+        {stop.lateness > 0 ? ` · ${stop.lateness} min late` : ''}
+      </Text>
+
+      <View style={styles.buttonRow}>
+        {!arrived && (
+          <TouchableOpacity style={[styles.button, styles.navigateButton]} onPress={onNavigate} disabled={busy}>
+            <Ionicons name="navigate" size={18} color="#1e88e5" />
+            <Text style={styles.navigateText}>Navigate</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={[styles.button, styles.primaryButton, busy && styles.buttonDisabled]}
+          onPress={arrived ? onDone : onArrived}
+          disabled={busy}
+        >
+          {busy ? (
+            <ActivityIndicator size="small" color="white" />
+          ) : (
+            <Text style={styles.primaryText}>{arrived ? 'Done' : 'Arrived'}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {noticeRow}
+
+      {onToggleTracking && (
+        <TouchableOpacity style={styles.trackingRow} onPress={onToggleTracking} disabled={busy}>
+          <Ionicons name={tracking ? 'locate' : 'locate-outline'} size={16} color={tracking ? '#4caf50' : '#999'} />
+          <Text style={styles.trackingText}>
+            {tracking ? 'Automatic check-in on' : 'Automatic check-in paused'}
+          </Text>
+          <Text style={styles.trackingAction}>{tracking ? 'Pause' : 'Resume'}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    borderLeftWidth: 4,
+    borderLeftColor: '#ff9800',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#ff9800',
+    textTransform: 'uppercase',
+  },
+  progressText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  address: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  timeText: {
+    fontSize: 14,
+    color: '#333',
+    marginTop: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  button: {
+    flex: 1,
+    height: 44,
+    borderRadius: 8,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  navigateButton: {
+    borderWidth: 1,
+    borderColor: '#1e88e5',
+    marginRight: 8,
+  },
+  navigateText: {
+    color: '#1e88e5',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 6,
+  },
+  primaryButton: {
+    backgroundColor: '#ff9800',
+  },
+  primaryText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  noticeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  noticeText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 6,
+  },
+  trackingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  trackingText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 6,
+  },
+  trackingAction: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1e88e5',
+  },
+  doneRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  doneText: {
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 8,
+  },
+});
+
+export default DriverPanel;
@@ -0,0 +1,230 @@
+import React, { useRef, useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  PanResponder,
+  Animated,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+// A single stop that can be dragged by its handle
+// The pan responder is created once, so it reads the latest props through a ref
+const DraggableRow = ({ index, active, translateY, onDragStart, onDragMove, onDragEnd, onLayout, children }) => {
+  const handlers = useRef({});
+  handlers.current = { index, onDragStart, onDragMove, onDragEnd };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: () => handlers.current.onDragStart(handlers.current.index),
+      onPanResponderMove: (event, gesture) => handlers.current.onDragMove(gesture.dy),
+      onPanResponderRelease: (event, gesture) => handlers.current.onDragEnd(gesture.dy),
+      onPanResponderTerminate: (event, gesture) => handlers.current.onDragEnd(gesture.dy),
+    })
+  ).current;
+
+  return (
+    <Animated.View
+      onLayout={onLayout}
+      style={[styles.row, active && styles.rowActive, active && { transform: [{ translateY }] }]}
+    >
+      {children}
+      <View {...panResponder.panHandlers} style={styles.dragHandle}>
+        <Ionicons name="reorder-three" size={28} color="#999" />
+      </View>
+    </Animated.View>
+  );
+};
+
+const formatTime = (date) => {
+  if (!date) return '';
+  const options = { hour: 'numeric', minute: '2-digit' };
+  return date.toLocaleTimeString(undefined, options);
+};
+
+// Upcoming stops of a route, re-ordered by dragging and pinned with the pin button
+// waypoints line up with stops and hold the recalculated arrival times
+// positionOffset is the number of stops already completed, so numbering matches the whole day
+const ReorderableStopList = ({
+  stops,
+  waypoints = [],
+  pinnedPositions = {},
+  positionOffset = 0,
+  onMove,
+  onTogglePin,
+  onDragStateChange,
+}) => {
+  const rowHeights = useRef({});
+  const translateY = useRef(new Animated.Value(0)).current;
+  const [dragging, setDragging] = useState(null); // { index, target }
+
+  // Row a stop would land on after being dragged dy pixels
+  const getTargetIndex = (index, dy) => {
+    let target = index;
+    let remaining = dy;
+
+    if (dy > 0) {
+      while (target < stops.length - 1) {
+        const height = rowHeights.current[target + 1] || 0;
+        if (remaining < height / 2) break;
+        remaining -= height;
+        target++;
+      }
+    } else {
+      while (target > 0) {
+        const height = rowHeights.current[target - 1] || 0;
+        if (-remaining < height / 2) break;
+        remaining += height;
+        target--;
+      }
+    }
+
+    return target;
+  };
+
+  const handleDragStart = (index) => {
+    translateY.setValue(0);
+    setDragging({ index, target: index });
+    if (onDragStateChange) onDragStateChange(true);
+  };
+
+  const handleDragMove = (dy) => {
+    if (!dragging) return;
+
+    translateY.setValue(dy);
+    const target = getTargetIndex(dragging.index, dy);
+    if (target !== dragging.target) {
+      setDragging({ ...dragging, target });
+    }
+  };
+
+  const handleDragEnd = (dy) => {
+    if (!dragging) return;
+
+    const target = getTargetIndex(dragging.index, dy);
+    translateY.setValue(0);
+    setDragging(null);
+    if (onDragStateChange) onDragStateChange(false);
+
+    if (target !== dragging.index) {
+      onMove(dragging.index, target);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      {stops.map((stop, index) => {
+        const waypoint = waypoints[index] || {};
+        const pinned = pinnedPositions[stop.appointmentId] !== undefined;
+        const isDropTarget = dragging && dragging.target === index && dragging.index !== index;
+
+        return (
+          <DraggableRow
+            key={stop.appointmentId || stop.id}
+            index={index}
+            active={dragging && dragging.index === index}
+            translateY={translateY}
+            onDragStart={handleDragStart}
+            onDragMove={handleDragMove}
+            onDragEnd={handleDragEnd}
+            onLayout={(event) => {
+              rowHeights.current[index] = event.nativeEvent.layout.height;
+            }}
+          >
+            <View style={[styles.positionBadge, isDropTarget && styles.positionBadgeTarget]}>
+              <Text style={styles.positionText}>{positionOffset + index + 1}</Text>
+            </View>
+            <View style={styles.details}>
+              <Text style={styles.title}>{stop.serviceType}</Text>
+              <Text style={styles.subtitle}>{stop.clientName || 'Client'}</Text>
+              <Text style={styles.scheduleText}>
+                Arrive {formatTime(waypoint.arrivalTime)}
+                {waypoint.lateness > 0 ? ` · ${waypoint.lateness} min late` : ''}
+              </Text>
+            </View>
+            <TouchableOpacity style={styles.pinButton} onPress={() => onTogglePin(stop, index)}>
+              <Ionicons name={pinned ? 'pin' : 'pin-outline'} size={20} color={pinned ? '#1e88e5' : '#999'} />
+              {pinned && <Text style={styles.pinText}>#{positionOffset + index + 1}</Text>}
+            </TouchableOpacity>
+          </DraggableRow>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  rowActive: {
+    zIndex: 10,
+    elevation: 6,
+    shadowOpacity: 0.3,
+  },
+  positionBadge: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: '#1e88e5',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  positionBadgeTarget: {
+    backgroundColor: '#ff9800',
+  },
+  positionText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  details: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  scheduleText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  pinButton: {
+    alignItems: 'center',
+    paddingHorizontal: 8,
+  },
+  pinText: {
+    fontSize: 10,
+    color: '#1e88e5',
+  },
+  dragHandle: {
+    paddingLeft: 8,
+    paddingVertical: 4,
+  },
+});
+
+export default ReorderableStopList;
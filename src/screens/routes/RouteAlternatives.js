@@ -0,0 +1,200 @@
+import React from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+const formatTime = (date) => {
+  if (!date) return '';
+  return date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+};
+
+// The lowest value of a figure across the plans, so the best one can be highlighted
+const lowest = (plans, figure) => Math.min(...plans.map(figure));
+
+// Side-by-side comparison of the plans optimizeRouteAlternatives came up with;
+// the walker picks one to save
+const RouteAlternatives = ({ visible, plans = [], onSelect, onClose }) => {
+  const distance = plan => plan.totalDistance;
+  const finish = plan => plan.finishTime.getTime();
+  const late = plan => plan.unmetTimeWindows.length;
+  const cost = plan => (plan.cost ? plan.cost.total : Infinity);
+
+  const best = {
+    distance: lowest(plans, distance),
+    finish: lowest(plans, finish),
+    late: lowest(plans, late),
+    cost: lowest(plans, cost),
+  };
+
+  // One figure on a card, in bold green when no other plan beats it
+  const renderFigure = (label, value, isBest) => (
+    <View style={styles.figure}>
+      <Text style={[styles.figureValue, isBest && styles.figureBest]}>{value}</Text>
+      <Text style={styles.figureLabel}>{label}</Text>
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Compare Routes</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.hint}>
+            Each plan is the best found for what it's labelled with. Pick the one to use today.
+          </Text>
+
+          {plans.map(plan => (
+            <View key={plan.objectives.join('+')} style={styles.card}>
+              <Text style={styles.cardTitle}>{plan.labels.join(' · ')}</Text>
+
+              <View style={styles.figureRow}>
+                {renderFigure('Distance', `${plan.totalDistance.toFixed(1)} km`, distance(plan) === best.distance)}
+                {renderFigure('Finish', formatTime(plan.finishTime), finish(plan) === best.finish)}
+                {renderFigure('Driving', `${plan.estimatedTravelTime} min`, false)}
+                {plan.cost && renderFigure('Cost', plan.cost.total.toFixed(2), cost(plan) === best.cost)}
+              </View>
+
+              <View style={styles.lateRow}>
+                <Ionicons
+                  name={late(plan) === 0 ? 'checkmark-circle' : 'alert-circle'}
+                  size={16}
+                  color={late(plan) === 0 ? '#4caf50' : '#f57c00'}
+                />
+                <Text style={[styles.lateText, late(plan) === best.late && styles.figureBest]}>
+                  {late(plan) === 0
+                    ? 'All visits on time'
+                    : `${late(plan)} late · ${plan.totalLateness} min in total`}
+                </Text>
+              </View>
+
+              {plan.unscheduled.length > 0 && (
+                <Text style={styles.unscheduledText}>
+                  {plan.unscheduled.length} {plan.unscheduled.length === 1 ? 'visit doesn\'t' : 'visits don\'t'} fit the shift
+                </Text>
+              )}
+
+              <TouchableOpacity style={styles.useButton} onPress={() => onSelect(plan)}>
+                <Text style={styles.useButtonText}>Use This Route</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f6f8fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 48,
+    paddingBottom: 12,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  closeText: {
+    fontSize: 16,
+    color: '#1e88e5',
+  },
+  content: {
+    padding: 16,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  figureRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  figure: {
+    alignItems: 'center',
+    flex: 1,
+  },
+  figureValue: {
+    fontSize: 16,
+    color: '#333',
+  },
+  figureBest: {
+    color: '#2e7d32',
+    fontWeight: 'bold',
+  },
+  figureLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  lateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  lateText: {
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 6,
+  },
+  unscheduledText: {
+    fontSize: 13,
+    color: '#f57c00',
+    marginTop: 4,
+  },
+  useButton: {
+    backgroundColor: '#1e88e5',
+    borderRadius: 8,
+    height: 44,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  useButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+});
+
+export default RouteAlternatives;
@@ -0,0 +1,116 @@
+import React from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  FlatList,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+// Every saved route, newest first; picking one opens its day on the routes screen
+const RouteHistory = ({ visible, routes = [], onSelect, onClose }) => {
+  const renderRoute = ({ item }) => (
+    <TouchableOpacity style={styles.routeCard} onPress={() => onSelect(item.routeDate)}>
+      <View style={styles.routeInfo}>
+        <Text style={styles.routeDate}>
+          {item.routeDate.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}
+        </Text>
+        <Text style={styles.routeDetails}>
+          {(item.appointmentIds || []).length} stops · {(item.totalDistance || 0).toFixed(1)} km
+          {item.cost ? ` · ${item.cost.total.toFixed(2)}` : ''}
+          {item.totalLateness > 0 ? ` · ${item.totalLateness} min late` : ''}
+        </Text>
+      </View>
+      <Ionicons name="chevron-forward" size={20} color="#999" />
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Past Routes</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+
+        <FlatList
+          data={routes}
+          renderItem={renderRoute}
+          keyExtractor={item => item.id}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>No routes saved yet</Text>
+          }
+        />
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f6f8fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 48,
+    paddingBottom: 12,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  closeText: {
+    fontSize: 16,
+    color: '#1e88e5',
+  },
+  listContent: {
+    padding: 16,
+  },
+  routeCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  routeInfo: {
+    flex: 1,
+  },
+  routeDate: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  routeDetails: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 24,
+  },
+});
+
+export default RouteHistory;
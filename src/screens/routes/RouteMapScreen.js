@@ -0,0 +1,380 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import MapView, { Marker, Polyline } from 'react-native-maps';
+import MapViewDirections from 'react-native-maps-directions';
+import { Ionicons } from '@expo/vector-icons';
+import routeModel from '../../../firebase/models/routeModel';
+import { getRouteMarkers, getRoutePath, getNextStop, openDirections } from '../../../utils/routeMap';
+
+// Road-following directions need a Google Directions key; without one the
+// path is drawn as straight lines between stops
+const DIRECTIONS_API_KEY = process.env.EXPO_PUBLIC_GOOGLE_MAPS_API_KEY;
+
+const MAP_PADDING = { top: 60, right: 40, bottom: 220, left: 40 };
+
+const PIN_COLORS = {
+  start: '#4caf50',
+  current: '#ff9800',
+  end: '#f44336',
+};
+
+const RouteMapScreen = ({ route: navigationRoute }) => {
+  const { routeId } = navigationRoute.params;
+  const [route, setRoute] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [directionsFailed, setDirectionsFailed] = useState(false);
+  const mapRef = useRef(null);
+
+  useEffect(() => {
+    loadRoute();
+  }, [routeId]);
+
+  const loadRoute = async () => {
+    try {
+      setLoading(true);
+      setRoute(await routeModel.getCompleteRoute(routeId));
+    } catch (error) {
+      console.error('Error loading route map:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const markers = getRouteMarkers(route?.waypoints);
+  const path = getRoutePath(route?.waypoints);
+  const completedAppointmentIds = (route?.appointments || [])
+    .filter(appointment => appointment.status === 'completed')
+    .map(appointment => appointment.id);
+  const nextStop = getNextStop(route?.waypoints, completedAppointmentIds);
+  const selected = markers.find(marker => marker.key === selectedKey);
+
+  // Show the whole route once the map has laid itself out
+  const handleMapReady = () => {
+    if (mapRef.current && path.length > 0) {
+      mapRef.current.fitToCoordinates(path, { edgePadding: MAP_PADDING, animated: false });
+    }
+  };
+
+  const handleNavigate = async (waypoint) => {
+    try {
+      await openDirections(waypoint);
+    } catch (error) {
+      console.error('Error opening directions:', error);
+      Alert.alert('Error', error.message || 'Could not open directions.');
+    }
+  };
+
+  const appointmentFor = (waypoint) =>
+    (route?.appointments || []).find(appointment => appointment.id === waypoint.appointmentId);
+
+  const formatTime = (date) => {
+    if (!date) return '';
+    const options = { hour: 'numeric', minute: '2-digit' };
+    return date.toLocaleTimeString(undefined, options);
+  };
+
+  const markerTitle = (marker) => {
+    const { waypoint } = marker;
+    if (marker.kind === 'start') return `Start: ${waypoint.name || 'Home/Office'}`;
+    if (marker.kind === 'current') return `Re-planned from ${waypoint.name || 'current location'}`;
+    if (marker.kind === 'end') return `Finish: ${waypoint.name || 'Home/Office'}`;
+    if (waypoint.type === 'walk') return `${marker.number}. Group walk`;
+    return `${marker.number}. ${waypoint.clientName || 'Client'}`;
+  };
+
+  const isDone = (waypoint) =>
+    waypoint.completed || completedAppointmentIds.includes(waypoint.appointmentId);
+
+  // Card for the tapped marker: who and what the visit is for
+  const renderSelectedCard = () => {
+    const { waypoint } = selected;
+    const appointment = appointmentFor(waypoint);
+    const pet = appointment?.pet;
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Text style={styles.cardTitle}>{markerTitle(selected)}</Text>
+          <TouchableOpacity onPress={() => setSelectedKey(null)}>
+            <Ionicons name="close" size={20} color="#666" />
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.cardText}>
+          {appointment?.client?.address?.formatted || waypoint.address}
+        </Text>
+
+        {waypoint.type === 'pickup' && (
+          <Text style={styles.cardText}>Pick up {waypoint.petName || 'pet'}</Text>
+        )}
+        {waypoint.type === 'dropoff' && (
+          <Text style={styles.cardText}>Drop off {waypoint.petName || 'pet'}</Text>
+        )}
+        {waypoint.type === 'walk' && (
+          <Text style={styles.cardText}>{waypoint.petCount} pets</Text>
+        )}
+
+        {pet && (
+          <Text style={styles.cardText}>
+            {pet.name}{pet.breed ? ` · ${pet.breed}` : ''}{pet.size ? ` · ${pet.size}` : ''}
+          </Text>
+        )}
+
+        {appointment && (
+          <Text style={styles.cardText}>
+            {appointment.serviceType} · booked {formatTime(appointment.date)}
+          </Text>
+        )}
+
+        {waypoint.arrivalTime && (
+          <Text style={styles.cardText}>
+            Arrive {formatTime(waypoint.arrivalTime)}
+            {waypoint.lateness > 0 ? ` · ${waypoint.lateness} min late` : ''}
+          </Text>
+        )}
+
+        {!!pet?.notes && <Text style={styles.cardNotes}>{pet.notes}</Text>}
+        {!!appointment?.client?.notes && <Text style={styles.cardNotes}>{appointment.client.notes}</Text>}
+
+        {selected.kind !== 'start' && selected.kind !== 'current' && !isDone(waypoint) && (
+          <TouchableOpacity style={styles.cardButton} onPress={() => handleNavigate(waypoint)}>
+            <Ionicons name="navigate" size={16} color="#1e88e5" />
+            <Text style={styles.cardButtonText}>Directions</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#1e88e5" />
+      </View>
+    );
+  }
+
+  if (!route || markers.length === 0) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.emptyText}>This route has no stops to show on the map</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <MapView
+        ref={mapRef}
+        style={styles.map}
+        onMapReady={handleMapReady}
+        onPress={() => setSelectedKey(null)}
+        showsUserLocation
+      >
+        {DIRECTIONS_API_KEY && !directionsFailed && path.length > 1 ? (
+          <MapViewDirections
+            origin={path[0]}
+            destination={path[path.length - 1]}
+            waypoints={path.slice(1, -1)}
+            splitWaypoints
+            apikey={DIRECTIONS_API_KEY}
+            mode="DRIVING"
+            strokeWidth={4}
+            strokeColor="#1e88e5"
+            onError={(error) => {
+              console.warn('Directions unavailable, drawing straight lines:', error);
+              setDirectionsFailed(true);
+            }}
+          />
+        ) : (
+          <Polyline coordinates={path} strokeWidth={3} strokeColor="#1e88e5" />
+        )}
+
+        {/* Where the walker actually went, when the route was tracked */}
+        {route.breadcrumbs?.length > 1 && (
+          <Polyline
+            coordinates={route.breadcrumbs.map(point => ({ latitude: point.latitude, longitude: point.longitude }))}
+            strokeWidth={3}
+            strokeColor="#9e9e9e"
+            lineDashPattern={[6, 4]}
+          />
+        )}
+
+        {markers.map(marker => (
+          marker.kind === 'stop' ? (
+            <Marker
+              key={marker.key}
+              coordinate={marker.waypoint.coordinates}
+              onPress={() => setSelectedKey(marker.key)}
+            >
+              <View
+                style={[
+                  styles.numberMarker,
+                  isDone(marker.waypoint) && styles.numberMarkerDone,
+                  marker.waypoint === nextStop && styles.numberMarkerNext,
+                ]}
+              >
+                <Text style={styles.numberText}>{marker.number}</Text>
+              </View>
+            </Marker>
+          ) : (
+            <Marker
+              key={marker.key}
+              coordinate={marker.waypoint.coordinates}
+              pinColor={PIN_COLORS[marker.kind]}
+              onPress={() => setSelectedKey(marker.key)}
+            />
+          )
+        ))}
+      </MapView>
+
+      <View style={styles.footer}>
+        {selected && renderSelectedCard()}
+
+        {nextStop ? (
+          <TouchableOpacity style={styles.navigateButton} onPress={() => handleNavigate(nextStop)}>
+            <Ionicons name="navigate" size={20} color="white" style={styles.buttonIcon} />
+            <Text style={styles.navigateButtonText} numberOfLines={1}>
+              Navigate to {nextStop.type === 'end'
+                ? nextStop.name || 'finish'
+                : nextStop.type === 'walk'
+                ? 'group walk'
+                : nextStop.clientName || 'next stop'}
+            </Text>
+          </TouchableOpacity>
+        ) : (
+          <Text style={styles.doneText}>All stops done</Text>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f6f8fa',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+  map: {
+    flex: 1,
+  },
+  numberMarker: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: '#1e88e5',
+    borderWidth: 2,
+    borderColor: 'white',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  numberMarkerNext: {
+    backgroundColor: '#ff9800',
+  },
+  numberMarkerDone: {
+    backgroundColor: '#9e9e9e',
+  },
+  numberText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 13,
+  },
+  footer: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 24,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 4,
+    elevation: 4,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+    marginRight: 8,
+  },
+  cardText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  cardNotes: {
+    fontSize: 13,
+    color: '#666',
+    fontStyle: 'italic',
+    marginTop: 6,
+  },
+  cardButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 10,
+  },
+  cardButtonText: {
+    color: '#1e88e5',
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  navigateButton: {
+    flexDirection: 'row',
+    backgroundColor: '#1e88e5',
+    borderRadius: 8,
+    height: 50,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+  },
+  navigateButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  buttonIcon: {
+    marginRight: 8,
+  },
+  doneText: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 14,
+    textAlign: 'center',
+    color: '#666',
+    overflow: 'hidden',
+  },
+});
+
+export default RouteMapScreen;
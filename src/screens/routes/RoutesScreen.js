@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   StyleSheet,
   View,
@@ -8,6 +8,7 @@ import {
   Alert,
   ScrollView,
   Dimensions,
+  AppState,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
@@ -15,26 +16,159 @@ import { useAuth } from '../../contexts/AuthContext';
 import routeModel from '../../../firebase/models/routeModel';
 import appointmentModel from '../../../firebase/models/appointmentModel';
 import routeOptimization from '../../../utils/routeOptimization';
+import { getDefaultMatrixProvider, withTrafficProfile } from '../../../utils/distanceMatrix';
+import { planTeamRoutesAsync, BALANCE_MODES, hasStartLocation } from '../../../utils/vehicleRouting';
+import { isCancellationError } from '../../../utils/optimizationRunner';
+import staffModel from '../../../firebase/models/staffModel';
+import userModel from '../../../firebase/models/userModel';
+import { getCurrentLocation, toRoutePoint } from '../../../utils/location';
+import { optimizeGroupWalkRoute } from '../../../utils/groupWalkRouting';
+import { reoptimizeRouteAsync, reorderRoute, getUpcomingStops } from '../../../utils/routeReoptimization';
+import { pinStop, unpinStop } from '../../../utils/pinnedStops';
+import { DEFAULT_BREAK_RULES } from '../../../utils/breakScheduling';
+import { DEFAULT_TRAFFIC_PROFILE, getTrafficProfileLabel } from '../../../utils/trafficProfiles';
+import { PRIORITIES, PRIORITY_LABELS } from '../../../utils/appointmentPriority';
+import { timeOnDate } from '../../../utils/routeSchedule';
+import { DEFAULT_COST_MODEL, ROUTE_OBJECTIVES } from '../../../utils/routeCost';
+import { createRunRecord, replayRun, compareReplay } from '../../../utils/routeReplay';
+import { DRIVER_EVENTS, CHECK_IN_SOURCES, getCurrentStopIndex, getDriverProgress } from '../../../utils/driverMode';
+import { saveStopEvent } from '../../../utils/stopCheckIns';
+import {
+  startRouteTracking,
+  stopRouteTracking,
+  isTrackingRoute,
+  refreshGeofences,
+} from '../../../utils/backgroundTracking';
+import { notifyFirstClient, hasNotificationGateway, NOTIFICATION_TYPES } from '../../../utils/clientNotifications';
+import { openDirections } from '../../../utils/routeMap';
+import ReorderableStopList from './ReorderableStopList';
+import RouteAlternatives from './RouteAlternatives';
+import RouteHistory from './RouteHistory';
+import DriverPanel from './DriverPanel';
+import TeamRoutes from './TeamRoutes';
+import WeekStrip, { startOfDay, isSameDay, getWeekDays } from './WeekStrip';
+
+// Human-readable names for the solvers recorded on a route
+const ALGORITHM_LABELS = {
+  'held-karp': 'exact solver',
+  'held-karp+time-windows': 'exact solver, adjusted for appointment times',
+  'nearest-neighbor+local-search': 'nearest neighbor + 2-opt',
+  'nearest-neighbor+local-search+time-windows': 'nearest neighbor + 2-opt, adjusted for appointment times',
+  'nearest-neighbor+local-search+pinned': 'nearest neighbor + 2-opt, around pinned stops',
+  'nearest-neighbor+local-search+pinned+time-windows': 'nearest neighbor + 2-opt around pinned stops, adjusted for appointment times',
+  'group-walk-trips': 'group walk trips',
+};
+
+// What the optimizer is doing, shown above the progress bar
+const PROGRESS_STAGE_LABELS = {
+  initial: 'Building first route',
+  exact: 'Finding the shortest route',
+  'local-search': 'Improving route',
+  'time-windows': 'Fitting appointment times',
+  priorities: 'Choosing which visits fit',
+  done: 'Finishing up',
+};
+
+// What a route document stores from an optimizer result
+const toRouteFields = (optimizedRoute) => ({
+  appointmentIds: optimizedRoute.appointmentIds,
+  waypoints: optimizedRoute.waypoints,
+  optimizedPath: optimizedRoute.optimizedRoute,
+  unscheduled: optimizedRoute.unscheduled,
+  startPoint: optimizedRoute.startPoint,
+  endPoint: optimizedRoute.endPoint,
+  totalDistance: optimizedRoute.totalDistance,
+  initialDistance: optimizedRoute.initialDistance,
+  totalDuration: optimizedRoute.estimatedTravelTime,
+  totalLateness: optimizedRoute.totalLateness,
+  totalBreakTime: optimizedRoute.totalBreakTime,
+  algorithm: optimizedRoute.algorithm,
+  trafficProfile: optimizedRoute.trafficProfile,
+  objective: optimizedRoute.objective,
+  cost: optimizedRoute.cost,
+  run: optimizedRoute.run,
+  optimal: optimizedRoute.optimal,
+});
+
+// One line on the messages just sent to clients, e.g. "Told Sam you're on the way"
+const describeSentMessages = (sent) => {
+  if (sent.length === 0) return null;
+  
+  return sent
+    .map(message => (message.type === NOTIFICATION_TYPES.ON_MY_WAY
+      ? `Told ${message.clientName} you're on the way`
+      : `Sent ${message.clientName} a visit summary`))
+    .join(' · ');
+};
 
 const RoutesScreen = ({ navigation }) => {
   const { currentUser } = useAuth();
   const [route, setRoute] = useState(null);
-  const [todayDate, setTodayDate] = useState(new Date());
+  const [routeDate, setRouteDate] = useState(startOfDay(new Date())); // the day being planned or reviewed
+  const [savedRoutes, setSavedRoutes] = useState([]); // every route, for the week strip and history
+  const [showingHistory, setShowingHistory] = useState(false);
+  const [recordingStop, setRecordingStop] = useState(false);
+  const [tracking, setTracking] = useState(false); // true while this route is tracked in the background
+  const [messageNotice, setMessageNotice] = useState(null); // what was last sent to clients
   const [loading, setLoading] = useState(true);
   const [optimizing, setOptimizing] = useState(false);
+  const [staff, setStaff] = useState([]);
+  const [teamRoutes, setTeamRoutes] = useState([]); // routes planned for staff on the selected day
+  const [balanceMode, setBalanceMode] = useState(BALANCE_MODES.DISTANCE);
+  const [userProfile, setUserProfile] = useState(null);
+  const [startKey, setStartKey] = useState('home');
+  const [endKey, setEndKey] = useState('start');
+  const [routeType, setRouteType] = useState('visits'); // 'visits' | 'groupWalk'
+  const [walkKey, setWalkKey] = useState(null);
+  const [progress, setProgress] = useState(null); // { stage, progress } while the optimizer runs
+  const abortControllerRef = useRef(null);
+  const [editingOrder, setEditingOrder] = useState(false);
+  const [draftStops, setDraftStops] = useState([]);
+  const [draftPins, setDraftPins] = useState({});
+  const [scrollEnabled, setScrollEnabled] = useState(true);
+  const [alternatives, setAlternatives] = useState(null); // { plans, appointments, matrixProvider } to choose from
 
   useEffect(() => {
-    loadTodayRoute();
-  }, [currentUser]);
+    loadRoute();
+  }, [currentUser, routeDate]);
+  
+  // Walkers are added in the Profile tab, so pick up changes when coming back
+  useEffect(() => {
+    if (!currentUser) return undefined;
+    
+    return navigation.addListener('focus', () => {
+      staffModel.getStaff(currentUser.uid)
+        .then(setStaff)
+        .catch(error => console.error('Error refreshing staff:', error));
+    });
+  }, [navigation, currentUser]);
 
-  const loadTodayRoute = async () => {
+  const loadRoute = async () => {
     if (!currentUser) return;
     
     try {
       setLoading(true);
+      setEditingOrder(false);
+      setMessageNotice(null);
       
-      // Check if we already have a route for today
-      const existingRoute = await routeModel.getRouteByDate(currentUser.uid, todayDate);
+      // Check if we already have a route for the selected day
+      const [existingRoute, routes, staffMembers, profile, teamDayRoutes] = await Promise.all([
+        routeModel.getRouteByDate(currentUser.uid, routeDate),
+        routeModel.getRoutes(currentUser.uid),
+        staffModel.getStaff(currentUser.uid),
+        userModel.getUser(currentUser.uid),
+        routeModel.getTeamRoutesByDate(currentUser.uid, routeDate),
+      ]);
+      setSavedRoutes(routes);
+      setStaff(staffMembers);
+      // The planner's own route is owned by them too; only staff routes belong to the team
+      setTeamRoutes(teamDayRoutes.filter(teamRoute => teamRoute.staffId));
+      setUserProfile(profile);
+      
+      // Without a saved home location the route starts wherever the walker is
+      if (!profile.homeLocation) {
+        setStartKey('current');
+      }
       
       if (existingRoute) {
         // Get the complete route with all details
@@ -45,78 +179,868 @@ const RoutesScreen = ({ navigation }) => {
       }
     } catch (error) {
       console.error('Error loading route:', error);
-      Alert.alert('Error', 'Failed to load today\'s route. Please try again.');
+      Alert.alert('Error', 'Failed to load the route. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
+  const savedLocations = userProfile?.savedLocations || [];
+  const homeLocation = userProfile?.homeLocation;
+  const breakRules = userProfile?.breakRules || DEFAULT_BREAK_RULES;
+  const trafficProfile = userProfile?.trafficProfile || DEFAULT_TRAFFIC_PROFILE;
+  const costModel = userProfile?.costModel || DEFAULT_COST_MODEL;
+  const routeObjective = userProfile?.routeObjective || ROUTE_OBJECTIVES.DISTANCE;
+  
+  // Leg times follow the user's traffic profile for the hour and day each leg is driven
+  const getMatrixProvider = () => withTrafficProfile(getDefaultMatrixProvider(), trafficProfile);
+  
+  // How the walker is named in "on my way" messages
+  const senderName = currentUser?.displayName || null;
+  
+  const isToday = isSameDay(routeDate, new Date());
+  const isPast = routeDate < startOfDay(new Date());
+  
+  // The day has to fit in the user's shift, if they've set one
+  const getShift = (date = routeDate) => {
+    if (!userProfile?.shift) return null;
+    
+    const start = timeOnDate(date, userProfile.shift.start);
+    const end = timeOnDate(date, userProfile.shift.end);
+    return { end, maxMinutes: (end - start) / 60000 };
+  };
+  
+  const startOptions = [
+    ...(homeLocation ? [{ key: 'home', label: homeLocation.label, location: homeLocation }] : []),
+    { key: 'current', label: 'Current Location' },
+    ...savedLocations.map((location, index) => ({ key: `saved-${index}`, label: location.label, location })),
+  ];
+  
+  const endOptions = [
+    { key: 'start', label: 'Back to Start' },
+    ...(homeLocation ? [{ key: 'home', label: homeLocation.label, location: homeLocation }] : []),
+    ...savedLocations.map((location, index) => ({ key: `saved-${index}`, label: location.label, location })),
+    { key: 'none', label: 'No Return' },
+  ];
+  
+  const walkOptions = [
+    ...(homeLocation ? [{ key: 'home', label: homeLocation.label, location: homeLocation }] : []),
+    ...savedLocations.map((location, index) => ({ key: `saved-${index}`, label: location.label, location })),
+  ];
+  
+  const resolveStartPoint = async () => {
+    const option = startOptions.find(item => item.key === startKey) || startOptions[0];
+    
+    if (option.key === 'current') {
+      return toRoutePoint(await getCurrentLocation(), 'start');
+    }
+    
+    return toRoutePoint(option.location, 'start');
+  };
+  
+  // undefined returns to the start, null is an open route with no return leg
+  const resolveEndPoint = () => {
+    const option = endOptions.find(item => item.key === endKey) || endOptions[0];
+    
+    if (option.key === 'start') return undefined;
+    if (option.key === 'none') return null;
+    
+    return toRoutePoint(option.location, 'end');
+  };
+
+  // Start tracking a cooperative optimization run; returns the options it needs
+  const beginOptimizationRun = () => {
+    abortControllerRef.current = new AbortController();
+    setProgress({ stage: 'initial', progress: 0 });
+    
+    return {
+      signal: abortControllerRef.current.signal,
+      onProgress: setProgress,
+    };
+  };
+  
+  const endOptimizationRun = () => {
+    abortControllerRef.current = null;
+    setProgress(null);
+  };
+  
+  const handleCancelOptimization = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  };
+  
+  // Stop a running optimization if the user leaves the screen
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
   const handleCreateRoute = async () => {
     try {
       setOptimizing(true);
       
-      // Get today's appointments
-      const appointments = await appointmentModel.getAppointmentsForRouting(currentUser.uid, todayDate);
+      // Get the day's appointments
+      const appointments = await appointmentModel.getAppointmentsForRouting(currentUser.uid, routeDate);
       
       if (appointments.length === 0) {
-        Alert.alert('No Appointments', 'There are no appointments scheduled for today to create a route.');
+        Alert.alert('No Appointments', 'There are no appointments scheduled for this day to create a route.');
         setOptimizing(false);
         return;
       }
       
-      // Default starting point (this would be user's home/office location)
-      // In a real app, this would be retrieved from user settings
-      const startingPoint = {
-        name: 'Home/Office',
-        address: 'Default Location',
-        coordinates: {
-          latitude: 37.7749, // Example: San Francisco
-          longitude: -122.4194,
-        },
-        type: 'start',
-      };
+      // Start and end chosen for this route (saved home location by default)
+      const startingPoint = await resolveStartPoint();
+      const endPoint = resolveEndPoint();
+      
+      // Load road distances for the day's stops (no-op for the Haversine model, cached otherwise)
+      const matrixProvider = getMatrixProvider();
+      await matrixProvider.prefetch([
+        startingPoint,
+        ...(endPoint ? [endPoint] : []),
+        ...appointments.map(appointment => appointment.client.address),
+      ]);
       
       // Run optimization algorithm
-      const optimizedRoute = routeOptimization.optimizeRoute(appointments, startingPoint);
+      let optimizedRoute;
+      if (routeType === 'groupWalk') {
+        const walkOption = walkOptions.find(item => item.key === walkKey);
+        
+        if (!walkOption) {
+          Alert.alert('Walk Location Needed', 'Choose where the group walk happens. You can save places in your Profile.');
+          setOptimizing(false);
+          return;
+        }
+        
+        const walkLocation = toRoutePoint(walkOption.location, 'walk');
+        await matrixProvider.prefetch([walkLocation]);
+        
+        optimizedRoute = optimizeGroupWalkRoute(appointments, startingPoint, {
+          matrixProvider,
+          endPoint,
+          walkLocation,
+          costModel,
+        });
+        
+        if (optimizedRoute.unassigned.length > 0) {
+          Alert.alert(
+            'Some Pets Left Out',
+            optimizedRoute.unassigned
+              .map(item => `${item.clientName || 'Client'}: ${item.reason}`)
+              .join('\n')
+          );
+        }
+      } else {
+        // The user's own objective first, then the usual alternatives to compare it with
+        const { plans } = await routeOptimization.optimizeRouteAlternativesAsync(appointments, startingPoint, {
+          matrixProvider,
+          endPoint,
+          breaks: breakRules,
+          shift: getShift(),
+          objectives: [...new Set([routeObjective, ...routeOptimization.ALTERNATIVE_OBJECTIVES])],
+          costModel,
+          ...beginOptimizationRun(),
+        });
+        endOptimizationRun();
+        
+        // Objectives that disagree leave the user a choice; the route is saved once they pick
+        if (plans.length > 1) {
+          setAlternatives({ plans, appointments, matrixProvider });
+          return;
+        }
+        
+        optimizedRoute = plans[0];
+        
+        // Keep what went into the run so it can be reproduced later
+        optimizedRoute.run = createRunRecord(appointments, optimizedRoute, matrixProvider);
+      }
+      
+      confirmAndSaveRoute(optimizedRoute);
+    } catch (error) {
+      endOptimizationRun();
+      setOptimizing(false);
+      
+      // Cancelling is the user's choice, not a failure
+      if (isCancellationError(error)) return;
+      
+      console.error('Error creating route:', error);
+      Alert.alert('Error', 'Failed to create route. Please try again.');
+    }
+  };
+  
+  // Save a plan, first letting the user decide whether one that misses
+  // appointment times is still worth saving
+  const confirmAndSaveRoute = (optimizedRoute) => {
+    if (optimizedRoute.unmetTimeWindows.length > 0) {
+      const details = optimizedRoute.unmetTimeWindows
+        .map(item => `${item.clientName || 'Client'} at ${formatTime(item.scheduledTime)} (${item.lateness} min late)`)
+        .join('\n');
+      
+      Alert.alert(
+        optimizedRoute.feasible ? 'Some Visits Will Be Late' : 'Route Not Feasible',
+        `These appointments can't be reached on time:\n\n${details}`,
+        [
+          { text: 'Cancel', style: 'cancel', onPress: () => setOptimizing(false) },
+          { text: 'Save Anyway', onPress: () => saveRoute(optimizedRoute) },
+        ],
+        { cancelable: false }
+      );
+      return;
+    }
+    
+    saveRoute(optimizedRoute);
+  };
+  
+  const handleSelectAlternative = (plan) => {
+    const { appointments, matrixProvider } = alternatives;
+    setAlternatives(null);
+    
+    confirmAndSaveRoute({ ...plan, run: createRunRecord(appointments, plan, matrixProvider) });
+  };
+  
+  const handleCloseAlternatives = () => {
+    setAlternatives(null);
+    setOptimizing(false);
+  };
+
+  // Walkers without a start location can't be given a route
+  const plannableStaff = staff.filter(hasStartLocation);
+  const staffWithoutStart = staff.filter(staffMember => !hasStartLocation(staffMember));
+  
+  const handleCreateTeamRoutes = () => {
+    if (teamRoutes.length === 0) {
+      planTeamDay();
+      return;
+    }
+    
+    Alert.alert(
+      'Replace Team Routes?',
+      `${teamRoutes.length} team ${teamRoutes.length === 1 ? 'route is' : 'routes are'} already planned for this day.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace', style: 'destructive', onPress: planTeamDay },
+      ]
+    );
+  };
+  
+  // Split the day's appointments across the team and save one route per walker,
+  // replacing any team routes already planned for the day
+  const planTeamDay = async () => {
+    try {
+      setOptimizing(true);
+      
+      const appointments = await appointmentModel.getAppointmentsForRouting(currentUser.uid, routeDate);
+      
+      if (appointments.length === 0) {
+        Alert.alert('No Appointments', 'There are no appointments scheduled for this day to create routes.');
+        return;
+      }
+      
+      // Every walker's start location and every client need to be in the matrix
+      const matrixProvider = getMatrixProvider();
+      await matrixProvider.prefetch([
+        ...plannableStaff.map(staffMember => staffMember.startLocation),
+        ...appointments.map(appointment => appointment.client.address),
+      ]);
+      
+      const { plans, unassigned } = await planTeamRoutesAsync(appointments, plannableStaff, {
+        routeDate,
+        balance: balanceMode,
+        matrixProvider,
+        breaks: breakRules,
+        objective: routeObjective,
+        costModel,
+        ...beginOptimizationRun(),
+      });
+      endOptimizationRun();
+      
+      for (const teamRoute of teamRoutes) {
+        await routeModel.deleteRoute(teamRoute.id);
+      }
+      
+      // One route document per staff member
+      for (const plan of plans) {
+        const { staffMember, optimizedRoute } = plan;
+        await routeModel.createRoute({
+          routeDate,
+          userId: staffMember.userId || staffMember.id,
+          staffId: staffMember.id,
+          ownerId: currentUser.uid,
+          ...toRouteFields({
+            ...optimizedRoute,
+            run: createRunRecord(plan.appointments, optimizedRoute, matrixProvider),
+          }),
+        });
+      }
+      
+      const summary = plans
+        .map(plan => `${plan.staffMember.name}: ${plan.optimizedRoute.appointmentIds.length} stops, ${plan.optimizedRoute.totalDistance.toFixed(1)} km`)
+        .join('\n');
+      const unassignedDetails = unassigned
+        .map(item => `${item.clientName || 'Client'} at ${formatTime(item.scheduledTime)}: ${item.reason}`)
+        .join('\n');
+      
+      Alert.alert(
+        'Team Routes Created',
+        unassigned.length > 0
+          ? `${summary}\n\nNot assigned:\n${unassignedDetails}`
+          : summary
+      );
+      
+      await loadRoute();
+    } catch (error) {
+      endOptimizationRun();
+      if (isCancellationError(error)) return;
+      
+      console.error('Error creating team routes:', error);
+      Alert.alert('Error', 'Failed to create team routes. Please try again.');
+    } finally {
+      setOptimizing(false);
+    }
+  };
+
+  // Create a route for every day left this week that has appointments but no route yet
+  // Each day is optimized for the user's own objective; late visits are reported, not asked about
+  const handlePlanWeek = () => {
+    const days = getWeekDays(routeDate).filter(day =>
+      day >= startOfDay(new Date()) &&
+      !savedRoutes.some(saved => isSameDay(saved.routeDate, day)));
+    
+    if (days.length === 0) {
+      Alert.alert('Nothing to Plan', 'Every day left in this week already has a route.');
+      return;
+    }
+    
+    Alert.alert(
+      'Plan Week',
+      `Create routes for ${days.length} ${days.length === 1 ? 'day' : 'days'} without one this week?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Plan', onPress: () => planDays(days) },
+      ]
+    );
+  };
+  
+  const planDays = async (days) => {
+    try {
+      setOptimizing(true);
+      
+      const startingPoint = await resolveStartPoint();
+      const endPoint = resolveEndPoint();
+      const matrixProvider = getMatrixProvider();
+      const run = beginOptimizationRun();
+      const summary = [];
+      
+      for (let index = 0; index < days.length; index++) {
+        const day = days[index];
+        const dayLabel = day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+        const appointments = await appointmentModel.getAppointmentsForRouting(currentUser.uid, day);
+        
+        if (appointments.length === 0) {
+          summary.push(`${dayLabel}: no appointments`);
+          continue;
+        }
+        
+        await matrixProvider.prefetch([
+          startingPoint,
+          ...(endPoint ? [endPoint] : []),
+          ...appointments.map(appointment => appointment.client.address),
+        ]);
+        
+        // Progress runs across the whole week rather than restarting for each day
+        const optimizedRoute = await routeOptimization.optimizeRouteAsync(appointments, startingPoint, {
+          matrixProvider,
+          endPoint,
+          breaks: breakRules,
+          shift: getShift(day),
+          objective: routeObjective,
+          costModel,
+          signal: run.signal,
+          onProgress: update => run.onProgress({ ...update, progress: (index + update.progress) / days.length }),
+        });
+        optimizedRoute.run = createRunRecord(appointments, optimizedRoute, matrixProvider);
+        
+        await routeModel.createRoute({
+          routeDate: day,
+          userId: currentUser.uid,
+          ...toRouteFields(optimizedRoute),
+        });
+        
+        summary.push(
+          `${dayLabel}: ${optimizedRoute.appointmentIds.length} stops, ${optimizedRoute.totalDistance.toFixed(1)} km` +
+          (optimizedRoute.unmetTimeWindows.length > 0 ? `, ${optimizedRoute.unmetTimeWindows.length} late` : '') +
+          (optimizedRoute.unscheduled.length > 0 ? `, ${optimizedRoute.unscheduled.length} didn't fit` : '')
+        );
+      }
+      endOptimizationRun();
+      
+      Alert.alert('Week Planned', summary.join('\n'));
+      await loadRoute();
+    } catch (error) {
+      endOptimizationRun();
+      
+      // Days finished before cancelling stay saved
+      if (isCancellationError(error)) {
+        await loadRoute();
+        return;
+      }
+      
+      console.error('Error planning week:', error);
+      Alert.alert('Error', 'Failed to plan the week. Please try again.');
+    } finally {
+      setOptimizing(false);
+    }
+  };
+
+  const saveRoute = async (optimizedRoute) => {
+    try {
+      setOptimizing(true);
       
       // Save the route to Firestore
       const newRoute = await routeModel.createRoute({
-        routeDate: todayDate,
+        routeDate,
         userId: currentUser.uid,
-        appointmentIds: optimizedRoute.appointmentIds,
-        waypoints: optimizedRoute.waypoints,
-        optimizedPath: optimizedRoute.optimizedRoute,
-        startPoint: optimizedRoute.startPoint,
-        endPoint: optimizedRoute.endPoint,
-        totalDistance: optimizedRoute.totalDistance,
-        totalDuration: optimizedRoute.estimatedTravelTime,
+        ...toRouteFields(optimizedRoute),
       });
       
       // Reload the route with full details
       const completeRoute = await routeModel.getCompleteRoute(newRoute.id);
       setRoute(completeRoute);
+      setSavedRoutes(current => [completeRoute, ...current]);
       
       Alert.alert('Success', 'Route created successfully!');
     } catch (error) {
-      console.error('Error creating route:', error);
-      Alert.alert('Error', 'Failed to create route. Please try again.');
+      console.error('Error saving route:', error);
+      Alert.alert('Error', 'Failed to save route. Please try again.');
+    } finally {
+      setOptimizing(false);
+    }
+  };
+
+  // Run the route's original optimization again on its stored inputs and say
+  // whether it still comes out the same
+  const handleReplayRun = () => {
+    try {
+      const { matches, differences, notes } = compareReplay(route.run, replayRun(route.run));
+      const explanation = notes.length > 0 ? `\n\n${notes.join('\n')}` : '';
+      
+      Alert.alert(
+        matches ? 'Run Reproduced' : 'Run Differs',
+        (matches
+          ? 'Optimizing the stored inputs again gives the same route.'
+          : `The replay came out with a different ${differences.join(', ')}.`) + explanation
+      );
+    } catch (error) {
+      console.error('Error replaying route:', error);
+      Alert.alert('Error', error.message || 'Failed to replay this route.');
+    }
+  };
+
+  // Re-plan the stops still ahead from where the walker is now
+  // Picks up cancelled and newly booked appointments; completed stops stay as they were
+  const handleReoptimizeRoute = async () => {
+    // A visit under way isn't scheduled any more, so re-planning now would drop it
+    if ((route.appointments || []).some(appointment => appointment.status === 'in_progress')) {
+      Alert.alert('Visit in Progress', 'Finish the current stop before re-planning the rest of the day.');
+      return;
+    }
+    
+    try {
+      setOptimizing(true);
+      
+      const completedAppointmentIds = (route.appointments || [])
+        .filter(appointment => appointment.status === 'completed')
+        .map(appointment => appointment.id);
+      
+      // Scheduled appointments only, so cancelled and completed ones are left out
+      const remainingAppointments = await appointmentModel.getAppointmentsForRouting(currentUser.uid, routeDate);
+      
+      // Without location access, assume the walker is at the last stop they finished
+      let currentPosition;
+      try {
+        currentPosition = toRoutePoint(await getCurrentLocation(), 'start');
+      } catch (locationError) {
+        console.warn('Using last completed stop as current position:', locationError.message);
+        const lastCompleted = [...(route.waypoints || [])]
+          .reverse()
+          .find(waypoint => completedAppointmentIds.includes(waypoint.appointmentId));
+        currentPosition = lastCompleted || route.startPoint;
+      }
+      
+      const matrixProvider = getMatrixProvider();
+      await matrixProvider.prefetch([
+        currentPosition,
+        ...(route.endPoint ? [route.endPoint] : []),
+        ...remainingAppointments.map(appointment => appointment.client.address),
+      ]);
+      
+      // The day is already under way, so only the end of the shift still applies
+      const shift = getShift();
+      const replanned = await reoptimizeRouteAsync(route, remainingAppointments, currentPosition, {
+        matrixProvider,
+        completedAppointmentIds,
+        breaks: breakRules,
+        shift: shift && { end: shift.end },
+        objective: routeObjective,
+        costModel,
+        ...beginOptimizationRun(),
+      });
+      endOptimizationRun();
+      
+      await routeModel.updateRoute(route.id, {
+        appointmentIds: replanned.appointmentIds,
+        waypoints: replanned.waypoints,
+        optimizedPath: replanned.optimizedRoute,
+        unscheduled: replanned.unscheduled,
+        totalDistance: replanned.totalDistance,
+        totalDuration: replanned.estimatedTravelTime,
+        totalLateness: replanned.totalLateness,
+        totalBreakTime: replanned.totalBreakTime,
+        algorithm: replanned.algorithm,
+        trafficProfile: replanned.trafficProfile,
+        objective: replanned.objective,
+        cost: replanned.cost,
+        optimal: false, // The day as a whole is no longer a single optimized tour
+      }, { keepHistory: true, reason: 'reoptimize' });
+      
+      const changes = [
+        replanned.addedAppointmentIds.length > 0 && `${replanned.addedAppointmentIds.length} added`,
+        replanned.removedAppointmentIds.length > 0 && `${replanned.removedAppointmentIds.length} removed`,
+      ].filter(Boolean);
+      
+      Alert.alert(
+        'Route Updated',
+        `${replanned.optimizedRoute.length} stops left` +
+          (changes.length > 0 ? ` (${changes.join(', ')})` : '') +
+          `, ${replanned.remainingDistance.toFixed(1)} km to go.`
+      );
+      
+      const completeRoute = await routeModel.getCompleteRoute(route.id);
+      setRoute(completeRoute);
+    } catch (error) {
+      endOptimizationRun();
+      if (isCancellationError(error)) return;
+      
+      console.error('Error re-optimizing route:', error);
+      Alert.alert('Error', 'Failed to re-optimize route. Please try again.');
+    } finally {
+      setOptimizing(false);
+    }
+  };
+
+  // Stops already done stay where they are; only the upcoming ones can be re-ordered
+  const completedCount = (route?.waypoints || []).filter(waypoint => waypoint.completed).length;
+  
+  // Driver mode runs on the day itself, once the walker has started the route
+  const driving = isToday && route?.status === 'in_progress';
+  const currentStopIndex = driving ? getCurrentStopIndex(route.waypoints) : -1;
+  
+  // Tracking outlives the screen, so ask whether this route is the one being tracked
+  useEffect(() => {
+    if (!driving) {
+      setTracking(false);
+      return;
+    }
+    
+    isTrackingRoute(route.id)
+      .then(setTracking)
+      .catch(() => setTracking(false));
+  }, [driving, route?.id]);
+  
+  // Keep the geofences on the stops still ahead whenever the route changes here
+  useEffect(() => {
+    if (!tracking || !driving) return;
+    
+    refreshGeofences(route.waypoints).catch(error =>
+      console.error('Error updating geofences:', error));
+  }, [tracking, route?.waypoints]);
+  
+  // Stops may have been checked in while the app was in the background
+  useEffect(() => {
+    if (!tracking) return undefined;
+    
+    const subscription = AppState.addEventListener('change', async (state) => {
+      if (state !== 'active') return;
+      
+      try {
+        setRoute(await routeModel.getCompleteRoute(route.id));
+      } catch (error) {
+        console.error('Error refreshing route:', error);
+      }
+    });
+    
+    return () => subscription.remove();
+  }, [tracking, route?.id]);
+  
+  // Schedule and distance for the order being edited, recalculated on every change
+  const orderPreview = useMemo(() => {
+    if (!editingOrder || !route) return null;
+    return reorderRoute(route, draftStops, {
+      matrixProvider: getMatrixProvider(),
+      breaks: breakRules,
+      costModel,
+    });
+  }, [editingOrder, route, draftStops, breakRules, trafficProfile, costModel]);
+  
+  const handleStartEditingOrder = async () => {
+    // The stop the walker is at has been checked in, so it can't be moved
+    if ((route.waypoints || []).some(waypoint => waypoint.actualArrivalTime && !waypoint.completed)) {
+      Alert.alert('Visit in Progress', 'Finish the current stop before changing the order of the rest.');
+      return;
+    }
+    
+    try {
+      const upcomingStops = getUpcomingStops(route);
+      
+      // Make sure every leg of any new order is in the matrix, from wherever it continues
+      await getMatrixProvider().prefetch([
+        route.startPoint,
+        ...(route.endPoint ? [route.endPoint] : []),
+        ...(route.waypoints || []).filter(waypoint => waypoint.type === 'current' || waypoint.completed),
+        ...upcomingStops,
+      ]);
+      
+      setDraftStops(upcomingStops);
+      setDraftPins(route.pinnedPositions || {});
+      setEditingOrder(true);
+    } catch (error) {
+      console.error('Error preparing route for editing:', error);
+      Alert.alert('Error', 'Failed to load road distances for this route. Please try again.');
+    }
+  };
+  
+  const handleMoveStop = (fromIndex, toIndex) => {
+    const reordered = [...draftStops];
+    const [stop] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, stop);
+    
+    // Pinned stops stay pinned wherever they end up in the new order
+    const pins = {};
+    reordered.forEach((item, index) => {
+      if (draftPins[item.appointmentId] !== undefined) {
+        pins[item.appointmentId] = completedCount + index;
+      }
+    });
+    
+    setDraftStops(reordered);
+    setDraftPins(pins);
+  };
+  
+  const handleTogglePin = (stop, index) => {
+    setDraftPins(draftPins[stop.appointmentId] !== undefined
+      ? unpinStop(draftPins, stop.appointmentId)
+      : pinStop(draftPins, stop.appointmentId, completedCount + index));
+  };
+  
+  const handleSaveOrder = async () => {
+    try {
+      setOptimizing(true);
+      
+      await routeModel.updateRoute(route.id, {
+        appointmentIds: orderPreview.appointmentIds,
+        waypoints: orderPreview.waypoints,
+        optimizedPath: draftStops,
+        totalDistance: orderPreview.totalDistance,
+        totalDuration: orderPreview.estimatedTravelTime,
+        totalLateness: orderPreview.totalLateness,
+        totalBreakTime: orderPreview.totalBreakTime,
+        pinnedPositions: draftPins,
+        manualOrder: true,
+        algorithm: 'manual',
+        trafficProfile: trafficProfile.name,
+        cost: orderPreview.cost,
+        optimal: false,
+      }, { keepHistory: true, reason: 'manual-reorder' });
+      
+      const completeRoute = await routeModel.getCompleteRoute(route.id);
+      setRoute(completeRoute);
+      setEditingOrder(false);
+    } catch (error) {
+      console.error('Error saving stop order:', error);
+      Alert.alert('Error', 'Failed to save the new order. Please try again.');
     } finally {
       setOptimizing(false);
     }
   };
 
+  // Push an appointment that didn't fit to the same time the next day
+  const handleMoveToNextDay = async (item) => {
+    try {
+      const nextDay = new Date(item.scheduledTime);
+      nextDay.setDate(nextDay.getDate() + 1);
+      
+      await appointmentModel.updateAppointment(item.appointmentId, { date: nextDay });
+      
+      const unscheduled = route.unscheduled.filter(entry => entry.appointmentId !== item.appointmentId);
+      await routeModel.updateRoute(route.id, { unscheduled });
+      setRoute({ ...route, unscheduled });
+    } catch (error) {
+      console.error('Error moving appointment:', error);
+    }
+  };
+
+  // Switch the route into driver mode for the day
+  const handleStartDay = async () => {
+    try {
+      const startedAt = new Date();
+      await routeModel.updateRoute(route.id, { status: 'in_progress', startedAt });
+      setRoute({ ...route, status: 'in_progress', startedAt });
+      
+      if (userProfile?.tracking?.enabled) {
+        await handleStartTracking();
+      }
+      
+      // Leaving for the first stop is the walker's first "on my way"
+      if (hasNotificationGateway()) {
+        setMessageNotice(describeSentMessages(await notifyFirstClient(route.waypoints, { senderName })));
+      } else {
+        setMessageNotice('Clients won\'t be messaged today: no SMS or email gateway is set up');
+      }
+    } catch (error) {
+      console.error('Error starting the day:', error);
+    }
+  };
+  
+  // Follow the route in the background and check stops in automatically
+  // The day carries on without it if location access is refused
+  const handleStartTracking = async () => {
+    try {
+      await startRouteTracking(route, userProfile.tracking, { trafficProfile, senderName });
+      setTracking(true);
+    } catch (error) {
+      console.error('Error starting tracking:', error);
+      Alert.alert('Automatic Check-In Off', `${error.message}. You can still check in with the Arrived and Done buttons.`);
+    }
+  };
+  
+  const handleToggleTracking = async () => {
+    if (!tracking) {
+      await handleStartTracking();
+      return;
+    }
+    
+    try {
+      await stopRouteTracking();
+      setTracking(false);
+    } catch (error) {
+      console.error('Error stopping tracking:', error);
+    }
+  };
+  
+  // Check the walker in to or out of the current stop, then re-project the rest of
+  // the day from the real clock and move the appointment's status along
+  const handleStopEvent = async (event) => {
+    try {
+      setRecordingStop(true);
+      
+      const { updates, progress, notifications } = await saveStopEvent(route, getCurrentStopIndex(route.waypoints), event, {
+        matrixProvider: getMatrixProvider(),
+        senderName,
+      });
+      if (hasNotificationGateway()) {
+        setMessageNotice(describeSentMessages(notifications));
+      }
+      
+      if (tracking && updates.status === 'completed') {
+        await stopRouteTracking();
+        setTracking(false);
+      }
+      
+      setRoute({
+        ...route,
+        ...updates,
+        appointments: (route.appointments || []).map(appointment =>
+          (progress && appointment.id === progress.appointmentId
+            ? { ...appointment, status: progress.status }
+            : appointment)),
+      });
+    } catch (error) {
+      console.error('Error recording stop:', error);
+      Alert.alert('Error', 'Failed to update the stop. Please try again.');
+    } finally {
+      setRecordingStop(false);
+    }
+  };
+  
+  const handleNavigateToStop = async (waypoint) => {
+    try {
+      await openDirections(waypoint);
+    } catch (error) {
+      console.error('Error opening directions:', error);
+      Alert.alert('Error', error.message || 'Could not open directions.');
+    }
+  };
+
   const handleViewOnMap = () => {
-    // Navigate to route map screen - to be implemented
     navigation.navigate('RouteMap', { routeId: route.id });
   };
+  
+  const handleViewTeamRoute = (teamRoute) => {
+    navigation.navigate('RouteMap', { routeId: teamRoute.id });
+  };
 
   const formatTime = (date) => {
     if (!date) return '';
     const options = { hour: 'numeric', minute: '2-digit' };
     return date.toLocaleTimeString(undefined, options);
   };
+  
+  // A check-in time, marked when the geofence made it rather than the walker
+  const formatCheckIn = (date, source) =>
+    `${formatTime(date)}${source === CHECK_IN_SOURCES.GEOFENCE ? ' (auto)' : ''}`;
+
+  // Stage and progress bar of a running optimization, with a Cancel button
+  const renderOptimizationProgress = () => {
+    if (!progress) return null;
+    
+    const percent = Math.round(progress.progress * 100);
+    
+    return (
+      <View style={styles.progressContainer}>
+        <Text style={styles.progressLabel}>
+          {PROGRESS_STAGE_LABELS[progress.stage] || 'Optimizing'}... {percent}%
+        </Text>
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${percent}%` }]} />
+        </View>
+        <TouchableOpacity style={styles.cancelButton} onPress={handleCancelOptimization}>
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  // Row of selectable chips for choosing where the route starts or ends
+  const renderLocationPicker = (label, options, selectedKey, onSelect) => (
+    <View style={styles.pickerContainer}>
+      <Text style={styles.pickerLabel}>{label}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {options.map(option => (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles.toggleButton, selectedKey === option.key && styles.toggleButtonActive]}
+            onPress={() => onSelect(option.key)}
+          >
+            <Text style={[styles.toggleText, selectedKey === option.key && styles.toggleTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+
+  // Describe the drive leading into a waypoint, e.g. "12 min drive · 4.3 km"
+  const formatLeg = (waypoint) => {
+    const distance = (waypoint.legDistance || 0).toFixed(1);
+    return `${waypoint.legDuration} min drive · ${distance} km`;
+  };
 
-  if (loading) {
+  // Only the first load covers the whole screen; switching days keeps the week strip up
+  if (loading && !userProfile) {
     return (
       <View style={styles.loadingContainer}>
         <ActivityIndicator size="large" color="#1e88e5" />
@@ -127,18 +1051,58 @@ const RoutesScreen = ({ navigation }) => {
   return (
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.title}>Today's Route</Text>
-        <Text style={styles.date}>
-          {todayDate.toDateString()}
-        </Text>
+        <View>
+          <Text style={styles.title}>{isToday ? 'Today\'s Route' : 'Route'}</Text>
+          <Text style={styles.date}>
+            {routeDate.toDateString()}
+          </Text>
+        </View>
+        <View style={styles.headerButtons}>
+          <TouchableOpacity
+            style={styles.headerButton}
+            onPress={handlePlanWeek}
+            disabled={optimizing}
+          >
+            <Ionicons name="calendar-outline" size={22} color={optimizing ? '#999' : '#1e88e5'} />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.headerButton} onPress={() => setShowingHistory(true)}>
+            <Ionicons name="time-outline" size={22} color="#1e88e5" />
+          </TouchableOpacity>
+        </View>
       </View>
+      
+      <WeekStrip
+        selectedDate={routeDate}
+        routeDates={savedRoutes.map(saved => saved.routeDate)}
+        onSelect={setRouteDate}
+      />
 
-      {!route ? (
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#1e88e5" />
+        </View>
+      ) : !route && isPast ? (
         <View style={styles.emptyContainer}>
-          <Text style={styles.emptyText}>No route planned for today</Text>
+          <Text style={styles.emptyText}>No route was planned for this day</Text>
+          {renderOptimizationProgress()}
+          <TeamRoutes routes={teamRoutes} staff={staff} onSelect={handleViewTeamRoute} />
+        </View>
+      ) : !route ? (
+        <ScrollView contentContainerStyle={styles.emptyScroll}>
+          <Text style={styles.emptyText}>No route planned for {isToday ? 'today' : 'this day'}</Text>
           <Text style={styles.emptySubText}>
             Create an optimized route for your appointments
           </Text>
+          {renderLocationPicker(
+            'Route Type',
+            [{ key: 'visits', label: 'Individual Visits' }, { key: 'groupWalk', label: 'Group Walks' }],
+            routeType,
+            setRouteType
+          )}
+          {routeType === 'groupWalk' &&
+            renderLocationPicker('Walk Location', walkOptions, walkKey, setWalkKey)}
+          {renderLocationPicker('Start', startOptions, startKey, setStartKey)}
+          {renderLocationPicker('Finish', endOptions, endKey, setEndKey)}
           <TouchableOpacity
             style={[styles.createButton, optimizing && styles.buttonDisabled]}
             onPress={handleCreateRoute}
@@ -153,9 +1117,80 @@ const RoutesScreen = ({ navigation }) => {
               </>
             )}
           </TouchableOpacity>
-        </View>
+          
+          {renderOptimizationProgress()}
+          
+          {staff.length === 0 && (
+            <Text style={styles.teamHint}>Add walkers under Team in your Profile to plan routes for them too</Text>
+          )}
+          
+          {staff.length > 0 && (
+            <View style={styles.teamContainer}>
+              <Text style={styles.teamLabel}>Balance team routes by</Text>
+              <View style={styles.toggleRow}>
+                {[
+                  { mode: BALANCE_MODES.DISTANCE, label: 'Total Distance' },
+                  { mode: BALANCE_MODES.WORKLOAD, label: 'Even Workload' },
+                ].map(option => (
+                  <TouchableOpacity
+                    key={option.mode}
+                    style={[styles.toggleButton, balanceMode === option.mode && styles.toggleButtonActive]}
+                    onPress={() => setBalanceMode(option.mode)}
+                  >
+                    <Text style={[styles.toggleText, balanceMode === option.mode && styles.toggleTextActive]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <TouchableOpacity
+                style={[styles.teamButton, (optimizing || plannableStaff.length === 0) && styles.buttonDisabled]}
+                onPress={handleCreateTeamRoutes}
+                disabled={optimizing || plannableStaff.length === 0}
+              >
+                <Ionicons name="people" size={20} color="white" style={styles.buttonIcon} />
+                <Text style={styles.createButtonText}>
+                  Plan Routes for {plannableStaff.length} {plannableStaff.length === 1 ? 'Walker' : 'Walkers'}
+                </Text>
+              </TouchableOpacity>
+              {staffWithoutStart.length > 0 && (
+                <Text style={styles.teamHint}>
+                  {staffWithoutStart.map(staffMember => staffMember.name).join(', ')} left out: no start location
+                </Text>
+              )}
+            </View>
+          )}
+          
+          <TeamRoutes routes={teamRoutes} staff={staff} onSelect={handleViewTeamRoute} />
+        </ScrollView>
       ) : (
-        <ScrollView contentContainerStyle={styles.scrollView}>
+        <ScrollView contentContainerStyle={styles.scrollView} scrollEnabled={scrollEnabled}>
+          {isToday && (!route.status || route.status === 'planned') && (
+            <TouchableOpacity
+              style={[styles.startDayButton, optimizing && styles.buttonDisabled]}
+              onPress={handleStartDay}
+              disabled={optimizing}
+            >
+              <Ionicons name="play" size={20} color="white" style={styles.buttonIcon} />
+              <Text style={styles.mapButtonText}>Start Day</Text>
+            </TouchableOpacity>
+          )}
+          
+          {(driving || route.status === 'completed') && (
+            <DriverPanel
+              stop={currentStopIndex >= 0 ? route.waypoints[currentStopIndex] : null}
+              progress={getDriverProgress(route.waypoints)}
+              finishTime={route.completedAt}
+              busy={recordingStop}
+              onArrived={() => handleStopEvent(DRIVER_EVENTS.ARRIVED)}
+              onDone={() => handleStopEvent(DRIVER_EVENTS.DONE)}
+              onNavigate={() => handleNavigateToStop(route.waypoints[currentStopIndex])}
+              tracking={tracking}
+              notice={messageNotice}
+              onToggleTracking={driving && userProfile?.tracking?.enabled ? handleToggleTracking : null}
+            />
+          )}
+          
           <View style={styles.statsContainer}>
             <View style={styles.statCard}>
               <Text style={styles.statValue}>
@@ -168,15 +1203,96 @@ const RoutesScreen = ({ navigation }) => {
                 {Math.round(route.totalDistance || 0)} km
               </Text>
               <Text style={styles.statLabel}>Distance</Text>
+              {route.initialDistance > route.totalDistance && (
+                <Text style={styles.statSubLabel}>
+                  {(route.initialDistance - route.totalDistance).toFixed(1)} km saved
+                </Text>
+              )}
             </View>
             <View style={styles.statCard}>
               <Text style={styles.statValue}>
                 {Math.round(route.totalDuration || 0)} min
               </Text>
               <Text style={styles.statLabel}>Travel Time</Text>
+              {route.trafficProfile && (
+                <Text style={styles.statSubLabel}>
+                  {getTrafficProfileLabel({ name: route.trafficProfile })} traffic
+                </Text>
+              )}
+              {route.totalBreakTime > 0 && (
+                <Text style={styles.statSubLabel}>
+                  + {route.totalBreakTime} min breaks
+                </Text>
+              )}
             </View>
           </View>
 
+          {route.algorithm && (
+            <View style={styles.algorithmRow}>
+              <Ionicons
+                name={route.optimal ? 'checkmark-circle' : 'analytics'}
+                size={16}
+                color={route.optimal ? '#4caf50' : '#666'}
+              />
+              <Text style={styles.algorithmText}>
+                {route.optimal
+                  ? `${route.objective === ROUTE_OBJECTIVES.COST ? 'Cheapest' : 'Shortest'} possible route (exact solver)`
+                  : route.algorithm === 'manual'
+                  ? 'Stop order set by hand'
+                  : `Heuristic route (${ALGORITHM_LABELS[route.algorithm] || route.algorithm})`}
+              </Text>
+              {route.run && (
+                <TouchableOpacity onPress={handleReplayRun}>
+                  <Text style={styles.replayText}>Replay</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+
+          {route.cost && (
+            <View style={styles.costCard}>
+              <View style={styles.costHeader}>
+                <Text style={styles.costTitle}>Day Cost</Text>
+                <Text style={styles.costTotal}>{route.cost.total.toFixed(2)}</Text>
+              </View>
+              <Text style={styles.costDetail}>
+                Fuel {route.cost.fuel.toFixed(2)} ({route.cost.fuelUsed.toFixed(1)} L) · Wear {route.cost.wear.toFixed(2)} · Wage {route.cost.labor.toFixed(2)} ({(route.cost.workMinutes / 60).toFixed(1)} h)
+              </Text>
+            </View>
+          )}
+
+          {route.unscheduled?.length > 0 && (
+            <View style={styles.unscheduledCard}>
+              <Text style={styles.unscheduledTitle}>
+                Didn't fit {isToday ? 'today' : 'this day'} ({route.unscheduled.length})
+              </Text>
+              {route.unscheduled.map(item => (
+                <View key={item.appointmentId} style={styles.unscheduledRow}>
+                  <View style={styles.unscheduledInfo}>
+                    <Text style={styles.unscheduledName}>
+                      {item.clientName || 'Client'} · {item.serviceType}
+                    </Text>
+                    <Text style={styles.unscheduledReason}>
+                      {formatTime(item.scheduledTime)}
+                      {item.priority !== PRIORITIES.NORMAL ? ` · ${PRIORITY_LABELS[item.priority]}` : ''}
+                      {` · ${item.reason}`}
+                    </Text>
+                  </View>
+                  {!isPast && (
+                    <TouchableOpacity
+                      style={styles.moveButton}
+                      onPress={() => handleMoveToNextDay(item)}
+                    >
+                      <Text style={styles.moveButtonText}>Move to Next Day</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+            </View>
+          )}
+
+          <TeamRoutes routes={teamRoutes} staff={staff} onSelect={handleViewTeamRoute} />
+          
           <TouchableOpacity
             style={styles.mapButton}
             onPress={handleViewOnMap}
@@ -185,55 +1301,204 @@ const RoutesScreen = ({ navigation }) => {
             <Text style={styles.mapButtonText}>View on Map</Text>
           </TouchableOpacity>
 
-          <Text style={styles.sectionTitle}>Route Details</Text>
-
-          <View style={styles.timelineContainer}>
-            {route.waypoints?.map((waypoint, index) => (
-              <View key={index} style={styles.timelineItem}>
-                <View style={styles.timeContainer}>
-                  <Text style={styles.timeText}>
-                    {waypoint.type === 'start' ? 'Start' : 
-                     waypoint.type === 'end' ? 'Return' : 
-                     formatTime(waypoint.arrivalTime)}
-                  </Text>
-                </View>
-                <View style={styles.timelineLine}>
-                  <View
-                    style={[
-                      styles.timelineCircle,
-                      waypoint.type === 'start'
-                        ? styles.startCircle
+          {/* Re-planning starts from where the walker is, so it only makes sense on the day */}
+          {isToday && (
+            <TouchableOpacity
+              style={[styles.reoptimizeButton, optimizing && styles.buttonDisabled]}
+              onPress={handleReoptimizeRoute}
+              disabled={optimizing}
+            >
+              <Ionicons name="refresh" size={20} color="white" style={styles.buttonIcon} />
+              <Text style={styles.mapButtonText}>Re-optimize Remaining Stops</Text>
+            </TouchableOpacity>
+          )}
+          {renderOptimizationProgress()}
+          {route.version > 1 && (
+            <Text style={styles.versionText}>
+              Re-planned {route.version - 1} {route.version === 2 ? 'time' : 'times'}
+            </Text>
+          )}
+
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Route Details</Text>
+            {!editingOrder && !isPast && route.algorithm !== 'group-walk-trips' && (
+              <TouchableOpacity onPress={handleStartEditingOrder} disabled={optimizing}>
+                <Text style={styles.sectionAction}>Edit Order</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {editingOrder ? (
+            <>
+              <Text style={styles.editHint}>
+                Drag stops to change the order. Pin a stop to keep it at its position when the route is re-optimized.
+              </Text>
+              {orderPreview && (
+                <Text style={styles.editSummary}>
+                  {orderPreview.totalDistance.toFixed(1)} km · {orderPreview.estimatedTravelTime} min driving
+                  {orderPreview.unmetTimeWindows.length > 0
+                    ? ` · ${orderPreview.unmetTimeWindows.length} late`
+                    : ''}
+                </Text>
+              )}
+              <ReorderableStopList
+                stops={draftStops}
+                waypoints={orderPreview
+                  ? orderPreview.waypoints.filter(waypoint =>
+                    !waypoint.completed && !['start', 'current', 'end', 'break'].includes(waypoint.type))
+                  : []}
+                pinnedPositions={draftPins}
+                positionOffset={completedCount}
+                onMove={handleMoveStop}
+                onTogglePin={handleTogglePin}
+                onDragStateChange={dragging => setScrollEnabled(!dragging)}
+              />
+              <View style={styles.editButtons}>
+                <TouchableOpacity
+                  style={[styles.editButton, styles.editCancelButton]}
+                  onPress={() => setEditingOrder(false)}
+                  disabled={optimizing}
+                >
+                  <Text style={styles.editCancelText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.editButton, styles.editSaveButton, optimizing && styles.buttonDisabled]}
+                  onPress={handleSaveOrder}
+                  disabled={optimizing}
+                >
+                  <Text style={styles.createButtonText}>Save Order</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : (
+            <View style={styles.timelineContainer}>
+              {route.waypoints?.map((waypoint, index) => (
+                <View
+                  key={index}
+                  style={[styles.timelineItem, index === currentStopIndex && styles.currentTimelineItem]}
+                >
+                  <View style={styles.timeContainer}>
+                    <Text style={styles.timeText}>
+                      {waypoint.type === 'start' || waypoint.type === 'current'
+                        ? formatTime(waypoint.departureTime) || 'Start'
                         : waypoint.type === 'end'
-                        ? styles.endCircle
-                        : styles.appointmentCircle,
-                    ]}
-                  />
-                  {index < route.waypoints.length - 1 && (
-                    <View style={styles.timelineVerticalLine} />
-                  )}
-                </View>
-                <View style={styles.waypointContainer}>
-                  <Text style={styles.waypointTitle}>
-                    {waypoint.type === 'start'
-                      ? 'Start from Home/Office'
-                      : waypoint.type === 'end'
-                      ? 'Return to Home/Office'
-                      : waypoint.serviceType}
-                  </Text>
-                  <Text style={styles.waypointSubtitle}>
-                    {waypoint.type === 'appointment'
-                      ? waypoint.clientName || 'Client'
-                      : waypoint.address}
-                  </Text>
-                  <Text style={styles.waypointAddress} numberOfLines={1}>
-                    {waypoint.address}
-                  </Text>
+                        ? formatTime(waypoint.arrivalTime) || 'Return'
+                        : waypoint.type === 'break'
+                        ? formatTime(waypoint.serviceStartTime)
+                        : formatTime(waypoint.arrivalTime)}
+                    </Text>
+                  </View>
+                  <View style={styles.timelineLine}>
+                    <View
+                      style={[
+                        styles.timelineCircle,
+                        waypoint.completed
+                          ? styles.completedCircle
+                          : waypoint.type === 'start'
+                          ? styles.startCircle
+                          : waypoint.type === 'current'
+                          ? styles.currentCircle
+                          : waypoint.type === 'end'
+                          ? styles.endCircle
+                          : waypoint.type === 'walk'
+                          ? styles.walkCircle
+                          : waypoint.type === 'break'
+                          ? styles.breakCircle
+                          : styles.appointmentCircle,
+                      ]}
+                    />
+                    {index < route.waypoints.length - 1 && (
+                      <View style={styles.timelineVerticalLine} />
+                    )}
+                  </View>
+                  <View style={styles.waypointContainer}>
+                    {waypoint.type !== 'start' && waypoint.legDuration > 0 && (
+                      <Text style={styles.legText}>
+                        {formatLeg(waypoint)}
+                      </Text>
+                    )}
+                    <Text style={styles.waypointTitle}>
+                      {waypoint.type === 'start'
+                        ? `Start from ${waypoint.name || 'Home/Office'}`
+                        : waypoint.type === 'current'
+                        ? `Re-planned from ${waypoint.name || 'current location'}`
+                        : waypoint.type === 'end'
+                        ? `Finish at ${waypoint.name || 'Home/Office'}`
+                        : waypoint.type === 'pickup'
+                        ? `Pick up ${waypoint.petName || 'pet'}`
+                        : waypoint.type === 'dropoff'
+                        ? `Drop off ${waypoint.petName || 'pet'}`
+                        : waypoint.type === 'walk'
+                        ? `Group walk at ${waypoint.name} (${waypoint.petCount} pets)`
+                        : waypoint.type === 'break'
+                        ? `${waypoint.clientName} (${waypoint.duration} min)`
+                        : waypoint.serviceType}
+                    </Text>
+                    {waypoint.type === 'break' ? (
+                      <Text style={styles.waypointSubtitle}>
+                        {waypoint.waitTime > 0 ? `Wait ${waypoint.waitTime} min · ` : ''}
+                        Back to work {formatTime(waypoint.departureTime)}
+                      </Text>
+                    ) : (
+                      <>
+                        <Text style={styles.waypointSubtitle}>
+                          {['appointment', 'pickup', 'dropoff'].includes(waypoint.type)
+                            ? waypoint.clientName || 'Client'
+                            : waypoint.address}
+                        </Text>
+                        <Text style={styles.waypointAddress} numberOfLines={1}>
+                          {waypoint.address}
+                        </Text>
+                      </>
+                    )}
+                    {waypoint.completed ? (
+                      <Text style={styles.scheduleText}>
+                        {waypoint.actualDepartureTime
+                          ? `Arrived ${formatCheckIn(waypoint.actualArrivalTime, waypoint.arrivalSource)} · Done ${formatCheckIn(waypoint.actualDepartureTime, waypoint.departureSource)}`
+                          : 'Completed'}
+                      </Text>
+                    ) : ['appointment', 'pickup', 'dropoff', 'walk'].includes(waypoint.type) && (
+                      <Text style={styles.scheduleText}>
+                        {waypoint.actualArrivalTime ? `Arrived ${formatCheckIn(waypoint.actualArrivalTime, waypoint.arrivalSource)} · ` : ''}
+                        {waypoint.type === 'appointment' && waypoint.duration ? `${waypoint.duration} min visit · ` : ''}
+                        {waypoint.waitTime > 0 ? `Wait ${waypoint.waitTime} min · ` : ''}
+                        Leave {formatTime(waypoint.departureTime)}
+                      </Text>
+                    )}
+                    {waypoint.lateness > 0 && (
+                      <Text style={styles.lateText}>
+                        {waypoint.lateness} min late
+                      </Text>
+                    )}
+                    {route.pinnedPositions?.[waypoint.appointmentId] !== undefined && (
+                      <Text style={styles.pinnedText}>
+                        Pinned at stop {route.pinnedPositions[waypoint.appointmentId] + 1}
+                      </Text>
+                    )}
+                  </View>
                 </View>
-              </View>
-            ))}
-          </View>
+              ))}
+            </View>
+          )}
         </ScrollView>
       )}
+      
+      <RouteHistory
+        visible={showingHistory}
+        routes={savedRoutes}
+        onSelect={date => {
+          setShowingHistory(false);
+          setRouteDate(startOfDay(date));
+        }}
+        onClose={() => setShowingHistory(false)}
+      />
+      
+      <RouteAlternatives
+        visible={!!alternatives}
+        plans={alternatives?.plans}
+        onSelect={handleSelectAlternative}
+        onClose={handleCloseAlternatives}
+      />
     </SafeAreaView>
   );
 };
@@ -249,12 +1514,21 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
     paddingHorizontal: 16,
-    paddingVertical: 12,
-    borderBottomWidth: 1,
-    borderBottomColor: '#eee',
+    paddingTop: 12,
+    paddingBottom: 4,
     backgroundColor: 'white',
   },
+  headerButtons: {
+    flexDirection: 'row',
+  },
+  headerButton: {
+    padding: 6,
+    marginLeft: 8,
+  },
   title: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -271,6 +1545,12 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     padding: 16,
   },
+  emptyScroll: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 16,
+  },
   emptyText: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -304,6 +1584,91 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     fontSize: 16,
   },
+  pickerContainer: {
+    alignSelf: 'stretch',
+    marginBottom: 12,
+  },
+  pickerLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 6,
+  },
+  progressContainer: {
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  progressLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 6,
+  },
+  progressTrack: {
+    alignSelf: 'stretch',
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#e0e0e0',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#1e88e5',
+  },
+  cancelButton: {
+    marginTop: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+  },
+  cancelButtonText: {
+    color: '#e53935',
+    fontWeight: 'bold',
+  },
+  teamContainer: {
+    alignItems: 'center',
+    marginTop: 32,
+  },
+  teamHint: {
+    fontSize: 13,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  teamLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  toggleButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#1e88e5',
+    marginHorizontal: 4,
+  },
+  toggleButtonActive: {
+    backgroundColor: '#1e88e5',
+  },
+  toggleText: {
+    fontSize: 14,
+    color: '#1e88e5',
+  },
+  toggleTextActive: {
+    color: 'white',
+  },
+  teamButton: {
+    backgroundColor: '#5c6bc0',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
   scrollView: {
     padding: 16,
   },
@@ -335,6 +1700,101 @@ const styles = StyleSheet.create({
     color: '#666',
     marginTop: 4,
   },
+  statSubLabel: {
+    fontSize: 10,
+    color: '#4caf50',
+    marginTop: 2,
+  },
+  algorithmRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+    paddingHorizontal: 4,
+  },
+  algorithmText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 6,
+  },
+  replayText: {
+    fontSize: 12,
+    color: '#1e88e5',
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  costCard: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  costHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  costTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  costTotal: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e88e5',
+  },
+  costDetail: {
+    fontSize: 12,
+    color: '#666',
+  },
+  unscheduledCard: {
+    backgroundColor: '#fff3e0',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  unscheduledTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#e65100',
+    marginBottom: 8,
+  },
+  unscheduledRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  unscheduledInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  unscheduledName: {
+    fontSize: 14,
+    color: '#333',
+    fontWeight: '600',
+  },
+  unscheduledReason: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  moveButton: {
+    backgroundColor: '#ff9800',
+    borderRadius: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  moveButtonText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: '600',
+  },
   mapButton: {
     backgroundColor: '#4caf50',
     flexDirection: 'row',
@@ -349,12 +1809,81 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     fontSize: 16,
   },
+  startDayButton: {
+    backgroundColor: '#ff9800',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 16,
+  },
+  reoptimizeButton: {
+    backgroundColor: '#5c6bc0',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 16,
+  },
+  versionText: {
+    fontSize: 12,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: 'bold',
     marginBottom: 12,
     color: '#333',
   },
+  sectionAction: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#1e88e5',
+  },
+  editHint: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  editSummary: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  editButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 24,
+  },
+  editButton: {
+    flex: 1,
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 8,
+    marginHorizontal: 4,
+  },
+  editCancelButton: {
+    borderWidth: 1,
+    borderColor: '#1e88e5',
+  },
+  editCancelText: {
+    color: '#1e88e5',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  editSaveButton: {
+    backgroundColor: '#1e88e5',
+  },
   timelineContainer: {
     backgroundColor: 'white',
     borderRadius: 8,
@@ -369,6 +1898,11 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     marginBottom: 24,
   },
+  currentTimelineItem: {
+    backgroundColor: '#fff3e0',
+    borderRadius: 8,
+    paddingVertical: 4,
+  },
   timeContainer: {
     width: 60,
     alignItems: 'flex-end',
@@ -395,6 +1929,18 @@ const styles = StyleSheet.create({
   appointmentCircle: {
     backgroundColor: '#1e88e5',
   },
+  currentCircle: {
+    backgroundColor: '#5c6bc0',
+  },
+  completedCircle: {
+    backgroundColor: '#9e9e9e',
+  },
+  walkCircle: {
+    backgroundColor: '#ff9800',
+  },
+  breakCircle: {
+    backgroundColor: '#8d6e63',
+  },
   endCircle: {
     backgroundColor: '#f44336',
   },
@@ -422,6 +1968,27 @@ const styles = StyleSheet.create({
     color: '#999',
     marginTop: 2,
   },
+  legText: {
+    fontSize: 12,
+    color: '#1e88e5',
+    marginBottom: 4,
+  },
+  scheduleText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  pinnedText: {
+    fontSize: 12,
+    color: '#1e88e5',
+    marginTop: 2,
+  },
+  lateText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#f44336',
+    marginTop: 2,
+  },
 });
 
 export default RoutesScreen;
@@ -0,0 +1,90 @@
+import React from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+const STATUS_LABELS = {
+  planned: 'Planned',
+  in_progress: 'On the road',
+  completed: 'Done',
+};
+
+// The routes planned for the team on the selected day, one row per walker
+// Picking one opens it on the route map
+const TeamRoutes = ({ routes = [], staff = [], onSelect }) => {
+  if (routes.length === 0) return null;
+
+  const staffName = (route) => {
+    const staffMember = staff.find(member => member.id === route.staffId);
+    return staffMember ? staffMember.name : 'Former walker';
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Team Routes</Text>
+      {routes.map(route => (
+        <TouchableOpacity key={route.id} style={styles.routeRow} onPress={() => onSelect(route)}>
+          <Ionicons name="person-circle-outline" size={28} color="#1e88e5" />
+          <View style={styles.routeInfo}>
+            <Text style={styles.staffName}>{staffName(route)}</Text>
+            <Text style={styles.routeDetails}>
+              {(route.appointmentIds || []).length} stops · {(route.totalDistance || 0).toFixed(1)} km
+              {route.totalLateness > 0 ? ` · ${route.totalLateness} min late` : ''}
+              {` · ${STATUS_LABELS[route.status] || STATUS_LABELS.planned}`}
+            </Text>
+          </View>
+          <Ionicons name="map-outline" size={20} color="#999" />
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignSelf: 'stretch',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginTop: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  routeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  routeInfo: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  staffName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  routeDetails: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+});
+
+export default TeamRoutes;
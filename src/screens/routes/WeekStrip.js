@@ -0,0 +1,170 @@
+import React from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Midnight at the start of a date's day
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+export const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+// The seven days (Monday first) of the week a date falls in
+export const getWeekDays = (date) => {
+  const monday = startOfDay(date);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+  return Array.from({ length: 7 }, (_, index) => {
+    const day = new Date(monday);
+    day.setDate(monday.getDate() + index);
+    return day;
+  });
+};
+
+// A week of days to pick from, with arrows to move a week at a time
+// Days that already have a route get a dot
+const WeekStrip = ({ selectedDate, routeDates = [], onSelect }) => {
+  const days = getWeekDays(selectedDate);
+  const today = new Date();
+  const showsToday = days.some(day => isSameDay(day, today));
+
+  const shiftWeek = (weeks) => {
+    const date = new Date(selectedDate);
+    date.setDate(date.getDate() + weeks * 7);
+    onSelect(startOfDay(date));
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.monthRow}>
+        <TouchableOpacity onPress={() => shiftWeek(-1)} style={styles.arrow}>
+          <Ionicons name="chevron-back" size={20} color="#1e88e5" />
+        </TouchableOpacity>
+        <Text style={styles.monthText}>
+          {days[0].toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+        </Text>
+        {!showsToday && (
+          <TouchableOpacity onPress={() => onSelect(startOfDay(today))}>
+            <Text style={styles.todayText}>Today</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity onPress={() => shiftWeek(1)} style={styles.arrow}>
+          <Ionicons name="chevron-forward" size={20} color="#1e88e5" />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.dayRow}>
+        {days.map(day => {
+          const selected = isSameDay(day, selectedDate);
+          const hasRoute = routeDates.some(date => isSameDay(date, day));
+
+          return (
+            <TouchableOpacity
+              key={day.getTime()}
+              style={[styles.day, selected && styles.daySelected]}
+              onPress={() => onSelect(day)}
+            >
+              <Text style={[styles.dayLabel, selected && styles.dayTextSelected]}>
+                {DAY_LABELS[day.getDay()]}
+              </Text>
+              <Text
+                style={[
+                  styles.dayNumber,
+                  isSameDay(day, today) && styles.dayNumberToday,
+                  selected && styles.dayTextSelected,
+                ]}
+              >
+                {day.getDate()}
+              </Text>
+              <View style={[styles.dot, hasRoute && (selected ? styles.dotSelected : styles.dotActive)]} />
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    paddingHorizontal: 8,
+    paddingBottom: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  monthRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  arrow: {
+    padding: 4,
+  },
+  monthText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginLeft: 4,
+  },
+  todayText: {
+    fontSize: 14,
+    color: '#1e88e5',
+    marginRight: 8,
+  },
+  dayRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  day: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 6,
+    marginHorizontal: 2,
+    borderRadius: 8,
+  },
+  daySelected: {
+    backgroundColor: '#1e88e5',
+  },
+  dayLabel: {
+    fontSize: 12,
+    color: '#666',
+  },
+  dayNumber: {
+    fontSize: 16,
+    color: '#333',
+    marginTop: 2,
+  },
+  dayNumberToday: {
+    color: '#1e88e5',
+    fontWeight: 'bold',
+  },
+  dayTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginTop: 4,
+  },
+  dotActive: {
+    backgroundColor: '#1e88e5',
+  },
+  dotSelected: {
+    backgroundColor: 'white',
+  },
+});
+
+export default WeekStrip;
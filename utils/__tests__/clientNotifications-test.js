@@ -0,0 +1,212 @@
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+  createFakeNotificationProvider,
+  hasNotificationGateway,
+  getClientContact,
+  getStopNotifications,
+  buildNotificationMessage,
+  notifyClientsForStopEvent,
+  notifyFirstClient,
+} from '../clientNotifications';
+import { DRIVER_EVENTS } from '../driverMode';
+
+// Clients are passed in through getClient; the model is never reached
+jest.mock('../../firebase/models/clientModel', () => ({}));
+
+const at = (time) => new Date(`2026-03-02T${time}:00`);
+
+const stop = (appointmentId, clientId, extra = {}) => ({
+  appointmentId,
+  clientId,
+  type: 'appointment',
+  serviceType: 'Walk',
+  petName: 'Rex',
+  arrivalTime: at('10:00'),
+  ...extra,
+});
+
+const start = { type: 'start', name: 'Home' };
+const end = { type: 'end', name: 'Home' };
+
+const CLIENTS = {
+  sam: { id: 'sam', name: 'Sam Jones', phone: '555-0101', email: 'sam@example.com' },
+  ana: { id: 'ana', name: 'Ana Lee', email: 'ana@example.com' },
+  kim: { id: 'kim', name: 'Kim Park', phone: '555-0103', notificationsOptOut: true },
+};
+const getClient = async (clientId) => CLIENTS[clientId] || null;
+
+const fakeProviders = () => ({
+  [NOTIFICATION_CHANNELS.SMS]: createFakeNotificationProvider({ channel: NOTIFICATION_CHANNELS.SMS }),
+  [NOTIFICATION_CHANNELS.EMAIL]: createFakeNotificationProvider({ channel: NOTIFICATION_CHANNELS.EMAIL }),
+});
+
+describe('getStopNotifications', () => {
+  it('sends a visit summary and tells the next client the walker is coming', () => {
+    const waypoints = [start, stop('a', 'sam'), stop('b', 'ana'), end];
+
+    expect(getStopNotifications(waypoints, 1, DRIVER_EVENTS.DONE)).toEqual([
+      { type: NOTIFICATION_TYPES.VISIT_COMPLETE, stop: waypoints[1] },
+      { type: NOTIFICATION_TYPES.ON_MY_WAY, stop: waypoints[2] },
+    ]);
+  });
+
+  it('sends nothing on arrival', () => {
+    const waypoints = [start, stop('a', 'sam'), stop('b', 'ana'), end];
+
+    expect(getStopNotifications(waypoints, 1, DRIVER_EVENTS.ARRIVED)).toEqual([]);
+  });
+
+  it('looks past breaks and finished stops for the next client', () => {
+    const waypoints = [
+      start,
+      stop('a', 'sam'),
+      { type: 'break', duration: 30 },
+      stop('b', 'kim', { completed: true }),
+      stop('c', 'ana'),
+      end,
+    ];
+
+    const [, onMyWay] = getStopNotifications(waypoints, 1, DRIVER_EVENTS.DONE);
+
+    expect(onMyWay.stop.appointmentId).toBe('c');
+  });
+
+  it('sends no "on my way" for back to back visits to the same client', () => {
+    const waypoints = [start, stop('a', 'sam'), stop('b', 'sam'), end];
+
+    expect(getStopNotifications(waypoints, 1, DRIVER_EVENTS.DONE).map(item => item.type))
+      .toEqual([NOTIFICATION_TYPES.VISIT_COMPLETE]);
+  });
+
+  it('tells nobody the walker is coming when the next stop is the walk itself', () => {
+    const waypoints = [start, stop('a', 'sam', { type: 'pickup' }), { type: 'walk', duration: 60 }, end];
+
+    expect(getStopNotifications(waypoints, 1, DRIVER_EVENTS.DONE)).toEqual([]);
+  });
+});
+
+describe('buildNotificationMessage', () => {
+  it('greets the client by first name and names the walker', () => {
+    const message = buildNotificationMessage(NOTIFICATION_TYPES.ON_MY_WAY, stop('a', 'sam'), CLIENTS.sam, { senderName: 'Alex' });
+
+    expect(message.subject).toMatch(/^On my way, ETA /);
+    expect(message.body).toMatch(/^Hi Sam, Alex is on the way for your Walk\. ETA /);
+  });
+
+  it('says a pickup is to collect the pet', () => {
+    const message = buildNotificationMessage(NOTIFICATION_TYPES.ON_MY_WAY, stop('a', 'sam', { type: 'pickup' }), CLIENTS.sam);
+
+    expect(message.body).toContain('your walker is on the way to pick up Rex');
+  });
+
+  it('sums up a finished visit with how long it took', () => {
+    const done = stop('a', 'sam', { actualArrivalTime: at('10:05'), actualDepartureTime: at('10:50') });
+
+    const message = buildNotificationMessage(NOTIFICATION_TYPES.VISIT_COMPLETE, done, CLIENTS.sam, { senderName: 'alex' });
+
+    expect(message.subject).toBe('Visit complete');
+    expect(message.body).toMatch(/^Hi Sam, your Walk is done\. Alex arrived at .+ and left at .+ \(45 min\)\.$/);
+  });
+
+  it('says a group walk pet is home', () => {
+    const message = buildNotificationMessage(NOTIFICATION_TYPES.VISIT_COMPLETE, stop('a', 'ana', { type: 'dropoff' }), CLIENTS.ana);
+
+    expect(message.body).toBe('Hi Ana, Rex is home from the group walk.');
+  });
+
+  it('refuses an unknown message type', () => {
+    expect(() => buildNotificationMessage('reminder', stop('a', 'sam'), CLIENTS.sam))
+      .toThrow('Unknown notification type: reminder');
+  });
+});
+
+describe('getClientContact', () => {
+  it('texts clients with a phone', () => {
+    expect(getClientContact(CLIENTS.sam, fakeProviders())).toEqual({ channel: NOTIFICATION_CHANNELS.SMS, to: '555-0101' });
+  });
+
+  it('emails clients without a phone', () => {
+    expect(getClientContact(CLIENTS.ana, fakeProviders())).toEqual({ channel: NOTIFICATION_CHANNELS.EMAIL, to: 'ana@example.com' });
+  });
+
+  it('falls back to email when there is no SMS gateway', () => {
+    const { email } = fakeProviders();
+
+    expect(getClientContact(CLIENTS.sam, { email })).toEqual({ channel: NOTIFICATION_CHANNELS.EMAIL, to: 'sam@example.com' });
+  });
+
+  it('leaves out clients who opted out or can\'t be reached', () => {
+    const { sms } = fakeProviders();
+
+    expect(getClientContact(CLIENTS.kim, fakeProviders())).toBeNull();
+    expect(getClientContact(CLIENTS.ana, { sms })).toBeNull();
+    expect(getClientContact(null, fakeProviders())).toBeNull();
+  });
+});
+
+describe('notifyClientsForStopEvent', () => {
+  it('sends each message through the client\'s channel', async () => {
+    const providers = fakeProviders();
+    const waypoints = [start, stop('a', 'sam'), stop('b', 'ana'), end];
+
+    const sent = await notifyClientsForStopEvent(waypoints, 1, DRIVER_EVENTS.DONE, { providers, getClient, senderName: 'Alex' });
+
+    expect(sent.map(({ type, clientName, channel }) => ({ type, clientName, channel }))).toEqual([
+      { type: NOTIFICATION_TYPES.VISIT_COMPLETE, clientName: 'Sam Jones', channel: NOTIFICATION_CHANNELS.SMS },
+      { type: NOTIFICATION_TYPES.ON_MY_WAY, clientName: 'Ana Lee', channel: NOTIFICATION_CHANNELS.EMAIL },
+    ]);
+    expect(providers.sms.sent).toHaveLength(1);
+    expect(providers.sms.sent[0]).toMatchObject({ to: '555-0101', subject: 'Visit complete' });
+    expect(providers.email.sent[0]).toMatchObject({ to: 'ana@example.com' });
+    expect(providers.email.sent[0].body).toContain('Alex is on the way');
+  });
+
+  it('skips clients who opted out or were deleted', async () => {
+    const providers = fakeProviders();
+    const waypoints = [start, stop('a', 'kim'), stop('b', 'gone'), end];
+
+    const sent = await notifyClientsForStopEvent(waypoints, 1, DRIVER_EVENTS.DONE, { providers, getClient });
+
+    expect(sent).toEqual([]);
+    expect(providers.sms.sent).toEqual([]);
+    expect(providers.email.sent).toEqual([]);
+  });
+
+  it('carries on past a message that fails to send', async () => {
+    const providers = fakeProviders();
+    providers.sms.send = async () => { throw new Error('Gateway down'); };
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const waypoints = [start, stop('a', 'sam'), stop('b', 'ana'), end];
+
+    const sent = await notifyClientsForStopEvent(waypoints, 1, DRIVER_EVENTS.DONE, { providers, getClient });
+
+    expect(sent.map(message => message.clientName)).toEqual(['Ana Lee']);
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  it('sends nothing and loads no clients without a gateway', async () => {
+    const loadClient = jest.fn(getClient);
+    const waypoints = [start, stop('a', 'sam'), stop('b', 'ana'), end];
+
+    const sent = await notifyClientsForStopEvent(waypoints, 1, DRIVER_EVENTS.DONE, { providers: {}, getClient: loadClient });
+
+    expect(hasNotificationGateway({})).toBe(false);
+    expect(sent).toEqual([]);
+    expect(loadClient).not.toHaveBeenCalled();
+  });
+});
+
+describe('notifyFirstClient', () => {
+  it('tells the first client the walker is on the way', async () => {
+    const providers = fakeProviders();
+    const waypoints = [start, stop('a', 'ana'), stop('b', 'sam'), end];
+
+    const sent = await notifyFirstClient(waypoints, { providers, getClient });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({ type: NOTIFICATION_TYPES.ON_MY_WAY, clientId: 'ana' });
+    expect(providers.email.sent).toHaveLength(1);
+  });
+});
@@ -0,0 +1,144 @@
+import { heldKarp, improveRoute, calculateRouteDistance } from '../routeOptimization';
+import { createSeededRandom, shuffle } from '../seededRandom';
+
+// Stops scattered over a few kilometres, the same every run
+const randomStops = (count, seed) => {
+  const random = createSeededRandom(seed);
+  return Array.from({ length: count }, (_, index) => ({
+    id: `stop-${index}`,
+    appointmentId: `stop-${index}`,
+    coordinates: {
+      latitude: 40.7 + random() * 0.05,
+      longitude: -74 + random() * 0.05,
+    },
+  }));
+};
+
+const home = { name: 'Home', coordinates: { latitude: 40.72, longitude: -73.98 } };
+
+const ids = (route) => route.map(stop => stop.appointmentId).sort();
+
+// Every order of the stops
+const permutations = (items) => {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+  );
+};
+
+// Shortest tour by trying every order
+const bruteForce = (startingPoint, stops, endPoint) =>
+  Math.min(...permutations(stops).map(order => calculateRouteDistance(startingPoint, order, endPoint)));
+
+describe('heldKarp', () => {
+  it('finds the shortest closed tour', () => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const stops = randomStops(7, seed);
+
+      const result = heldKarp(home, stops);
+
+      expect(result.totalDistance).toBeCloseTo(bruteForce(home, stops, home), 9);
+      expect(result.totalDistance).toBeCloseTo(calculateRouteDistance(home, result.route), 9);
+      expect(ids(result.route)).toEqual(ids(stops));
+    }
+  });
+
+  it('finds the shortest open tour', () => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const stops = randomStops(7, seed);
+
+      const result = heldKarp(home, stops, { endPoint: null });
+
+      expect(result.totalDistance).toBeCloseTo(bruteForce(home, stops, null), 9);
+      expect(result.totalDistance).toBeCloseTo(calculateRouteDistance(home, result.route, null), 9);
+      expect(ids(result.route)).toEqual(ids(stops));
+    }
+  });
+
+  it('finds the shortest tour to a different end point', () => {
+    const office = { name: 'Office', coordinates: { latitude: 40.75, longitude: -73.95 } };
+
+    for (let seed = 1; seed <= 5; seed++) {
+      const stops = randomStops(6, seed);
+
+      const result = heldKarp(home, stops, { endPoint: office });
+
+      expect(result.totalDistance).toBeCloseTo(bruteForce(home, stops, office), 9);
+    }
+  });
+
+  it('handles a single stop', () => {
+    const [stop] = randomStops(1, 1);
+
+    const result = heldKarp(home, [stop]);
+
+    expect(result.route).toEqual([stop]);
+    expect(result.totalDistance).toBeCloseTo(calculateRouteDistance(home, [stop]), 9);
+  });
+});
+
+describe('improveRoute', () => {
+  it('never makes a closed tour longer', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const tour = shuffle(randomStops(12, seed), createSeededRandom(seed));
+      const before = calculateRouteDistance(home, tour);
+
+      const result = improveRoute(home, tour);
+
+      expect(result.totalDistance).toBeLessThanOrEqual(before + 1e-9);
+      expect(result.totalDistance).toBeCloseTo(calculateRouteDistance(home, result.route), 9);
+      expect(ids(result.route)).toEqual(ids(tour));
+    }
+  });
+
+  it('never makes an open tour longer', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const tour = shuffle(randomStops(12, seed), createSeededRandom(seed));
+      const before = calculateRouteDistance(home, tour, null);
+
+      const result = improveRoute(home, tour, { endPoint: null });
+
+      expect(result.totalDistance).toBeLessThanOrEqual(before + 1e-9);
+      expect(result.totalDistance).toBeCloseTo(calculateRouteDistance(home, result.route, null), 9);
+      expect(ids(result.route)).toEqual(ids(tour));
+    }
+  });
+
+  it('never makes a tour longer when legs differ by direction', () => {
+    // One-way streets: heading north costs half again as much as heading south
+    const oneWayProvider = {
+      name: 'one-way',
+      getLeg: (from, to) => {
+        const distance = Math.abs(from.coordinates.latitude - to.coordinates.latitude) * 111 +
+          Math.abs(from.coordinates.longitude - to.coordinates.longitude) * 85;
+        const factor = to.coordinates.latitude > from.coordinates.latitude ? 1.5 : 1;
+        return { distance: distance * factor, duration: distance * factor * 2 };
+      },
+    };
+
+    for (let seed = 1; seed <= 10; seed++) {
+      const tour = randomStops(10, seed);
+      const before = calculateRouteDistance(home, tour, home, oneWayProvider);
+
+      const result = improveRoute(home, tour, { matrixProvider: oneWayProvider });
+
+      expect(result.totalDistance).toBeLessThanOrEqual(before + 1e-9);
+      expect(result.totalDistance).toBeCloseTo(
+        calculateRouteDistance(home, result.route, home, oneWayProvider),
+        9
+      );
+    }
+  });
+
+  it('untangles a tour that crosses itself', () => {
+    // Corners of a square visited diagonally; the best tour goes round the edge
+    const corner = (id, latitude, longitude) => ({ id, appointmentId: id, coordinates: { latitude, longitude } });
+    const start = corner('start', 40.70, -74.00);
+    const tour = [corner('b', 40.71, -73.99), corner('a', 40.71, -74.00), corner('c', 40.70, -73.99)];
+
+    const result = improveRoute(start, tour);
+
+    expect(result.route.map(stop => stop.id)).not.toEqual(['b', 'a', 'c']);
+    expect(result.totalDistance).toBeLessThan(calculateRouteDistance(start, tour));
+  });
+});
@@ -0,0 +1,160 @@
+import { reorderRoute, getUpcomingStops } from '../routeReoptimization';
+import { buildWaypoints } from '../routeOptimization';
+import { simulateSchedule } from '../routeSchedule';
+
+const at = (time) => new Date(`2026-03-02T${time}:00`);
+
+// Places along a straight road, x kilometres from home; each km takes 2 minutes
+const place = (id, x, time) => ({
+  id,
+  appointmentId: id,
+  name: id,
+  time: time ? at(time) : undefined,
+  duration: 30,
+  coordinates: { latitude: 0, longitude: x / 100 },
+});
+const lineProvider = {
+  name: 'line',
+  getLeg: (from, to) => {
+    const distance = Math.abs(from.coordinates.longitude - to.coordinates.longitude) * 100;
+    return { distance, duration: distance * 2 };
+  },
+};
+
+const home = { name: 'Home', coordinates: { latitude: 0, longitude: 0 } };
+const a = place('a', 1, '09:00');
+const b = place('b', 2, '10:00');
+const c = place('c', 3, '11:00');
+const d = place('d', 4, '12:00');
+
+// A saved route visiting a, b, c, d in that order from 8:58
+const savedRoute = () => {
+  const stops = [a, b, c, d];
+  const schedule = simulateSchedule(home, stops, { getLeg: lineProvider.getLeg, startTime: at('08:58') });
+  return {
+    startPoint: home,
+    waypoints: buildWaypoints(home, schedule, home),
+    optimizedPath: stops,
+    appointmentIds: stops.map(stop => stop.appointmentId),
+  };
+};
+
+// The walker arrived at a at 9:05 and left at 9:50
+const withFirstStopDone = (route) => ({
+  ...route,
+  waypoints: route.waypoints.map(waypoint => (waypoint.appointmentId === 'a'
+    ? { ...waypoint, actualArrivalTime: at('09:05'), actualDepartureTime: at('09:50'), completed: true }
+    : waypoint)),
+});
+
+const OPTIONS = { matrixProvider: lineProvider, timeWindows: { tolerance: null } };
+
+describe('reorderRoute', () => {
+  it('keeps completed stops and their actual times', () => {
+    const route = withFirstStopDone(savedRoute());
+
+    const result = reorderRoute(route, [d, c, b], OPTIONS);
+
+    expect(result.waypoints.map(waypoint => waypoint.appointmentId || waypoint.type))
+      .toEqual(['start', 'a', 'd', 'c', 'b', 'end']);
+    expect(result.waypoints[1]).toMatchObject({
+      appointmentId: 'a',
+      completed: true,
+      actualArrivalTime: at('09:05'),
+      actualDepartureTime: at('09:50'),
+    });
+    expect(result.completedIds).toEqual(['a']);
+    expect(result.appointmentIds).toEqual(['a', 'd', 'c', 'b']);
+  });
+
+  it('schedules the new order from the last completed stop\'s actual departure', () => {
+    const route = withFirstStopDone(savedRoute());
+
+    const result = reorderRoute(route, [d, c, b], OPTIONS);
+    const [, , first, second] = result.waypoints;
+
+    // a -> d is 3 km, so 6 minutes after leaving a at 9:50
+    expect(first.appointmentId).toBe('d');
+    expect(first.arrivalTime).toEqual(at('09:56'));
+    expect(first.legDistance).toBe(3);
+    expect(second.arrivalTime).toEqual(at('10:28'));
+  });
+
+  it('counts the distance already driven in the totals', () => {
+    const route = withFirstStopDone(savedRoute());
+
+    const result = reorderRoute(route, [d, c, b], OPTIONS);
+
+    // 1 km to a, then a -> d -> c -> b -> home is 3 + 1 + 1 + 2
+    expect(result.totalDistance).toBeCloseTo(8, 9);
+    expect(result.estimatedTravelTime).toBe(16);
+  });
+
+  it('leaves from the re-planning point after a re-optimization', () => {
+    const route = withFirstStopDone(savedRoute());
+    const current = {
+      ...place('current', 1.5),
+      appointmentId: undefined,
+      type: 'current',
+      departureTime: at('10:10'),
+      legDistance: 0.5,
+      legDuration: 1,
+    };
+    const [start, done] = route.waypoints;
+    const replanned = {
+      ...route,
+      waypoints: [start, done, current, ...route.waypoints.slice(2)],
+    };
+
+    const result = reorderRoute(replanned, [c, b, d], OPTIONS);
+
+    expect(result.waypoints.slice(0, 3)).toEqual([start, done, current]);
+    expect(result.waypoints[3]).toMatchObject({ appointmentId: 'c', arrivalTime: at('10:13') });
+    expect(result.completedIds).toEqual(['a']);
+    expect(result.totalDistance).toBeCloseTo(1 + 0.5 + 1.5 + 1 + 2 + 4, 9);
+  });
+
+  it('re-plans the whole day from the start when nothing is done yet', () => {
+    const route = savedRoute();
+
+    const result = reorderRoute(route, [b, a, c, d], OPTIONS);
+
+    expect(result.waypoints[0]).toMatchObject({ type: 'start', name: 'Home' });
+    expect(result.waypoints.slice(1, 5).map(waypoint => waypoint.appointmentId)).toEqual(['b', 'a', 'c', 'd']);
+    expect(result.completedIds).toEqual([]);
+    expect(result.totalDistance).toBeCloseTo(2 + 1 + 2 + 1 + 4, 9);
+  });
+
+  it('plans a skipped stop once when stops are completed out of order', () => {
+    // The walker went from a straight to c, leaving b for later
+    const route = withFirstStopDone(savedRoute());
+    const outOfOrder = {
+      ...route,
+      waypoints: route.waypoints.map(waypoint => (waypoint.appointmentId === 'c'
+        ? { ...waypoint, actualArrivalTime: at('09:56'), actualDepartureTime: at('10:26'), completed: true }
+        : waypoint)),
+    };
+    const upcoming = getUpcomingStops(outOfOrder);
+
+    const result = reorderRoute(outOfOrder, [...upcoming].reverse(), OPTIONS);
+
+    expect(upcoming.map(stop => stop.appointmentId)).toEqual(['b', 'd']);
+    expect(result.waypoints.map(waypoint => waypoint.appointmentId || waypoint.type))
+      .toEqual(['start', 'a', 'c', 'd', 'b', 'end']);
+    expect(result.completedIds).toEqual(['a', 'c']);
+    expect(result.appointmentIds).toEqual(['a', 'c', 'd', 'b']);
+
+    // Leaves c at 10:26; c -> d is 1 km
+    expect(result.waypoints[3].arrivalTime).toEqual(at('10:28'));
+
+    // Saved legs into a and c (1 + 1), then c -> d -> b -> home (1 + 2 + 2)
+    expect(result.totalDistance).toBeCloseTo(7, 9);
+    expect(result.estimatedTravelTime).toBe(14);
+  });
+
+  it('gives back only the stops still to do', () => {
+    const route = withFirstStopDone(savedRoute());
+
+    expect(getUpcomingStops(route).map(stop => stop.appointmentId)).toEqual(['b', 'c', 'd']);
+  });
+});
@@ -0,0 +1,125 @@
+import { optimizeRoute } from '../routeOptimization';
+import { createRunRecord, replayRun, compareReplay } from '../routeReplay';
+import { calculateDistance } from '../distanceMatrix';
+import { createSeededRandom, shuffle } from '../seededRandom';
+
+const home = { name: 'Home', coordinates: { latitude: 40.72, longitude: -73.98 } };
+
+// A day of walks scattered over a few kilometres, one every half hour from 8:00
+const makeAppointments = (count) => {
+  const random = createSeededRandom(7);
+  return Array.from({ length: count }, (_, index) => ({
+    id: `appointment-${index}`,
+    clientId: `client-${index}`,
+    petId: `pet-${index}`,
+    serviceType: 'Walk',
+    date: new Date(2026, 2, 2, 8, index * 30),
+    client: {
+      name: `Client ${index}`,
+      address: {
+        formatted: `${index} Main St`,
+        coordinates: {
+          latitude: 40.7 + random() * 0.05,
+          longitude: -74 + random() * 0.05,
+        },
+      },
+    },
+  }));
+};
+
+// Roads that are longer than the straight line, more so heading east, so a replay
+// only matches if it uses the recorded legs rather than recomputing them
+const roadProvider = {
+  name: 'road',
+  getLeg: (from, to) => {
+    const straight = calculateDistance(from.coordinates, to.coordinates);
+    const distance = straight * (to.coordinates.longitude > from.coordinates.longitude ? 1.6 : 1.2);
+    return { distance, duration: (distance / 25) * 60 };
+  },
+};
+
+// Large enough for local search with restarts rather than the exact solver
+const OPTIONS = { exactThreshold: 0, restarts: 4, seed: 42, startTime: new Date(2026, 2, 2, 7, 30) };
+
+describe('seeded optimization', () => {
+  it('gives the same route for the same seed', () => {
+    const appointments = makeAppointments(14);
+
+    const first = optimizeRoute(appointments, home, OPTIONS);
+    const second = optimizeRoute(appointments, home, OPTIONS);
+
+    expect(second.appointmentIds).toEqual(first.appointmentIds);
+    expect(second.totalDistance).toBe(first.totalDistance);
+    expect(second.algorithm).toBe(first.algorithm);
+  });
+
+  it('gives the same route whatever order the appointments were loaded in', () => {
+    const appointments = makeAppointments(14);
+    const reloaded = shuffle(appointments, createSeededRandom(3));
+
+    const first = optimizeRoute(appointments, home, OPTIONS);
+    const second = optimizeRoute(reloaded, home, OPTIONS);
+
+    expect(second.appointmentIds).toEqual(first.appointmentIds);
+    expect(second.totalDistance).toBe(first.totalDistance);
+  });
+
+  it('records the settings it ran with', () => {
+    const result = optimizeRoute(makeAppointments(5), home, OPTIONS);
+
+    expect(result.seed).toBe(42);
+    expect(result.params).toMatchObject({ seed: 42, restarts: 4, exactThreshold: 0 });
+  });
+});
+
+describe('replayRun', () => {
+  it('reproduces a run from its record', () => {
+    const appointments = makeAppointments(14);
+    const result = optimizeRoute(appointments, home, { ...OPTIONS, matrixProvider: roadProvider });
+    const record = createRunRecord(appointments, result, roadProvider);
+
+    const replayed = replayRun(record);
+
+    expect(replayed.appointmentIds).toEqual(result.appointmentIds);
+    expect(compareReplay(record, replayed)).toEqual({ matches: true, differences: [], notes: [] });
+  });
+
+  it('reproduces a run after the record has been stored and read back', () => {
+    const appointments = makeAppointments(8);
+    const result = optimizeRoute(appointments, home, { ...OPTIONS, matrixProvider: roadProvider });
+
+    // Dates come back as strings (or Timestamps) rather than Date objects
+    const stored = JSON.parse(JSON.stringify(createRunRecord(appointments, result, roadProvider)));
+
+    expect(compareReplay(stored, replayRun(stored)).matches).toBe(true);
+  });
+
+  it('is not affected by later changes to the appointments', () => {
+    const appointments = makeAppointments(8);
+    const result = optimizeRoute(appointments, home, { ...OPTIONS, matrixProvider: roadProvider });
+    const record = createRunRecord(appointments, result, roadProvider);
+
+    appointments[0].client.address.coordinates = { latitude: 41, longitude: -73 };
+    appointments[1].date = new Date(2026, 2, 2, 17, 0);
+
+    expect(compareReplay(record, replayRun(record)).matches).toBe(true);
+  });
+
+  it('reports what differs from the record', () => {
+    const appointments = makeAppointments(8);
+    const result = optimizeRoute(appointments, home, { ...OPTIONS, matrixProvider: roadProvider });
+    const record = createRunRecord(appointments, result, roadProvider);
+
+    const tampered = {
+      ...result,
+      appointmentIds: [...result.appointmentIds].reverse(),
+      totalDistance: result.totalDistance + 1,
+    };
+
+    expect(compareReplay(record, tampered).differences).toEqual(['stop order', 'total distance']);
+  });
+
+  it('refuses a route without a record', () => {
+    expect(() => replayRun(null)).toThrow('This route has no run record to replay');
+  });
+});
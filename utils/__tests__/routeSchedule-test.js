@@ -0,0 +1,94 @@
+import { simulateSchedule, findUnmetTimeWindows } from '../routeSchedule';
+
+const at = (time) => new Date(`2026-03-02T${time}:00`);
+
+const home = { id: 'home', name: 'Home' };
+const early = { id: 'early', appointmentId: 'early', time: at('09:30'), duration: 30 };
+const late = { id: 'late', appointmentId: 'late', time: at('09:50'), duration: 20 };
+
+// Driving minutes between places; distance is half the minutes
+const MINUTES = {
+  'home>early': 10,
+  'early>late': 30,
+  'late>home': 10,
+};
+const getLeg = (from, to) => {
+  const duration = MINUTES[`${from.id}>${to.id}`];
+  return { distance: duration / 2, duration };
+};
+
+describe('simulateSchedule', () => {
+  it('waits for a window to open and records lateness after it closes', () => {
+    const schedule = simulateSchedule(home, [early, late], { getLeg, startTime: at('09:00') });
+    const [first, second] = schedule.stops;
+
+    // Arrives 9:10, waits until 9:15 (9:30 less 15 minutes), leaves 9:45
+    expect(first.arrivalTime).toEqual(at('09:10'));
+    expect(first.waitTime).toBe(5);
+    expect(first.serviceStartTime).toEqual(at('09:15'));
+    expect(first.departureTime).toEqual(at('09:45'));
+    expect(first.lateness).toBe(0);
+
+    // Arrives 10:15, ten minutes after the 9:50 window closes at 10:05
+    expect(second.arrivalTime).toEqual(at('10:15'));
+    expect(second.waitTime).toBe(0);
+    expect(second.lateness).toBe(10);
+    expect(second.departureTime).toEqual(at('10:35'));
+
+    expect(schedule.returnTime).toEqual(at('10:45'));
+    expect(schedule.totalWaitTime).toBe(5);
+    expect(schedule.totalLateness).toBe(10);
+    expect(schedule.totalTravelTime).toBe(50);
+    expect(schedule.totalDistance).toBe(25);
+    expect(schedule.totalServiceTime).toBe(50);
+    expect(schedule.lateStops.map(entry => entry.stop.id)).toEqual(['late']);
+    expect(findUnmetTimeWindows(schedule)).toHaveLength(1);
+  });
+
+  it('leaves just in time for the first window when no start time is given', () => {
+    const schedule = simulateSchedule(home, [early], { getLeg });
+
+    expect(schedule.departureTime).toEqual(at('09:05'));
+    expect(schedule.stops[0].arrivalTime).toEqual(at('09:15'));
+    expect(schedule.totalWaitTime).toBe(0);
+  });
+
+  it('uses the tolerance to widen the window', () => {
+    const schedule = simulateSchedule(home, [early, late], { getLeg, startTime: at('09:00'), tolerance: 30 });
+
+    // The early window opens at 9:00 and the late one closes at 10:20
+    expect(schedule.totalWaitTime).toBe(0);
+    expect(schedule.totalLateness).toBe(0);
+  });
+
+  it('ignores time windows when the tolerance is null', () => {
+    const schedule = simulateSchedule(home, [early, late], { getLeg, startTime: at('09:00'), tolerance: null });
+
+    expect(schedule.stops[0].serviceStartTime).toEqual(at('09:10'));
+    expect(schedule.totalWaitTime).toBe(0);
+    expect(schedule.totalLateness).toBe(0);
+  });
+
+  it('takes a break where the walker is without driving', () => {
+    const lunch = { id: 'lunch', type: 'break', duration: 30, earliestStart: at('10:00') };
+
+    const schedule = simulateSchedule(home, [early, lunch, late], { getLeg, startTime: at('09:00') });
+    const [, breakEntry, after] = schedule.stops;
+
+    // Done at 9:45, waits for the break window at 10:00, then drives on from 'early'
+    expect(breakEntry.legDistance).toBe(0);
+    expect(breakEntry.waitTime).toBe(15);
+    expect(breakEntry.departureTime).toEqual(at('10:30'));
+    expect(after.arrivalTime).toEqual(at('11:00'));
+    expect(schedule.totalBreakTime).toBe(30);
+    expect(schedule.totalServiceTime).toBe(50);
+  });
+
+  it('stops at the last visit on an open route', () => {
+    const schedule = simulateSchedule(home, [early], { getLeg, startTime: at('09:00'), endPoint: null });
+
+    expect(schedule.returnTime).toBeNull();
+    expect(schedule.returnLeg).toBeNull();
+    expect(schedule.totalDistance).toBe(5);
+  });
+});
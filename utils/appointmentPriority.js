@@ -0,0 +1,179 @@
+/**
+ * Appointment priorities for FetchRoute
+ * On overbooked days not every appointment fits in the walker's shift. Each
+ * appointment carries a priority (must-visit, normal or optional); when the
+ * optimized day runs past the shift, stops are dropped lowest priority first,
+ * picking whichever drop saves the most time. Must-visit stops are never dropped.
+ * Dropped stops are returned as unscheduled, with the reason, so they can be
+ * moved to another day.
+ */
+
+import { getWorkdayEnd, scheduleCost } from './routeSchedule';
+
+export const PRIORITIES = {
+  MUST_VISIT: 'must-visit',
+  NORMAL: 'normal',
+  OPTIONAL: 'optional',
+};
+
+export const PRIORITY_LABELS = {
+  [PRIORITIES.MUST_VISIT]: 'Must visit',
+  [PRIORITIES.NORMAL]: 'Normal',
+  [PRIORITIES.OPTIONAL]: 'Optional',
+};
+
+// Higher ranks are served first
+const PRIORITY_RANK = {
+  [PRIORITIES.MUST_VISIT]: 2,
+  [PRIORITIES.NORMAL]: 1,
+  [PRIORITIES.OPTIONAL]: 0,
+};
+
+// Reasons reported for appointments left out of a day
+export const UNSCHEDULED_REASONS = {
+  SHIFT_LENGTH: 'Not enough time left in the shift',
+  TIME_WINDOWS: "Can't fit without missing appointment times",
+};
+
+// Priority of an appointment or stop; anything unset counts as normal
+export const getPriority = (item) =>
+  (PRIORITY_RANK[item.priority] !== undefined ? item.priority : PRIORITIES.NORMAL);
+
+export const getPriorityRank = (item) => PRIORITY_RANK[getPriority(item)];
+
+// Next priority when tapping through them in the UI
+export const nextPriority = (priority) => {
+  const cycle = [PRIORITIES.NORMAL, PRIORITIES.MUST_VISIT, PRIORITIES.OPTIONAL];
+  return cycle[(cycle.indexOf(priority || PRIORITIES.NORMAL) + 1) % cycle.length];
+};
+
+// Minutes a schedule runs past the shift
+// shift: { end (Date), maxMinutes } - either may be missing
+const shiftOverrun = (schedule, shift) => {
+  const finish = getWorkdayEnd(schedule).getTime();
+  const pastEnd = shift.end ? (finish - new Date(shift.end).getTime()) / 60000 : 0;
+  const pastLength = shift.maxMinutes
+    ? (finish - schedule.departureTime.getTime()) / 60000 - shift.maxMinutes
+    : 0;
+
+  return Math.max(0, pastEnd, pastLength);
+};
+
+// What (if anything) is wrong with a schedule, and by how much
+const findViolation = (schedule, shift, hardTimeWindows) => {
+  const overrun = shiftOverrun(schedule, shift);
+  if (overrun > 0) {
+    return { reason: UNSCHEDULED_REASONS.SHIFT_LENGTH, amount: overrun };
+  }
+
+  if (hardTimeWindows && schedule.totalLateness > 0) {
+    return { reason: UNSCHEDULED_REASONS.TIME_WINDOWS, amount: schedule.totalLateness };
+  }
+
+  return null;
+};
+
+// Describe a dropped stop for the caller
+const describeUnscheduled = (stop, reason) => ({
+  appointmentId: stop.appointmentId,
+  clientName: stop.clientName,
+  serviceType: stop.serviceType,
+  priority: getPriority(stop),
+  scheduledTime: stop.time,
+  reason,
+});
+
+// Drop stops from an ordered route until the day fits the shift, then put back
+// any dropped stop that fits after all (highest priority first)
+// buildPlan(stops) turns an order into { route, schedule } (breaks included, if any)
+// Options:
+//   shift - { end, maxMinutes } the day has to fit in
+//   timeWindows - { mode, ... }; in hard mode a late stop also counts against the plan
+//   lockedIds - appointment IDs that must stay (e.g. pinned stops)
+//   baseCost - how routes are costed when putting stops back (see scheduleCost)
+// Returns { route, plan, unscheduled, shiftOverrun }; route is the kept stops in order
+export function* fitRouteToShiftSteps(route, buildPlan, options = {}) {
+  const { shift = {}, timeWindows = null, lockedIds = [], baseCost = null } = options;
+  const hardTimeWindows = Boolean(timeWindows && timeWindows.mode === 'hard');
+  const violationOf = (plan) => findViolation(plan.schedule, shift, hardTimeWindows);
+  const canDrop = (stop) =>
+    getPriority(stop) !== PRIORITIES.MUST_VISIT && !lockedIds.includes(stop.appointmentId);
+
+  let kept = route;
+  let plan = buildPlan(kept);
+  let violation = violationOf(plan);
+  const dropped = [];
+
+  while (violation) {
+    const droppable = kept.filter(canDrop);
+    if (droppable.length === 0) break;
+
+    // Only the lowest priority left is considered, so a higher one is never
+    // dropped while a lower one is still on the route
+    const lowestRank = Math.min(...droppable.map(getPriorityRank));
+    let best = null;
+
+    for (const stop of droppable.filter(item => getPriorityRank(item) === lowestRank)) {
+      const remaining = kept.filter(item => item !== stop);
+      const candidatePlan = buildPlan(remaining);
+      const candidateViolation = violationOf(candidatePlan);
+      const amount = candidateViolation ? candidateViolation.amount : 0;
+      const finish = getWorkdayEnd(candidatePlan.schedule).getTime();
+
+      if (!best || amount < best.amount || (amount === best.amount && finish < best.finish)) {
+        best = { stop, remaining, plan: candidatePlan, violation: candidateViolation, amount, finish };
+      }
+      yield;
+    }
+
+    dropped.push({ stop: best.stop, reason: violation.reason });
+    kept = best.remaining;
+    plan = best.plan;
+    violation = best.violation;
+  }
+
+  // A stop dropped early may fit once later drops have freed up time
+  const unscheduled = [];
+  const byPriority = [...dropped].sort((a, b) => getPriorityRank(b.stop) - getPriorityRank(a.stop));
+
+  for (const entry of byPriority) {
+    let best = null;
+
+    for (let position = 0; position <= kept.length; position++) {
+      const candidate = [...kept.slice(0, position), entry.stop, ...kept.slice(position)];
+      const candidatePlan = buildPlan(candidate);
+
+      if (!violationOf(candidatePlan)) {
+        const cost = scheduleCost(candidatePlan.schedule, { ...timeWindows, baseCost });
+        if (!best || cost < best.cost) {
+          best = { route: candidate, plan: candidatePlan, cost };
+        }
+      }
+      yield;
+    }
+
+    if (best) {
+      kept = best.route;
+      plan = best.plan;
+    } else {
+      unscheduled.push(describeUnscheduled(entry.stop, entry.reason));
+    }
+  }
+
+  return {
+    route: kept,
+    plan,
+    unscheduled,
+    shiftOverrun: Math.round(shiftOverrun(plan.schedule, shift)),
+  };
+}
+
+export default {
+  PRIORITIES,
+  PRIORITY_LABELS,
+  UNSCHEDULED_REASONS,
+  getPriority,
+  getPriorityRank,
+  nextPriority,
+  fitRouteToShiftSteps,
+};
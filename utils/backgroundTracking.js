@@ -0,0 +1,287 @@
+/**
+ * Background location tracking for FetchRoute
+ * While a route is being driven, and only if the walker has turned it on, this
+ * follows the device in the background. Every location fix is added to the day's
+ * breadcrumb trail on the route. A geofence around each upcoming stop checks the
+ * walker in when they get there and out when they leave, the same as tapping
+ * Arrived and Done.
+ *
+ * The tasks are defined when this module is imported. App.js imports it at startup
+ * so they exist when the OS wakes the app for an update. For the same reason the
+ * active session (which route, which mode) is kept in AsyncStorage, not in memory.
+ */
+
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import routeModel from '../firebase/models/routeModel';
+import { getDefaultMatrixProvider, withTrafficProfile } from './distanceMatrix';
+import { DRIVER_EVENTS, CHECK_IN_SOURCES, getCurrentStopIndex, isWorkedStop } from './driverMode';
+import { saveStopEvent } from './stopCheckIns';
+
+export const LOCATION_TASK = 'fetchroute-location-trail';
+export const GEOFENCE_TASK = 'fetchroute-stop-geofences';
+
+const SESSION_KEY = 'trackingSession';
+
+export const TRACKING_MODES = {
+  PRECISE: 'precise',
+  BATTERY_SAVER: 'batterySaver',
+};
+
+export const TRACKING_MODE_LABELS = {
+  [TRACKING_MODES.PRECISE]: 'Precise',
+  [TRACKING_MODES.BATTERY_SAVER]: 'Battery saver',
+};
+
+// Off until the walker opts in
+export const DEFAULT_TRACKING_SETTINGS = {
+  enabled: false,
+  mode: TRACKING_MODES.BATTERY_SAVER,
+};
+
+// How the trail is sampled in each mode. Battery saver takes a coarser fix less
+// often and lets the OS deliver updates in batches; geofences work the same in both.
+const SAMPLING = {
+  [TRACKING_MODES.PRECISE]: {
+    accuracy: Location.Accuracy.High,
+    timeInterval: 15000,
+    distanceInterval: 20,
+  },
+  [TRACKING_MODES.BATTERY_SAVER]: {
+    accuracy: Location.Accuracy.Balanced,
+    timeInterval: 60000,
+    distanceInterval: 100,
+    deferredUpdatesInterval: 5 * 60000,
+    deferredUpdatesDistance: 500,
+  },
+};
+
+export const GEOFENCE_RADIUS = 75; // metres around a client's address
+
+// iOS watches at most 20 regions per app, so only the next stops get one
+const MAX_GEOFENCES = 20;
+
+// Leaving sooner than this after arriving is GPS drift, not the end of a visit
+const MIN_VISIT_MINUTES = 2;
+
+// Stops at the same address share one region
+const regionId = (coordinates) =>
+  `${coordinates.latitude.toFixed(5)},${coordinates.longitude.toFixed(5)}`;
+
+const getSession = async () => {
+  const stored = await AsyncStorage.getItem(SESSION_KEY);
+  return stored ? JSON.parse(stored) : null;
+};
+
+// Geofence regions for the stops still to be done, nearest in the day first
+export const getGeofenceRegions = (waypoints = []) => {
+  const regions = [];
+
+  waypoints
+    .filter(waypoint => isWorkedStop(waypoint) && !waypoint.completed && waypoint.coordinates)
+    .forEach(waypoint => {
+      const identifier = regionId(waypoint.coordinates);
+      if (regions.length < MAX_GEOFENCES && !regions.some(region => region.identifier === identifier)) {
+        regions.push({
+          identifier,
+          latitude: waypoint.coordinates.latitude,
+          longitude: waypoint.coordinates.longitude,
+          radius: GEOFENCE_RADIUS,
+          notifyOnEnter: true,
+          notifyOnExit: true,
+        });
+      }
+    });
+
+  return regions;
+};
+
+// Watch the stops still ahead; call again whenever the route's waypoints change
+export const refreshGeofences = async (waypoints) => {
+  const regions = getGeofenceRegions(waypoints);
+
+  if (regions.length > 0) {
+    await Location.startGeofencingAsync(GEOFENCE_TASK, regions);
+  } else if (await Location.hasStartedGeofencingAsync(GEOFENCE_TASK)) {
+    await Location.stopGeofencingAsync(GEOFENCE_TASK);
+  }
+};
+
+// Start tracking a route being driven
+// settings: the user's { mode }
+// Options: trafficProfile (to re-project the day after an automatic check-in),
+// senderName (the walker, as named in client messages)
+export const startRouteTracking = async (route, settings = DEFAULT_TRACKING_SETTINGS, options = {}) => {
+  const { trafficProfile = null, senderName = null } = options;
+
+  const foreground = await Location.requestForegroundPermissionsAsync();
+  if (foreground.status !== 'granted') {
+    throw new Error('Location permission was not granted');
+  }
+
+  const background = await Location.requestBackgroundPermissionsAsync();
+  if (background.status !== 'granted') {
+    throw new Error('Automatic check-in needs location access "Always" (or "Allow all the time")');
+  }
+
+  const mode = SAMPLING[settings.mode] ? settings.mode : DEFAULT_TRACKING_SETTINGS.mode;
+  await AsyncStorage.setItem(SESSION_KEY, JSON.stringify({ routeId: route.id, mode, trafficProfile, senderName }));
+
+  await Location.startLocationUpdatesAsync(LOCATION_TASK, {
+    ...SAMPLING[mode],
+    activityType: Location.ActivityType.AutomotiveNavigation,
+    pausesUpdatesAutomatically: mode === TRACKING_MODES.BATTERY_SAVER,
+    showsBackgroundLocationIndicator: true,
+    foregroundService: {
+      notificationTitle: 'FetchRoute is following your route',
+      notificationBody: 'Stops are checked in and out automatically.',
+      notificationColor: '#1e88e5',
+    },
+  });
+
+  await refreshGeofences(route.waypoints);
+};
+
+// Stop all tracking (the route is done, or the walker turned it off)
+export const stopRouteTracking = async () => {
+  await AsyncStorage.removeItem(SESSION_KEY);
+
+  if (await Location.hasStartedLocationUpdatesAsync(LOCATION_TASK)) {
+    await Location.stopLocationUpdatesAsync(LOCATION_TASK);
+  }
+
+  if (await Location.hasStartedGeofencingAsync(GEOFENCE_TASK)) {
+    await Location.stopGeofencingAsync(GEOFENCE_TASK);
+  }
+};
+
+// Whether a route is the one being tracked right now
+export const isTrackingRoute = async (routeId) => {
+  const session = await getSession();
+  return !!session && session.routeId === routeId &&
+    await Location.hasStartedLocationUpdatesAsync(LOCATION_TASK);
+};
+
+// Which check-ins a geofence event makes, given the route as it is now
+// Returns [{ index, event }] to apply in order (empty if the event means nothing)
+export const getGeofenceCheckIns = (waypoints, eventType, identifier, time = new Date()) => {
+  const index = getCurrentStopIndex(waypoints);
+  if (index === -1) return [];
+
+  const current = waypoints[index];
+  const atCurrent = current.coordinates && regionId(current.coordinates) === identifier;
+
+  if (eventType === Location.GeofencingEventType.Enter) {
+    if (atCurrent && !current.actualArrivalTime) {
+      return [{ index, event: DRIVER_EVENTS.ARRIVED }];
+    }
+
+    // Reaching the next stop while still checked in here means the exit was missed
+    const nextIndex = waypoints.findIndex((waypoint, position) =>
+      position > index && isWorkedStop(waypoint) && !waypoint.completed);
+    const next = waypoints[nextIndex];
+    if (current.actualArrivalTime && next && next.coordinates && regionId(next.coordinates) === identifier) {
+      return [
+        { index, event: DRIVER_EVENTS.DONE },
+        { index: nextIndex, event: DRIVER_EVENTS.ARRIVED },
+      ];
+    }
+
+    return [];
+  }
+
+  if (eventType === Location.GeofencingEventType.Exit && atCurrent && current.actualArrivalTime) {
+    const minutesThere = (time - new Date(current.actualArrivalTime)) / 60000;
+    return minutesThere >= MIN_VISIT_MINUTES ? [{ index, event: DRIVER_EVENTS.DONE }] : [];
+  }
+
+  return [];
+};
+
+// Check the walker in or out after a geofence event
+const handleGeofenceEvent = async (session, eventType, region) => {
+  let route = await routeModel.getRoute(session.routeId);
+
+  if (route.status !== 'in_progress') {
+    await stopRouteTracking();
+    return;
+  }
+
+  const time = new Date();
+  const matrixProvider = session.trafficProfile
+    ? withTrafficProfile(getDefaultMatrixProvider(), session.trafficProfile)
+    : getDefaultMatrixProvider();
+
+  for (const { index, event } of getGeofenceCheckIns(route.waypoints, eventType, region.identifier, time)) {
+    const { updates } = await saveStopEvent(route, index, event, {
+      matrixProvider,
+      time,
+      source: CHECK_IN_SOURCES.GEOFENCE,
+      senderName: session.senderName,
+    });
+    route = { ...route, ...updates };
+  }
+
+  if (route.status === 'completed') {
+    await stopRouteTracking();
+  } else {
+    await refreshGeofences(route.waypoints);
+  }
+};
+
+// A location fix as stored on the route's breadcrumb trail
+const toBreadcrumb = (location) => ({
+  latitude: location.coords.latitude,
+  longitude: location.coords.longitude,
+  accuracy: typeof location.coords.accuracy === 'number' ? location.coords.accuracy : null,
+  speed: typeof location.coords.speed === 'number' ? location.coords.speed : null,
+  timestamp: location.timestamp,
+});
+
+TaskManager.defineTask(LOCATION_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('Background location error:', error.message);
+    return;
+  }
+
+  try {
+    const session = await getSession();
+    if (!session || !data || !data.locations || data.locations.length === 0) return;
+
+    await routeModel.addBreadcrumbs(session.routeId, data.locations.map(toBreadcrumb));
+  } catch (taskError) {
+    console.error('Error saving breadcrumbs:', taskError);
+  }
+});
+
+TaskManager.defineTask(GEOFENCE_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('Geofencing error:', error.message);
+    return;
+  }
+
+  try {
+    const session = await getSession();
+    if (!session || !data) return;
+
+    await handleGeofenceEvent(session, data.eventType, data.region);
+  } catch (taskError) {
+    console.error('Error checking in automatically:', taskError);
+  }
+});
+
+export default {
+  LOCATION_TASK,
+  GEOFENCE_TASK,
+  TRACKING_MODES,
+  TRACKING_MODE_LABELS,
+  DEFAULT_TRACKING_SETTINGS,
+  GEOFENCE_RADIUS,
+  getGeofenceRegions,
+  refreshGeofences,
+  startRouteTracking,
+  stopRouteTracking,
+  isTrackingRoute,
+  getGeofenceCheckIns,
+};
@@ -0,0 +1,163 @@
+/**
+ * Break and lunch scheduling for FetchRoute
+ * Once the stops are in order, breaks are slotted into the gaps between them.
+ * Each required break goes into whichever gap costs least (ideally one where the
+ * walker would be waiting for the next appointment anyway).
+ *
+ * Rules:
+ *   workBeforeBreak - minutes on the clock before a break is due (300 = 5 hours)
+ *   breakDuration   - minimum length of a break in minutes
+ *   lunchWindow     - optional { start: 'HH:MM', end: 'HH:MM' }; a break must be
+ *                     taken inside it whenever the working day spans it
+ */
+
+import { simulateSchedule, scheduleCost, timeOnDate, getWorkdayEnd } from './routeSchedule';
+
+export const DEFAULT_BREAK_RULES = {
+  workBeforeBreak: 300,
+  breakDuration: 30,
+  lunchWindow: null,
+};
+
+export const BREAK_KINDS = {
+  REST: 'rest',
+  LUNCH: 'lunch',
+};
+
+// Lunch window as timestamps on the day of the schedule
+const lunchWindowFor = (schedule, rules) => {
+  if (!rules.lunchWindow) return null;
+
+  return {
+    start: timeOnDate(schedule.departureTime, rules.lunchWindow.start).getTime(),
+    end: timeOnDate(schedule.departureTime, rules.lunchWindow.end).getTime(),
+  };
+};
+
+// Work out the next break a schedule still needs, if any
+// Returns { kind, after, earliest, latest } where after is the index in the stop list the
+// break must come after (breaks never move ahead of one already placed)
+export const findRequiredBreak = (schedule, rules = DEFAULT_BREAK_RULES) => {
+  const { workBeforeBreak, breakDuration } = { ...DEFAULT_BREAK_RULES, ...rules };
+  const lunch = lunchWindowFor(schedule, rules);
+  const dayStart = schedule.departureTime.getTime();
+  const dayEnd = getWorkdayEnd(schedule).getTime();
+
+  // A lunch break is due when the working day spans the window and no break falls inside it
+  if (lunch && dayStart <= lunch.start && dayEnd >= lunch.end) {
+    const hasLunch = schedule.stops.some(entry =>
+      entry.stop.type === 'break' && (
+        entry.stop.kind === BREAK_KINDS.LUNCH ||
+        (entry.serviceStartTime.getTime() >= lunch.start && entry.departureTime.getTime() <= lunch.end)
+      )
+    );
+
+    if (!hasLunch) {
+      return {
+        kind: BREAK_KINDS.LUNCH,
+        after: -1,
+        earliest: lunch.start,
+        latest: lunch.end - breakDuration * 60000,
+      };
+    }
+  }
+
+  // Otherwise look for a stretch of work longer than the limit
+  let lastRestEnd = dayStart;
+  let lastBreakIndex = -1;
+  schedule.stops.forEach((entry, index) => {
+    if (entry.stop.type === 'break') {
+      lastRestEnd = entry.departureTime.getTime();
+      lastBreakIndex = index;
+    }
+  });
+
+  if (dayEnd - lastRestEnd > workBeforeBreak * 60000) {
+    return {
+      kind: BREAK_KINDS.REST,
+      after: lastBreakIndex,
+      earliest: null,
+      latest: lastRestEnd + workBeforeBreak * 60000,
+    };
+  }
+
+  return null;
+};
+
+// Insert every required break into an ordered route at its least costly position
+// scheduleOptions are the options for simulateSchedule (getLeg, endPoint, tolerance, ...)
+// Returns { route, schedule } with the breaks as stops of type 'break'
+export const insertBreaks = (startingPoint, route, scheduleOptions, rules = DEFAULT_BREAK_RULES) => {
+  const settings = { ...DEFAULT_BREAK_RULES, ...rules };
+  let current = route;
+  let schedule = simulateSchedule(startingPoint, current, scheduleOptions);
+
+  // One rest break per stretch of work plus lunch is plenty; the cap guards against
+  // days that can't satisfy the rules no matter where the breaks go
+  const maxBreaks = route.length + 2;
+
+  for (let count = 0; count < maxBreaks; count++) {
+    const required = findRequiredBreak(schedule, settings);
+    if (!required) break;
+
+    const breakStop = {
+      id: `break-${count}`,
+      type: 'break',
+      kind: required.kind,
+      appointmentId: null,
+      clientName: required.kind === BREAK_KINDS.LUNCH ? 'Lunch break' : 'Break',
+      duration: settings.breakDuration,
+      earliestStart: required.earliest ? new Date(required.earliest) : null,
+    };
+
+    let best = null;
+    let fallback = null;
+
+    // A break before the first stop would come before any work, so start after it
+    for (let position = Math.max(required.after + 1, 1); position <= current.length; position++) {
+      const candidate = [...current.slice(0, position), breakStop, ...current.slice(position)];
+      const candidateSchedule = simulateSchedule(startingPoint, candidate, scheduleOptions);
+      const breakStart = candidateSchedule.stops[position].serviceStartTime.getTime();
+
+      const option = {
+        route: candidate,
+        schedule: candidateSchedule,
+        cost: scheduleCost(candidateSchedule, scheduleOptions),
+        finish: getWorkdayEnd(candidateSchedule).getTime(),
+        start: breakStart,
+        overrun: Math.max(0, breakStart - required.latest),
+      };
+
+      // Least lateness and distance first, then the earliest finish; a later break leaves
+      // less work after it, so it wins the remaining ties
+      const isBetter = (other) => {
+        if (!other) return true;
+        if (Math.abs(option.cost - other.cost) > 1e-9) return option.cost < other.cost;
+        if (option.finish !== other.finish) return option.finish < other.finish;
+        return option.start > other.start;
+      };
+
+      if (option.overrun === 0) {
+        if (isBetter(best)) best = option;
+      } else if (!fallback || option.overrun < fallback.overrun) {
+        fallback = option;
+      }
+    }
+
+    // When no gap meets the rule (e.g. one very long visit), take the break as close to it as possible
+    const chosen = best || fallback;
+    if (!chosen) break;
+
+    current = chosen.route;
+    schedule = chosen.schedule;
+  }
+
+  return { route: current, schedule };
+};
+
+export default {
+  DEFAULT_BREAK_RULES,
+  BREAK_KINDS,
+  findRequiredBreak,
+  insertBreaks,
+};
@@ -0,0 +1,269 @@
+/**
+ * Client notifications for FetchRoute
+ * Messages clients as the day is driven: "on my way" with an ETA when the walker leaves
+ * the stop before theirs, and a "visit complete" summary when their visit is done.
+ *
+ * Messages go out through a notification provider per channel. A provider is
+ * { name, channel, send({ to, subject, body }) }:
+ * - sms / email: POST the message to a gateway you run (EXPO_PUBLIC_SMS_GATEWAY_URL,
+ *   EXPO_PUBLIC_EMAIL_GATEWAY_URL), which holds the SMS or email service's credentials
+ * - fake: keeps messages in memory without delivering them, for tests
+ *
+ * A channel with no gateway set has no provider, so clients only reachable that way
+ * get no message, and none is reported as sent. With neither gateway set nobody is
+ * messaged; hasNotificationGateway tells the screens so they can say so.
+ *
+ * Clients can opt out (client.notificationsOptOut). Sending never blocks a check-in:
+ * a message that can't be sent is logged and skipped.
+ */
+
+import clientModel from '../firebase/models/clientModel';
+import { DRIVER_EVENTS, isWorkedStop } from './driverMode';
+
+export const NOTIFICATION_CHANNELS = {
+  SMS: 'sms',
+  EMAIL: 'email',
+};
+
+export const NOTIFICATION_TYPES = {
+  ON_MY_WAY: 'onMyWay',
+  VISIT_COMPLETE: 'visitComplete',
+};
+
+// Stops with a client waiting for the walker (a group walk's walk stop has none)
+const CLIENT_STOP_TYPES = ['appointment', 'pickup', 'dropoff'];
+
+// Stops that finish a visit: an appointment, or a group walk pet brought home
+const VISIT_END_TYPES = ['appointment', 'dropoff'];
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+
+const firstName = (name) => (name || '').trim().split(/\s+/)[0] || 'there';
+
+// POST a message to an HTTP gateway as JSON
+const postMessage = async (fetchImpl, url, payload) => {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Notification gateway responded with status ${response.status}`);
+  }
+
+  return response;
+};
+
+// Text messages through an SMS gateway, sent as { to, body }
+export const createSmsProvider = ({ endpoint, fetchImpl = fetch } = {}) => {
+  if (!endpoint) {
+    throw new Error('An SMS gateway URL is required');
+  }
+
+  return {
+    name: 'sms-gateway',
+    channel: NOTIFICATION_CHANNELS.SMS,
+    send: ({ to, body }) => postMessage(fetchImpl, endpoint, { to, body }),
+  };
+};
+
+// Email through an email gateway, sent as { to, subject, body }
+export const createEmailProvider = ({ endpoint, fetchImpl = fetch } = {}) => {
+  if (!endpoint) {
+    throw new Error('An email gateway URL is required');
+  }
+
+  return {
+    name: 'email-gateway',
+    channel: NOTIFICATION_CHANNELS.EMAIL,
+    send: ({ to, subject, body }) => postMessage(fetchImpl, endpoint, { to, subject, body }),
+  };
+};
+
+// Keeps every message it's given in `sent` instead of delivering it
+export const createFakeNotificationProvider = ({ channel = NOTIFICATION_CHANNELS.SMS } = {}) => {
+  const sent = [];
+
+  return {
+    name: 'fake',
+    channel,
+    sent,
+    send: async (message) => {
+      sent.push({ ...message, channel, sentAt: new Date() });
+    },
+  };
+};
+
+let defaultProviders = null;
+
+// Providers used by the app, by channel: SMS and email, each only when its gateway
+// (EXPO_PUBLIC_SMS_GATEWAY_URL / EXPO_PUBLIC_EMAIL_GATEWAY_URL) is set. Created once
+// for the session.
+export const getDefaultNotificationProviders = () => {
+  if (!defaultProviders) {
+    const smsEndpoint = process.env.EXPO_PUBLIC_SMS_GATEWAY_URL;
+    const emailEndpoint = process.env.EXPO_PUBLIC_EMAIL_GATEWAY_URL;
+
+    defaultProviders = {};
+
+    if (smsEndpoint) {
+      defaultProviders[NOTIFICATION_CHANNELS.SMS] = createSmsProvider({ endpoint: smsEndpoint });
+    }
+
+    if (emailEndpoint) {
+      defaultProviders[NOTIFICATION_CHANNELS.EMAIL] = createEmailProvider({ endpoint: emailEndpoint });
+    }
+  }
+  return defaultProviders;
+};
+
+// Whether any channel can deliver messages (false when no gateway is set up)
+export const hasNotificationGateway = (providers = getDefaultNotificationProviders()) =>
+  Object.keys(providers).length > 0;
+
+// Where to reach a client: by text, otherwise by email
+// Returns { channel, to }, or null if they opted out or can't be reached with these providers
+export const getClientContact = (client, providers) => {
+  if (!client || client.notificationsOptOut) return null;
+
+  const contacts = [
+    { channel: NOTIFICATION_CHANNELS.SMS, to: client.phone },
+    { channel: NOTIFICATION_CHANNELS.EMAIL, to: client.email },
+  ];
+
+  return contacts.find(contact => contact.to && providers[contact.channel]) || null;
+};
+
+// The next stop with a client waiting, after the stop at index
+// Skips breaks, and returns null if the walker's next stop is a walk or the end
+const getNextClientStop = (waypoints, index) => {
+  const next = waypoints.find((waypoint, position) =>
+    position > index && isWorkedStop(waypoint) && !waypoint.completed);
+
+  return next && CLIENT_STOP_TYPES.includes(next.type) && next.clientId ? next : null;
+};
+
+// Which messages a driver event sends: [{ type, stop }]
+// Finishing a stop ends its visit and puts the walker on the way to the next client
+export const getStopNotifications = (waypoints, index, event) => {
+  if (event !== DRIVER_EVENTS.DONE) return [];
+
+  const stop = waypoints[index];
+  const notifications = [];
+
+  if (VISIT_END_TYPES.includes(stop.type) && stop.clientId) {
+    notifications.push({ type: NOTIFICATION_TYPES.VISIT_COMPLETE, stop });
+  }
+
+  // Two visits for the same client back to back need no "on my way"
+  const next = getNextClientStop(waypoints, index);
+  if (next && next.clientId !== stop.clientId) {
+    notifications.push({ type: NOTIFICATION_TYPES.ON_MY_WAY, stop: next });
+  }
+
+  return notifications;
+};
+
+// The subject and text of a message to a client about a stop
+export const buildNotificationMessage = (type, stop, client, { senderName } = {}) => {
+  const walker = senderName || 'your walker';
+  const pet = stop.petName || 'your pet';
+  const greeting = `Hi ${firstName(client.name)}`;
+
+  if (type === NOTIFICATION_TYPES.ON_MY_WAY) {
+    const eta = formatTime(stop.arrivalTime);
+    let reason = `for your ${stop.serviceType || 'visit'}`;
+    if (stop.type === 'pickup') reason = `to pick up ${pet}`;
+    if (stop.type === 'dropoff') reason = `to bring ${pet} home`;
+
+    return {
+      subject: `On my way, ETA ${eta}`,
+      body: `${greeting}, ${walker} is on the way ${reason}. ETA ${eta}.`,
+    };
+  }
+
+  if (type === NOTIFICATION_TYPES.VISIT_COMPLETE) {
+    const visit = stop.type === 'dropoff' ? `${pet} is home from the group walk` : `your ${stop.serviceType || 'visit'} is done`;
+    let times = '';
+    if (stop.actualArrivalTime && stop.actualDepartureTime && stop.type === 'appointment') {
+      const minutes = Math.round((new Date(stop.actualDepartureTime) - new Date(stop.actualArrivalTime)) / 60000);
+      times = ` ${walker.charAt(0).toUpperCase()}${walker.slice(1)} arrived at ${formatTime(stop.actualArrivalTime)} and left at ${formatTime(stop.actualDepartureTime)}`;
+      times += minutes > 0 ? ` (${minutes} min).` : '.';
+    }
+
+    return {
+      subject: 'Visit complete',
+      body: `${greeting}, ${visit}.${times}`,
+    };
+  }
+
+  throw new Error(`Unknown notification type: ${type}`);
+};
+
+// Send messages to the clients they're about
+// Returns [{ type, clientId, clientName, channel, to, sentAt }] for the messages that went out
+const sendNotifications = async (notifications, options) => {
+  const {
+    providers = getDefaultNotificationProviders(),
+    senderName,
+    getClient = (clientId) => clientModel.getClientForNotifications(clientId),
+  } = options;
+
+  const sent = [];
+  if (!hasNotificationGateway(providers)) return sent;
+
+  for (const { type, stop } of notifications) {
+    try {
+      // null when the client was deleted; they're skipped like an opted-out client
+      const client = await getClient(stop.clientId);
+      const contact = getClientContact(client, providers);
+      if (!contact) continue;
+
+      const message = buildNotificationMessage(type, stop, client, { senderName });
+      await providers[contact.channel].send({ to: contact.to, ...message });
+
+      sent.push({
+        type,
+        clientId: stop.clientId,
+        clientName: client.name,
+        channel: contact.channel,
+        to: contact.to,
+        sentAt: new Date(),
+      });
+    } catch (error) {
+      console.error(`Error sending ${type} message:`, error);
+    }
+  }
+
+  return sent;
+};
+
+// Send the messages for a driver event to the clients involved
+// Options: providers (by channel, defaults to getDefaultNotificationProviders()),
+// senderName (who the messages say is coming), getClient (loads a client by id, or null;
+// must not alert, since this runs from the background geofence task too)
+export const notifyClientsForStopEvent = (waypoints, index, event, options = {}) =>
+  sendNotifications(getStopNotifications(waypoints, index, event), options);
+
+// Tell the first client the walker is on the way when the day is started
+export const notifyFirstClient = (waypoints, options = {}) => {
+  const first = getNextClientStop(waypoints, -1);
+  return sendNotifications(first ? [{ type: NOTIFICATION_TYPES.ON_MY_WAY, stop: first }] : [], options);
+};
+
+export default {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+  createSmsProvider,
+  createEmailProvider,
+  createFakeNotificationProvider,
+  getDefaultNotificationProviders,
+  hasNotificationGateway,
+  getClientContact,
+  getStopNotifications,
+  buildNotificationMessage,
+  notifyClientsForStopEvent,
+  notifyFirstClient,
+};
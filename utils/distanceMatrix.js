@@ -0,0 +1,258 @@
+/**
+ * Distance / duration matrix providers for FetchRoute
+ *
+ * A provider answers "how far and how long from A to B" for the route optimizer.
+ * Every provider has the same shape:
+ *   name                - identifier stored with optimization results
+ *   prefetch(points)    - async; loads whatever the provider needs for these points
+ *   getLeg(from, to, departureTime)
+ *                       - sync; returns { distance, duration } in km and minutes.
+ *                         departureTime is optional; providers that know about
+ *                         traffic use it to time the leg
+ *
+ * The optimizer only calls getLeg, so HTTP-backed providers must be prefetched
+ * for the day's points before optimizeRoute runs.
+ */
+
+import { getTravelMinutes } from './trafficProfiles';
+
+// Default average speed used when we only know the straight-line distance
+export const DEFAULT_AVERAGE_SPEED = 30; // km/h
+
+// Calculate distance between two coordinates using the Haversine formula
+// This calculates the "as the crow flies" distance between two lat/lng points
+export const calculateDistance = (coord1, coord2) => {
+  if (!coord1 || !coord2) return 0;
+
+  const toRadians = (degree) => degree * Math.PI / 180;
+
+  const R = 6371; // Earth's radius in km
+  const dLat = toRadians(coord2.latitude - coord1.latitude);
+  const dLng = toRadians(coord2.longitude - coord1.longitude);
+
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(toRadians(coord1.latitude)) * Math.cos(toRadians(coord2.latitude)) *
+    Math.sin(dLng/2) * Math.sin(dLng/2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  const distance = R * c;
+
+  return distance; // Distance in kilometers
+};
+
+// Cache key for a single coordinate (6 decimals is roughly 10 cm)
+const coordinateKey = (coordinates) =>
+  `${coordinates.latitude.toFixed(6)},${coordinates.longitude.toFixed(6)}`;
+
+// Cache key for an ordered from -> to pair (matrices may be asymmetric)
+const pairKey = (from, to) => `${coordinateKey(from)}|${coordinateKey(to)}`;
+
+// Straight-line distance with a fixed average speed
+export const createHaversineMatrixProvider = ({ averageSpeed = DEFAULT_AVERAGE_SPEED } = {}) => ({
+  name: 'haversine',
+
+  prefetch: async () => {},
+
+  getLeg: (from, to) => {
+    const distance = calculateDistance(from.coordinates, to.coordinates);
+    return { distance, duration: (distance / averageSpeed) * 60 };
+  },
+});
+
+export const haversineMatrixProvider = createHaversineMatrixProvider();
+
+// Adapter for an OSRM-compatible routing server (e.g. osrm-backend running in a local container)
+// Uses the /table service to fetch road distances and durations for every pair in one request.
+// Results are cached per coordinate pair, so re-optimizing the same day doesn't refetch.
+// Pairs the server can't route fall back to the Haversine estimate.
+export const createOsrmMatrixProvider = ({
+  baseUrl,
+  profile = 'driving',
+  fetchImpl = fetch,
+  cache = new Map(),
+  fallback = haversineMatrixProvider,
+} = {}) => {
+  if (!baseUrl) {
+    throw new Error('An OSRM base URL is required');
+  }
+
+  const prefetch = async (points) => {
+    // De-duplicate by coordinate so each location is only sent once
+    const unique = [];
+    const seen = new Set();
+    points.forEach(point => {
+      if (!point || !point.coordinates) return;
+      const key = coordinateKey(point.coordinates);
+      if (!seen.has(key)) {
+        seen.add(key);
+        unique.push(point.coordinates);
+      }
+    });
+
+    const missing = unique.some(from =>
+      unique.some(to => from !== to && !cache.has(pairKey(from, to)))
+    );
+
+    if (unique.length < 2 || !missing) return;
+
+    // OSRM expects longitude,latitude pairs separated by semicolons
+    const coordinateList = unique
+      .map(coordinates => `${coordinates.longitude},${coordinates.latitude}`)
+      .join(';');
+    const url = `${baseUrl.replace(/\/$/, '')}/table/v1/${profile}/${coordinateList}?annotations=distance,duration`;
+
+    const response = await fetchImpl(url);
+    if (!response.ok) {
+      throw new Error(`Routing server responded with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.code !== 'Ok') {
+      throw new Error(`Routing server error: ${data.message || data.code}`);
+    }
+
+    unique.forEach((from, i) => {
+      unique.forEach((to, j) => {
+        const distance = data.distances ? data.distances[i][j] : null;
+        const duration = data.durations ? data.durations[i][j] : null;
+
+        if (distance === null || duration === null) return;
+
+        cache.set(pairKey(from, to), {
+          distance: distance / 1000, // meters -> km
+          duration: duration / 60, // seconds -> minutes
+        });
+      });
+    });
+  };
+
+  const getLeg = (from, to) => {
+    if (!from.coordinates || !to.coordinates) {
+      return { distance: 0, duration: 0 };
+    }
+
+    const cached = cache.get(pairKey(from.coordinates, to.coordinates));
+    if (cached) return cached;
+
+    if (coordinateKey(from.coordinates) === coordinateKey(to.coordinates)) {
+      return { distance: 0, duration: 0 };
+    }
+
+    return fallback.getLeg(from, to);
+  };
+
+  return {
+    name: 'osrm',
+    prefetch,
+    getLeg,
+    clearCache: () => cache.clear(),
+  };
+};
+
+// Time legs with a traffic profile instead of the provider's own durations
+// Distances still come from the wrapped provider; legs asked for without a
+// departure time keep the wrapped provider's duration
+export const withTrafficProfile = (provider, profile) => {
+  if (!profile) return provider;
+
+  return {
+    ...provider,
+    trafficProfile: profile.name,
+    baseProvider: provider,
+    profile,
+    getLeg: (from, to, departureTime) => {
+      const leg = provider.getLeg(from, to);
+      if (!departureTime) return leg;
+
+      return {
+        distance: leg.distance,
+        duration: getTravelMinutes(profile, leg.distance, departureTime),
+      };
+    },
+  };
+};
+
+// Every leg between the given points as the provider (before any traffic profile)
+// sees it now: [{ from, to, distance, duration }] with from/to as coordinate keys.
+// Stored with a route so its optimization can be replayed on the same distances.
+export const captureLegs = (provider, points) => {
+  const base = provider.baseProvider || provider;
+  const unique = [];
+  const seen = new Set();
+  points.forEach(point => {
+    if (!point || !point.coordinates) return;
+    const key = coordinateKey(point.coordinates);
+    if (!seen.has(key)) {
+      seen.add(key);
+      unique.push(point);
+    }
+  });
+
+  const legs = [];
+  unique.forEach(from => {
+    unique.forEach(to => {
+      if (from === to) return;
+      const { distance, duration } = base.getLeg(from, to);
+      legs.push({
+        from: coordinateKey(from.coordinates),
+        to: coordinateKey(to.coordinates),
+        distance,
+        duration,
+      });
+    });
+  });
+
+  return legs;
+};
+
+// Provider that answers from legs captured with captureLegs
+// Pairs that weren't captured fall back to the Haversine estimate
+export const createSnapshotMatrixProvider = (legs = [], { name = 'snapshot', fallback = haversineMatrixProvider } = {}) => {
+  const cache = new Map(legs.map(leg => [`${leg.from}|${leg.to}`, { distance: leg.distance, duration: leg.duration }]));
+
+  return {
+    name,
+    prefetch: async () => {},
+    getLeg: (from, to) => {
+      if (!from.coordinates || !to.coordinates) {
+        return { distance: 0, duration: 0 };
+      }
+
+      const cached = cache.get(pairKey(from.coordinates, to.coordinates));
+      if (cached) return cached;
+
+      if (coordinateKey(from.coordinates) === coordinateKey(to.coordinates)) {
+        return { distance: 0, duration: 0 };
+      }
+
+      return fallback.getLeg(from, to);
+    },
+  };
+};
+
+let defaultProvider = null;
+
+// Provider used by the app: the local routing server when EXPO_PUBLIC_ROUTING_SERVER_URL
+// is set, otherwise the Haversine model. Created once so its cache lives for the session.
+export const getDefaultMatrixProvider = () => {
+  if (!defaultProvider) {
+    const baseUrl = process.env.EXPO_PUBLIC_ROUTING_SERVER_URL;
+    defaultProvider = baseUrl
+      ? createOsrmMatrixProvider({ baseUrl })
+      : haversineMatrixProvider;
+  }
+  return defaultProvider;
+};
+
+export default {
+  DEFAULT_AVERAGE_SPEED,
+  calculateDistance,
+  createHaversineMatrixProvider,
+  haversineMatrixProvider,
+  createOsrmMatrixProvider,
+  withTrafficProfile,
+  captureLegs,
+  createSnapshotMatrixProvider,
+  getDefaultMatrixProvider,
+};
@@ -0,0 +1,207 @@
+/**
+ * Driver mode for FetchRoute
+ * Tracks a route while it is being driven. The walker taps Arrived and Done at each
+ * stop; the actual times go on the route's waypoints (actualArrivalTime,
+ * actualDepartureTime) and the rest of the day is re-projected from the real clock,
+ * keeping the stop order. Appointments move from scheduled to in_progress to completed,
+ * and a finished visit records how long it really took (appointment.actualDuration),
+ * which the service duration estimator learns from.
+ *
+ * Group walks: a pet's appointment starts at its pickup and completes at its dropoff.
+ * The time in between is mostly the walk and driving, so no actualDuration is recorded.
+ */
+
+import { DEFAULT_TIME_WINDOW_OPTIONS, simulateSchedule } from './routeSchedule';
+import { haversineMatrixProvider } from './distanceMatrix';
+
+// Waypoint types the walker works through (starts, ends and breaks are passed, not worked)
+const WORKED_TYPES = ['appointment', 'pickup', 'dropoff', 'walk'];
+
+export const DRIVER_EVENTS = {
+  ARRIVED: 'arrived',
+  DONE: 'done',
+};
+
+export const isWorkedStop = (waypoint) => WORKED_TYPES.includes(waypoint.type);
+
+const isFinished = (waypoint) => !!(waypoint.completed || waypoint.actualDepartureTime);
+
+// Index of the stop the walker is at or heading to, or -1 once every stop is done
+export const getCurrentStopIndex = (waypoints = []) =>
+  waypoints.findIndex(waypoint => isWorkedStop(waypoint) && !isFinished(waypoint));
+
+// How far through the day the walker is: { done, total }
+export const getDriverProgress = (waypoints = []) => {
+  const stops = waypoints.filter(isWorkedStop);
+  return {
+    done: stops.filter(isFinished).length,
+    total: stops.length,
+  };
+};
+
+// Re-project the stops still ahead from the last place the walker actually reached
+// Stops keep their order; only times and (for traffic-dependent legs) leg lengths change.
+// A stop the walker is still at is expected to take its planned length, or to end
+// now if that has already passed.
+// Options: matrixProvider, tolerance (minutes either side of an appointment), now
+export const projectRemainingSchedule = (waypoints = [], options = {}) => {
+  const {
+    matrixProvider = haversineMatrixProvider,
+    tolerance = DEFAULT_TIME_WINDOW_OPTIONS.tolerance,
+    now = new Date(),
+  } = options;
+
+  // The last place the walker is known to have been: a stop they reached, or the
+  // point the route was re-planned from
+  let anchorIndex = -1;
+  waypoints.forEach((waypoint, index) => {
+    if (waypoint.actualArrivalTime || waypoint.type === 'current') anchorIndex = index;
+  });
+
+  // Nothing reached yet, so the plan still stands
+  if (anchorIndex === -1) return waypoints;
+
+  const anchor = waypoints[anchorIndex];
+  let leaveAt;
+  if (anchor.actualDepartureTime) {
+    leaveAt = new Date(anchor.actualDepartureTime);
+  } else if (anchor.type === 'current') {
+    leaveAt = new Date(anchor.departureTime);
+  } else {
+    leaveAt = new Date(Math.max(
+      now.getTime(),
+      new Date(anchor.actualArrivalTime).getTime() + (anchor.duration || 0) * 60000
+    ));
+  }
+
+  const ahead = waypoints.slice(anchorIndex + 1);
+  const end = ahead.find(waypoint => waypoint.type === 'end') || null;
+  const stops = ahead.filter(waypoint => waypoint.type !== 'end');
+
+  const schedule = simulateSchedule(anchor, stops, {
+    getLeg: matrixProvider.getLeg,
+    endPoint: end,
+    tolerance,
+    startTime: leaveAt,
+  });
+
+  const projected = schedule.stops.map(entry => ({
+    ...entry.stop,
+    arrivalTime: entry.arrivalTime,
+    serviceStartTime: entry.serviceStartTime,
+    departureTime: entry.departureTime,
+    legDistance: entry.legDistance,
+    legDuration: Math.round(entry.legDuration),
+    waitTime: Math.round(entry.waitTime),
+    lateness: Math.round(entry.lateness),
+  }));
+
+  if (end && schedule.returnLeg) {
+    projected.push({
+      ...end,
+      arrivalTime: schedule.returnTime,
+      legDistance: schedule.returnLeg.distance,
+      legDuration: Math.round(schedule.returnLeg.duration),
+    });
+  }
+
+  return [
+    ...waypoints.slice(0, anchorIndex),
+    { ...anchor, departureTime: leaveAt },
+    ...projected,
+  ];
+};
+
+// How a check-in or check-out was made
+export const CHECK_IN_SOURCES = {
+  MANUAL: 'manual',
+  GEOFENCE: 'geofence',
+};
+
+// Record the walker arriving at or finishing a stop, and re-project the rest of the day
+// Options: source (a CHECK_IN_SOURCES value, manual by default), plus the
+// projectRemainingSchedule options
+// Returns the new waypoints
+export const recordStopEvent = (waypoints, index, event, time = new Date(), options = {}) => {
+  const { source = CHECK_IN_SOURCES.MANUAL } = options;
+  const waypoint = waypoints[index];
+
+  if (!waypoint || !isWorkedStop(waypoint)) {
+    throw new Error('Only stops on the route can be checked in and out');
+  }
+
+  let updated;
+  if (event === DRIVER_EVENTS.ARRIVED) {
+    updated = { ...waypoint, actualArrivalTime: time, arrivalSource: source };
+  } else if (event === DRIVER_EVENTS.DONE) {
+    // Tapping Done without Arrived counts the whole visit as having happened just now
+    updated = {
+      ...waypoint,
+      actualArrivalTime: waypoint.actualArrivalTime || time,
+      arrivalSource: waypoint.arrivalSource || source,
+      actualDepartureTime: time,
+      departureSource: source,
+      completed: true,
+    };
+  } else {
+    throw new Error(`Unknown driver event: ${event}`);
+  }
+
+  const next = [...waypoints.slice(0, index), updated, ...waypoints.slice(index + 1)];
+  return projectRemainingSchedule(next, { ...options, now: time });
+};
+
+// Changes to make to a stop's appointment for a driver event, or null if there are none
+// Returns { appointmentId, status, actualStartTime?, actualEndTime?, actualDuration? }
+export const getAppointmentProgress = (waypoint, event) => {
+  if (!waypoint.appointmentId) return null;
+
+  if (event === DRIVER_EVENTS.ARRIVED) {
+    // A group walk pet's visit starts when it's picked up
+    if (waypoint.type === 'dropoff') return null;
+
+    return {
+      appointmentId: waypoint.appointmentId,
+      status: 'in_progress',
+      actualStartTime: waypoint.actualArrivalTime,
+    };
+  }
+
+  if (event === DRIVER_EVENTS.DONE) {
+    // ...and ends when it's dropped off again
+    if (waypoint.type === 'pickup') return null;
+
+    const progress = {
+      appointmentId: waypoint.appointmentId,
+      status: 'completed',
+      actualEndTime: waypoint.actualDepartureTime,
+    };
+
+    if (waypoint.type === 'appointment') {
+      const minutes = Math.round(
+        (new Date(waypoint.actualDepartureTime) - new Date(waypoint.actualArrivalTime)) / 60000
+      );
+      progress.actualStartTime = waypoint.actualArrivalTime;
+
+      // Done without an Arrived first says nothing about how long the visit took
+      if (minutes > 0) {
+        progress.actualDuration = minutes;
+      }
+    }
+
+    return progress;
+  }
+
+  return null;
+};
+
+export default {
+  DRIVER_EVENTS,
+  CHECK_IN_SOURCES,
+  isWorkedStop,
+  getCurrentStopIndex,
+  getDriverProgress,
+  projectRemainingSchedule,
+  recordStopEvent,
+  getAppointmentProgress,
+};
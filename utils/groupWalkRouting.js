@@ -0,0 +1,235 @@
+/**
+ * Group walk routing for FetchRoute
+ * Pickup-and-delivery planning: every pet is picked up at its client's address,
+ * taken to a shared walk location and dropped back home afterwards.
+ *
+ * Pets are split into trips that never exceed the vehicle capacity (by pet count
+ * and by size), and each trip is driven as pickups -> walk location -> drop-offs.
+ */
+
+import {
+  formatAppointmentsForRouting,
+  nearestNeighbor,
+  improveRoute,
+  buildWaypoints,
+} from './routeOptimization';
+import { simulateSchedule, findUnmetTimeWindows } from './routeSchedule';
+import { haversineMatrixProvider, calculateDistance } from './distanceMatrix';
+import { getScheduleCost } from './routeCost';
+
+// How much room each pet size takes up in the vehicle
+export const PET_SIZE_UNITS = {
+  Small: 1,
+  Medium: 1.5,
+  Large: 2,
+  'Extra Large': 3,
+};
+
+// Defaults for a typical group walk
+export const DEFAULT_GROUP_WALK_OPTIONS = {
+  maxPets: 6,
+  maxUnits: 9,
+  walkDuration: 60, // minutes at the walk location
+  pickupDuration: 5, // minutes at the door for each pickup / drop-off
+  groupingWindow: 60, // pets booked within this many minutes may share a trip
+  tolerance: 15,
+};
+
+// Capacity units for a pet (unknown sizes count as Medium)
+export const getPetUnits = (pet) => {
+  return PET_SIZE_UNITS[pet && pet.size] || PET_SIZE_UNITS.Medium;
+};
+
+// Split pets into trips that fit in the vehicle
+// Each trip is seeded with the earliest unassigned pet, then filled with the
+// closest pets booked around the same time while capacity allows
+export const groupPetsIntoTrips = (pets, options = {}) => {
+  const { maxPets, maxUnits, groupingWindow } = { ...DEFAULT_GROUP_WALK_OPTIONS, ...options };
+
+  const unassigned = [];
+  let remaining = [...pets]
+    .filter(pet => {
+      if (pet.units > maxUnits) {
+        unassigned.push({
+          appointmentId: pet.stop.appointmentId,
+          clientName: pet.stop.clientName,
+          reason: 'Pet is too large for the vehicle',
+        });
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => new Date(a.stop.time) - new Date(b.stop.time));
+
+  const trips = [];
+
+  while (remaining.length > 0) {
+    const [seed, ...others] = remaining;
+    const trip = { pets: [seed], units: seed.units, time: new Date(seed.stop.time) };
+
+    const candidates = others
+      .filter(pet => Math.abs(new Date(pet.stop.time) - trip.time) <= groupingWindow * 60000)
+      .sort((a, b) =>
+        calculateDistance(seed.stop.coordinates, a.stop.coordinates) -
+        calculateDistance(seed.stop.coordinates, b.stop.coordinates)
+      );
+
+    for (const pet of candidates) {
+      if (trip.pets.length >= maxPets) break;
+      if (trip.units + pet.units > maxUnits) continue;
+
+      trip.pets.push(pet);
+      trip.units += pet.units;
+    }
+
+    trips.push(trip);
+    remaining = remaining.filter(pet => !trip.pets.includes(pet));
+  }
+
+  return { trips, unassigned };
+};
+
+// Order a set of stops between two fixed points (end may be null for an open path)
+const orderStops = (from, stops, to, matrixProvider) => {
+  const { route } = nearestNeighbor(from, stops, matrixProvider);
+  return improveRoute(from, route, { endPoint: to, matrixProvider }).route;
+};
+
+// Plan a group walk day
+// Appointments must include their pet (for size); walkLocation is the shared
+// walk waypoint ({ name, address, coordinates })
+export const optimizeGroupWalkRoute = (appointments, userStartPoint, options = {}) => {
+  const settings = { ...DEFAULT_GROUP_WALK_OPTIONS, ...options };
+  const { walkLocation, matrixProvider = haversineMatrixProvider } = settings;
+  const endPoint = options.endPoint === undefined ? userStartPoint : options.endPoint;
+
+  if (!walkLocation || !walkLocation.coordinates) {
+    throw new Error('A walk location with coordinates is required for group walks');
+  }
+
+  const { startingPoint, destinations } = formatAppointmentsForRouting(appointments, userStartPoint);
+  const pets = destinations.map((stop, index) => ({
+    stop,
+    pet: appointments[index].pet,
+    units: getPetUnits(appointments[index].pet),
+  }));
+
+  const { trips, unassigned } = groupPetsIntoTrips(pets, settings);
+
+  // Build the full stop list trip by trip, tracking the load after each stop
+  const route = [];
+  let currentPoint = startingPoint;
+  let load = 0;
+  let maxLoad = 0;
+
+  trips.forEach((trip, tripIndex) => {
+    const isLastTrip = tripIndex === trips.length - 1;
+
+    const walkStop = {
+      ...walkLocation,
+      id: `walk-${tripIndex}`,
+      type: 'walk',
+      appointmentId: null,
+      clientName: 'Group walk',
+      time: trip.time,
+      duration: settings.walkDuration,
+      petCount: trip.pets.length,
+    };
+
+    const pickups = trip.pets.map(({ stop, pet, units }) => ({
+      ...stop,
+      id: `pickup-${stop.appointmentId}`,
+      type: 'pickup',
+      time: null, // Only the walk itself is scheduled
+      duration: settings.pickupDuration,
+      petName: pet ? pet.name : null,
+      units,
+    }));
+
+    const dropoffs = pickups.map(pickup => ({
+      ...pickup,
+      id: `dropoff-${pickup.appointmentId}`,
+      type: 'dropoff',
+    }));
+
+    orderStops(currentPoint, pickups, walkStop, matrixProvider).forEach(stop => {
+      load += stop.units;
+      maxLoad = Math.max(maxLoad, load);
+      route.push({ ...stop, load });
+    });
+
+    route.push({ ...walkStop, load });
+
+    // Between trips the van may finish anywhere; after the last trip it heads to the end point
+    const dropoffEnd = isLastTrip ? endPoint : null;
+    orderStops(walkStop, dropoffs, dropoffEnd, matrixProvider).forEach(stop => {
+      load -= stop.units;
+      route.push({ ...stop, load });
+      currentPoint = stop;
+    });
+  });
+
+  if (maxLoad > settings.maxUnits) {
+    throw new Error('Group walk plan exceeds vehicle capacity');
+  }
+
+  // Leave early enough that the pickups are done when the first walk starts
+  const scheduleOptions = {
+    getLeg: matrixProvider.getLeg,
+    endPoint,
+    tolerance: settings.tolerance,
+  };
+
+  // The trial run starts at the walk time so traffic-aware leg times match the real day
+  const firstWalkStop = route.find(stop => stop.type === 'walk');
+  let schedule = simulateSchedule(startingPoint, route, {
+    ...scheduleOptions,
+    startTime: firstWalkStop ? new Date(firstWalkStop.time) : new Date(0),
+  });
+  const firstWalk = schedule.stops.find(entry => entry.stop.type === 'walk');
+  if (firstWalk) {
+    const leadTime = firstWalk.arrivalTime.getTime() - schedule.departureTime.getTime();
+    schedule = simulateSchedule(startingPoint, route, {
+      ...scheduleOptions,
+      startTime: new Date(new Date(firstWalk.stop.time).getTime() - leadTime),
+    });
+  }
+
+  const unmetTimeWindows = findUnmetTimeWindows(schedule);
+
+  return {
+    waypoints: buildWaypoints(startingPoint, schedule, endPoint),
+    optimizedRoute: route,
+    appointmentIds: route.filter(stop => stop.type === 'pickup').map(stop => stop.appointmentId),
+    totalDistance: schedule.totalDistance,
+    estimatedTravelTime: Math.round(schedule.totalTravelTime),
+    totalWaitTime: Math.round(schedule.totalWaitTime),
+    totalLateness: Math.round(schedule.totalLateness),
+    feasible: unmetTimeWindows.length === 0,
+    unmetTimeWindows,
+    trips: trips.map(trip => ({
+      appointmentIds: trip.pets.map(pet => pet.stop.appointmentId),
+      petCount: trip.pets.length,
+      units: trip.units,
+      walkTime: trip.time,
+    })),
+    unassigned,
+    maxLoad,
+    algorithm: 'group-walk-trips',
+    optimal: false,
+    matrixProvider: matrixProvider.name,
+    trafficProfile: matrixProvider.trafficProfile || null,
+    cost: options.costModel ? getScheduleCost(schedule, options.costModel) : null,
+    startPoint: startingPoint,
+    endPoint,
+    openRoute: !endPoint,
+  };
+};
+
+export default {
+  PET_SIZE_UNITS,
+  DEFAULT_GROUP_WALK_OPTIONS,
+  getPetUnits,
+  groupPetsIntoTrips,
+  optimizeGroupWalkRoute,
+};
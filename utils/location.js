@@ -0,0 +1,61 @@
+/**
+ * Device location helpers for FetchRoute
+ * Wraps expo-location so screens get locations in the same shape we store:
+ * { label, address, coordinates: { latitude, longitude } }
+ */
+
+import * as Location from 'expo-location';
+
+// Look up the coordinates for a street address
+export const geocodeAddress = async (label, address) => {
+  const results = await Location.geocodeAsync(address);
+
+  if (!results || results.length === 0) {
+    throw new Error(`Could not find "${address}"`);
+  }
+
+  return {
+    label,
+    address,
+    coordinates: {
+      latitude: results[0].latitude,
+      longitude: results[0].longitude,
+    },
+  };
+};
+
+// Get the device's current position (asks for permission if needed)
+export const getCurrentLocation = async (label = 'Current Location') => {
+  const { status } = await Location.requestForegroundPermissionsAsync();
+
+  if (status !== 'granted') {
+    throw new Error('Location permission was not granted');
+  }
+
+  const position = await Location.getCurrentPositionAsync({
+    accuracy: Location.Accuracy.Balanced,
+  });
+
+  return {
+    label,
+    address: label,
+    coordinates: {
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+    },
+  };
+};
+
+// Convert a stored location into a route start/end point
+export const toRoutePoint = (location, type) => ({
+  name: location.label,
+  address: location.address || location.label,
+  coordinates: location.coordinates,
+  type,
+});
+
+export default {
+  geocodeAddress,
+  getCurrentLocation,
+  toRoutePoint,
+};
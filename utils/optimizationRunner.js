@@ -0,0 +1,98 @@
+/**
+ * Cooperative runner for route optimization
+ *
+ * The optimizers are written as generators that yield { stage, progress } every
+ * so often (or a bare yield where there is nothing new to report). runSync drives
+ * one to completion in a single call; runCooperatively works in short time slices
+ * and hands the JS thread back to React Native between them, so the UI stays
+ * responsive and the run can be cancelled.
+ */
+
+// How long a single slice may hold the JS thread (ms), about one frame
+const DEFAULT_SLICE_MS = 12;
+
+// Error thrown when a cooperative run is cancelled through its AbortSignal
+export const createCancellationError = () => {
+  const error = new Error('Route optimization was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Check whether an error came from a cancelled run
+export const isCancellationError = (error) => !!error && error.name === 'AbortError';
+
+// Run an optimization generator to completion synchronously and return its result
+export const runSync = (steps) => {
+  let result = steps.next();
+  while (!result.done) {
+    result = steps.next();
+  }
+  return result.value;
+};
+
+// Re-map a nested generator's progress (0..1) into the range from..to of its parent
+// Bare yields (no progress report) are passed through untouched
+export function* scaleProgress(steps, from, to) {
+  let result = steps.next();
+  while (!result.done) {
+    const step = result.value;
+    if (step) {
+      yield { ...step, progress: from + (to - from) * (step.progress || 0) };
+    } else {
+      yield;
+    }
+    result = steps.next();
+  }
+  return result.value;
+}
+
+// Run an optimization generator in time slices, yielding to the event loop between them
+// onProgress({ stage, progress }) is called once per slice; an aborted signal cancels the run
+export const runCooperatively = async (steps, options = {}) => {
+  const {
+    onProgress = null,
+    signal = null,
+    sliceMs = DEFAULT_SLICE_MS,
+  } = options;
+
+  const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  let result = { done: false, value: null };
+  let lastStep = null;
+
+  while (!result.done) {
+    if (signal && signal.aborted) {
+      throw createCancellationError();
+    }
+
+    const sliceStart = Date.now();
+    do {
+      result = steps.next();
+      if (!result.done && result.value) {
+        lastStep = result.value;
+      }
+    } while (!result.done && Date.now() - sliceStart < sliceMs);
+
+    if (onProgress && lastStep) {
+      onProgress(lastStep);
+    }
+
+    if (!result.done) {
+      await nextTick();
+    }
+  }
+
+  if (onProgress) {
+    onProgress({ stage: 'done', progress: 1 });
+  }
+
+  return result.value;
+};
+
+export default {
+  createCancellationError,
+  isCancellationError,
+  runSync,
+  scaleProgress,
+  runCooperatively,
+};
@@ -0,0 +1,70 @@
+/**
+ * Pinned stop helpers for FetchRoute
+ * A pin fixes an appointment at a position in the day's order ("always third",
+ * "always last"). Pins are stored on the route as { [appointmentId]: position },
+ * with positions counted from 0.
+ */
+
+// Split stops into pinned ones (sorted by position) and the free ones the optimizer may move
+export const splitPinnedStops = (stops, pinnedPositions = {}) => {
+  const pinned = [];
+  const free = [];
+
+  stops.forEach(stop => {
+    const position = stop.appointmentId ? pinnedPositions[stop.appointmentId] : undefined;
+
+    if (Number.isInteger(position) && position >= 0) {
+      pinned.push({ stop, position });
+    } else {
+      free.push(stop);
+    }
+  });
+
+  pinned.sort((a, b) => a.position - b.position);
+
+  return { pinned, free };
+};
+
+// Put pinned stops back into an order of free stops
+// Positions past the end of the route pin the stop to the end
+export const applyPinnedStops = (freeRoute, pinned = []) => {
+  const route = [...freeRoute];
+
+  pinned.forEach(({ stop, position }) => {
+    route.splice(Math.min(position, route.length), 0, stop);
+  });
+
+  return route;
+};
+
+// Pin an appointment at a position, returning a new pin map
+export const pinStop = (pinnedPositions = {}, appointmentId, position) => ({
+  ...pinnedPositions,
+  [appointmentId]: position,
+});
+
+// Remove an appointment's pin, returning a new pin map
+export const unpinStop = (pinnedPositions = {}, appointmentId) => {
+  const { [appointmentId]: removed, ...rest } = pinnedPositions;
+  return rest;
+};
+
+// Shift pins by an offset, dropping the pins of excluded (e.g. completed) stops
+// Used when the first stops of a route are already done and only the rest is re-planned;
+// a pinned stop whose slot has already passed moves to the front
+export const offsetPinnedPositions = (pinnedPositions = {}, offset, excludeIds = []) => {
+  return Object.entries(pinnedPositions).reduce((result, [appointmentId, position]) => {
+    if (!excludeIds.includes(appointmentId)) {
+      result[appointmentId] = Math.max(0, position + offset);
+    }
+    return result;
+  }, {});
+};
+
+export default {
+  splitPinnedStops,
+  applyPinnedStops,
+  pinStop,
+  unpinStop,
+  offsetPinnedPositions,
+};
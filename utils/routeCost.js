@@ -0,0 +1,147 @@
+/**
+ * Route cost model for FetchRoute
+ * Puts a money figure on a day's route: fuel burnt, wear on the vehicle (tyres,
+ * servicing, depreciation) per km driven, and the walker's wage for the working
+ * day. Breaks are unpaid. The optimizer can rank routes by this cost instead of
+ * by distance, which favours routes with less waiting around between visits.
+ *
+ * Cost model:
+ *   fuelEconomy - litres per 100 km
+ *   fuelPrice   - price of a litre of fuel
+ *   wearPerKm   - vehicle wear and tear per km
+ *   hourlyWage  - paid per working hour
+ */
+
+import { getWorkdayEnd } from './routeSchedule';
+
+export const DEFAULT_COST_MODEL = {
+  fuelEconomy: 8,
+  fuelPrice: 1.8,
+  wearPerKm: 0.12,
+  hourlyWage: 20,
+};
+
+// What optimizeRoute ranks routes by
+export const ROUTE_OBJECTIVES = {
+  DISTANCE: 'distance',
+  COST: 'cost',
+  FINISH: 'finish',
+  PUNCTUALITY: 'punctuality',
+};
+
+export const ROUTE_OBJECTIVE_LABELS = {
+  [ROUTE_OBJECTIVES.DISTANCE]: 'Shortest distance',
+  [ROUTE_OBJECTIVES.COST]: 'Lowest cost',
+  [ROUTE_OBJECTIVES.FINISH]: 'Earliest finish',
+  [ROUTE_OBJECTIVES.PUNCTUALITY]: 'Fewest late arrivals',
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Cost of driving one km (fuel plus wear)
+export const getCostPerKm = (costModel = DEFAULT_COST_MODEL) => {
+  const model = { ...DEFAULT_COST_MODEL, ...costModel };
+  return (model.fuelEconomy / 100) * model.fuelPrice + model.wearPerKm;
+};
+
+// Break a day into its costs
+// distance in km, workMinutes the paid time on the clock
+const costBreakdown = (distance, workMinutes, costModel) => {
+  const model = { ...DEFAULT_COST_MODEL, ...costModel };
+  const fuelUsed = (distance * model.fuelEconomy) / 100;
+  const fuel = fuelUsed * model.fuelPrice;
+  const wear = distance * model.wearPerKm;
+  const labor = (workMinutes / 60) * model.hourlyWage;
+
+  return {
+    distance,
+    fuelUsed: Math.round(fuelUsed * 100) / 100,
+    workMinutes: Math.round(workMinutes),
+    fuel: roundMoney(fuel),
+    wear: roundMoney(wear),
+    labor: roundMoney(labor),
+    total: roundMoney(fuel + wear + labor),
+  };
+};
+
+// Cost breakdown of a simulated schedule
+// Returns { distance, fuelUsed, workMinutes, fuel, wear, labor, total }
+export const getScheduleCost = (schedule, costModel) => {
+  const dayLength = (getWorkdayEnd(schedule).getTime() - schedule.departureTime.getTime()) / 60000;
+  return costBreakdown(schedule.totalDistance, Math.max(0, dayLength - schedule.totalBreakTime), costModel);
+};
+
+// Cost breakdown of a saved route's waypoints (the same figures as getScheduleCost)
+// Used once a route has been re-planned and no single schedule covers the whole day
+export const getWaypointsCost = (waypoints = [], costModel) => {
+  const start = waypoints.find(waypoint => waypoint.type === 'start');
+  const last = waypoints[waypoints.length - 1];
+  const finish = last && (last.type === 'end' ? last.arrivalTime : last.departureTime);
+
+  const distance = waypoints.reduce((sum, waypoint) => sum + (waypoint.legDistance || 0), 0);
+  const breakMinutes = waypoints
+    .filter(waypoint => waypoint.type === 'break')
+    .reduce((sum, waypoint) => sum + (waypoint.duration || 0), 0);
+  const dayLength = start && start.departureTime && finish
+    ? (new Date(finish).getTime() - new Date(start.departureTime).getTime()) / 60000
+    : 0;
+
+  return costBreakdown(distance, Math.max(0, dayLength - breakMinutes), costModel);
+};
+
+// Unrounded cost of a schedule, for comparing candidate routes
+export const scheduleMoneyCost = (schedule, costModel) => {
+  const model = { ...DEFAULT_COST_MODEL, ...costModel };
+  const dayLength = (getWorkdayEnd(schedule).getTime() - schedule.departureTime.getTime()) / 60000;
+
+  return schedule.totalDistance * getCostPerKm(model) +
+    (Math.max(0, dayLength - schedule.totalBreakTime) / 60) * model.hourlyWage;
+};
+
+// Wrap a matrix provider so each leg's "distance" is what driving it costs
+// (fuel, wear and the wage for the driving time). Used for the distance-only
+// stages of the optimizer, which know nothing about waiting between visits.
+export const withLegCosts = (provider, costModel) => {
+  const model = { ...DEFAULT_COST_MODEL, ...costModel };
+  const perKm = getCostPerKm(model);
+
+  return {
+    ...provider,
+    getLeg: (from, to, departureTime) => {
+      const leg = provider.getLeg(from, to, departureTime);
+      return {
+        distance: leg.distance * perKm + (leg.duration / 60) * model.hourlyWage,
+        duration: leg.duration,
+      };
+    },
+  };
+};
+
+// Make sure a cost model has usable numbers
+export const validateCostModel = (costModel) => {
+  const fields = {
+    fuelEconomy: 'Fuel economy',
+    fuelPrice: 'Fuel price',
+    wearPerKm: 'Wear per km',
+    hourlyWage: 'Hourly wage',
+  };
+
+  Object.keys(fields).forEach(field => {
+    const value = costModel[field];
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+      throw new Error(`${fields[field]} must be a number of zero or more`);
+    }
+  });
+};
+
+export default {
+  DEFAULT_COST_MODEL,
+  ROUTE_OBJECTIVES,
+  ROUTE_OBJECTIVE_LABELS,
+  getCostPerKm,
+  getScheduleCost,
+  getWaypointsCost,
+  scheduleMoneyCost,
+  withLegCosts,
+  validateCostModel,
+};
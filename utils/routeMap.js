@@ -0,0 +1,94 @@
+/**
+ * Route map helpers for FetchRoute
+ * Turns a saved route's waypoints into what the map draws (start and end pins,
+ * numbered stops in route order, the path between them) and hands a stop over
+ * to the device's maps app for turn-by-turn directions.
+ *
+ * Breaks have no location, so they are left off the map.
+ */
+
+import { Linking, Platform } from 'react-native';
+
+// Waypoint types that are places on the map but not numbered stops
+const ENDPOINT_TYPES = ['start', 'current', 'end'];
+
+const hasCoordinates = (waypoint) =>
+  !!(waypoint && waypoint.coordinates &&
+    typeof waypoint.coordinates.latitude === 'number' &&
+    typeof waypoint.coordinates.longitude === 'number');
+
+// Markers for a route's waypoints, in route order
+// Returns [{ key, kind: 'start' | 'current' | 'end' | 'stop', number, waypoint }];
+// only stops are numbered, starting from 1
+export const getRouteMarkers = (waypoints = []) => {
+  let number = 0;
+
+  return waypoints
+    .map((waypoint, index) => ({ waypoint, index }))
+    .filter(({ waypoint }) => waypoint.type !== 'break' && hasCoordinates(waypoint))
+    .map(({ waypoint, index }) => {
+      const isEndpoint = ENDPOINT_TYPES.includes(waypoint.type);
+      return {
+        key: `${waypoint.type}-${waypoint.appointmentId || waypoint.id || index}`,
+        kind: isEndpoint ? waypoint.type : 'stop',
+        number: isEndpoint ? null : ++number,
+        waypoint,
+      };
+    });
+};
+
+// Coordinates the route passes through, in order (for the path polyline)
+export const getRoutePath = (waypoints = []) =>
+  getRouteMarkers(waypoints).map(marker => marker.waypoint.coordinates);
+
+// The next place to drive to: the first stop not yet completed, or the end
+// of the route once every stop is done. Null when there is nowhere left to go.
+// completedAppointmentIds covers visits finished since the route was last planned
+export const getNextStop = (waypoints = [], completedAppointmentIds = []) =>
+  waypoints.find(waypoint =>
+    !waypoint.completed &&
+    !(waypoint.appointmentId && completedAppointmentIds.includes(waypoint.appointmentId)) &&
+    !['start', 'current', 'break'].includes(waypoint.type) &&
+    hasCoordinates(waypoint)) || null;
+
+// Google Maps on the web, for when no maps app takes the native link
+export const getWebDirectionsUrl = (coordinates) =>
+  `https://www.google.com/maps/dir/?api=1&destination=${coordinates.latitude},${coordinates.longitude}&travelmode=driving`;
+
+// Link that opens driving directions to a place in the platform's maps app
+export const getDirectionsUrl = (coordinates, platform = Platform.OS) => {
+  const destination = `${coordinates.latitude},${coordinates.longitude}`;
+
+  if (platform === 'ios') {
+    return `http://maps.apple.com/?daddr=${destination}&dirflg=d`;
+  }
+
+  if (platform === 'android') {
+    return `google.navigation:q=${destination}&mode=d`;
+  }
+
+  return getWebDirectionsUrl(coordinates);
+};
+
+// Start turn-by-turn directions to a waypoint in the device's maps app
+export const openDirections = async (waypoint) => {
+  if (!hasCoordinates(waypoint)) {
+    throw new Error('This stop has no location to navigate to');
+  }
+
+  try {
+    await Linking.openURL(getDirectionsUrl(waypoint.coordinates));
+  } catch (error) {
+    // No app handles the native link (e.g. Google Maps isn't installed)
+    await Linking.openURL(getWebDirectionsUrl(waypoint.coordinates));
+  }
+};
+
+export default {
+  getRouteMarkers,
+  getRoutePath,
+  getNextStop,
+  getDirectionsUrl,
+  getWebDirectionsUrl,
+  openDirections,
+};
@@ -1,33 +1,55 @@
 /**
  * Route optimization utilities for FetchRoute
- * Implements the Nearest Neighbor algorithm for route optimization
+ * Builds an initial tour with the Nearest Neighbor algorithm and refines it
+ * with 2-opt and Or-opt local search
+ *
+ * Distances and travel times come from a matrix provider (see distanceMatrix.js);
+ * the Haversine model is used when none is given
+ *
+ * The heavier solvers are generators (the *Steps functions) so they can run in
+ * slices off the UI's critical path via optimizationRunner.js; the plain
+ * functions run them synchronously
+ *
+ * Runs are deterministic: the same appointments, options and seed always give the
+ * same route (as long as no timeBudget is set, since that depends on the clock)
  */
 
-// Calculate distance between two coordinates using the Haversine formula
-// This calculates the "as the crow flies" distance between two lat/lng points
-export const calculateDistance = (coord1, coord2) => {
-  if (!coord1 || !coord2) return 0;
-  
-  const toRadians = (degree) => degree * Math.PI / 180;
-  
-  const R = 6371; // Earth's radius in km
-  const dLat = toRadians(coord2.latitude - coord1.latitude);
-  const dLng = toRadians(coord2.longitude - coord1.longitude);
-  
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(toRadians(coord1.latitude)) * Math.cos(toRadians(coord2.latitude)) * 
-    Math.sin(dLng/2) * Math.sin(dLng/2);
-  
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c;
-  
-  return distance; // Distance in kilometers
-};
+import {
+  DEFAULT_TIME_WINDOW_OPTIONS,
+  simulateSchedule,
+  optimizeTimeWindowRouteSteps,
+  findUnmetTimeWindows,
+  getWorkdayEnd,
+  punctualityCost,
+} from './routeSchedule';
+import { calculateDistance, haversineMatrixProvider } from './distanceMatrix';
+import { runSync, runCooperatively, scaleProgress } from './optimizationRunner';
+import { splitPinnedStops, applyPinnedStops } from './pinnedStops';
+import { estimateServiceDuration } from './serviceDuration';
+import { insertBreaks } from './breakScheduling';
+import { getPriority, fitRouteToShiftSteps } from './appointmentPriority';
+import {
+  ROUTE_OBJECTIVES,
+  ROUTE_OBJECTIVE_LABELS,
+  getScheduleCost,
+  scheduleMoneyCost,
+  withLegCosts,
+} from './routeCost';
+import { DEFAULT_SEED, createSeededRandom, shuffle } from './seededRandom';
+
+// Bump whenever a change to the optimizer can change the routes it produces,
+// so replays of older routes can tell why they differ
+export const OPTIMIZER_VERSION = '1.2.0';
+
+// Distances smaller than this are treated as no improvement (avoids looping on float noise)
+const IMPROVEMENT_EPSILON = 1e-9;
+
+// Haversine distance lives with the matrix providers; re-exported here for existing callers
+export { calculateDistance };
 
 // Nearest Neighbor algorithm implementation
 // Starting from a given point, always visit the nearest unvisited point next
-export const nearestNeighbor = (startingPoint, destinations) => {
+export const nearestNeighbor = (startingPoint, destinations, matrixProvider = haversineMatrixProvider) => {
   if (!startingPoint || !destinations || destinations.length === 0) {
     return { route: [], totalDistance: 0 };
   }
@@ -48,10 +70,7 @@ export const nearestNeighbor = (startingPoint, destinations) => {
     
     for (let i = 0; i < unvisited.length; i++) {
       const point = unvisited[i];
-      const distance = calculateDistance(
-        currentPoint.coordinates,
-        point.coordinates
-      );
+      const { distance } = matrixProvider.getLeg(currentPoint, point);
       
       if (distance < shortestDistance) {
         shortestDistance = distance;
@@ -76,6 +95,353 @@ export const nearestNeighbor = (startingPoint, destinations) => {
   return { route, totalDistance };
 };
 
+// Routes with this many stops or fewer are solved exactly by default
+export const DEFAULT_EXACT_THRESHOLD = 10;
+
+// Held-Karp needs 2^n * n memory, so refuse sizes that would exhaust the device
+const MAX_EXACT_STOPS = 16;
+
+// Held-Karp dynamic programming: the provably shortest order for a small set of stops
+// dp[mask][j] is the shortest path from the start through the stops in mask, ending at stop j
+// Pass endPoint: null for an open route
+export function* heldKarpSteps(startingPoint, destinations, options = {}) {
+  const {
+    endPoint = startingPoint,
+    matrixProvider = haversineMatrixProvider,
+  } = options;
+
+  if (!startingPoint || !destinations || destinations.length === 0) {
+    return { route: [], totalDistance: 0 };
+  }
+
+  const n = destinations.length;
+  if (n > MAX_EXACT_STOPS) {
+    throw new Error(`Exact solver supports at most ${MAX_EXACT_STOPS} stops`);
+  }
+
+  // Matrix layout: 0 = starting point, 1..n = stops, n + 1 = end point
+  const points = [startingPoint, ...destinations, endPoint || startingPoint];
+  const matrix = buildDistanceMatrix(points, matrixProvider);
+  const endIndex = n + 1;
+  if (!endPoint) {
+    matrix.forEach(row => { row[endIndex] = 0; });
+  }
+
+  const fullMask = (1 << n) - 1;
+  const dp = new Float64Array((fullMask + 1) * n).fill(Infinity);
+  const parent = new Int8Array((fullMask + 1) * n).fill(-1);
+
+  for (let j = 0; j < n; j++) {
+    dp[(1 << j) * n + j] = matrix[0][j + 1];
+  }
+
+  for (let mask = 1; mask <= fullMask; mask++) {
+    if ((mask & 1023) === 0) {
+      yield { stage: 'exact', progress: mask / fullMask };
+    }
+
+    for (let j = 0; j < n; j++) {
+      const cost = dp[mask * n + j];
+      if (!(mask & (1 << j)) || cost === Infinity) continue;
+
+      for (let k = 0; k < n; k++) {
+        if (mask & (1 << k)) continue;
+
+        const nextMask = mask | (1 << k);
+        const nextCost = cost + matrix[j + 1][k + 1];
+        if (nextCost < dp[nextMask * n + k]) {
+          dp[nextMask * n + k] = nextCost;
+          parent[nextMask * n + k] = j;
+        }
+      }
+    }
+  }
+
+  // Close the tour at the end point and pick the best last stop
+  let bestLast = 0;
+  let totalDistance = Infinity;
+  for (let j = 0; j < n; j++) {
+    const cost = dp[fullMask * n + j] + matrix[j + 1][endIndex];
+    if (cost < totalDistance) {
+      totalDistance = cost;
+      bestLast = j;
+    }
+  }
+
+  // Walk the parent pointers back to recover the order
+  const order = [];
+  let mask = fullMask;
+  let current = bestLast;
+  while (current !== -1) {
+    order.unshift(current);
+    const previous = parent[mask * n + current];
+    mask &= ~(1 << current);
+    current = previous;
+  }
+
+  return {
+    route: order.map(index => destinations[index]),
+    totalDistance,
+  };
+}
+
+export const heldKarp = (startingPoint, destinations, options) =>
+  runSync(heldKarpSteps(startingPoint, destinations, options));
+
+// Build a full distance matrix for a list of points
+// Index i in the matrix corresponds to points[i]
+export const buildDistanceMatrix = (points, matrixProvider = haversineMatrixProvider) => {
+  return points.map(from =>
+    points.map(to => (from === to ? 0 : matrixProvider.getLeg(from, to).distance))
+  );
+};
+
+// Total distance of a tour: starting point -> every stop in order -> end point
+// The end point defaults to the starting point, so the return leg is included
+export const calculateRouteDistance = (
+  startingPoint,
+  route,
+  endPoint = startingPoint,
+  matrixProvider = haversineMatrixProvider
+) => {
+  if (!startingPoint || !route || route.length === 0) return 0;
+
+  let totalDistance = 0;
+  let currentPoint = startingPoint;
+
+  for (const stop of route) {
+    totalDistance += matrixProvider.getLeg(currentPoint, stop).distance;
+    currentPoint = stop;
+  }
+
+  if (endPoint) {
+    totalDistance += matrixProvider.getLeg(currentPoint, endPoint).distance;
+  }
+
+  return totalDistance;
+};
+
+// Sum of the matrix entries along a path of matrix indices
+const pathCost = (matrix, path) => {
+  let cost = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    cost += matrix[path[i]][path[i + 1]];
+  }
+  return cost;
+};
+
+// 2-opt: reverse the segment order[i..j] whenever that shortens the tour
+// Returns true if at least one move was applied
+function* twoOptPass(matrix, order, startIndex, endIndex, shouldStop) {
+  const n = order.length;
+  let improved = false;
+
+  for (let i = 0; i < n - 1; i++) {
+    yield;
+
+    for (let j = i + 1; j < n; j++) {
+      if (shouldStop()) return improved;
+
+      const before = i === 0 ? startIndex : order[i - 1];
+      const after = j === n - 1 ? endIndex : order[j + 1];
+      const segment = order.slice(i, j + 1);
+      const reversed = [...segment].reverse();
+
+      // Internal legs are compared too so asymmetric matrices are handled correctly
+      const currentCost = pathCost(matrix, [before, ...segment, after]);
+      const reversedCost = pathCost(matrix, [before, ...reversed, after]);
+
+      if (reversedCost < currentCost - IMPROVEMENT_EPSILON) {
+        order.splice(i, reversed.length, ...reversed);
+        improved = true;
+      }
+    }
+  }
+
+  return improved;
+}
+
+// Or-opt: move a run of 1..maxSegmentLength consecutive stops to a better position
+// Returns true if at least one move was applied
+function* orOptPass(matrix, order, startIndex, endIndex, maxSegmentLength, shouldStop) {
+  let improved = false;
+
+  for (let segmentLength = 1; segmentLength <= maxSegmentLength; segmentLength++) {
+    for (let i = 0; i + segmentLength <= order.length; i++) {
+      if (shouldStop()) return improved;
+      yield;
+
+      const n = order.length;
+      const segment = order.slice(i, i + segmentLength);
+      const before = i === 0 ? startIndex : order[i - 1];
+      const after = i + segmentLength === n ? endIndex : order[i + segmentLength];
+
+      // Distance saved by taking the segment out of its current position
+      const removalGain =
+        matrix[before][segment[0]] +
+        matrix[segment[segment.length - 1]][after] -
+        matrix[before][after];
+
+      const remaining = [...order.slice(0, i), ...order.slice(i + segmentLength)];
+      let bestDelta = -IMPROVEMENT_EPSILON;
+      let bestPosition = -1;
+
+      // Try every gap in the remaining tour except the one the segment came from
+      for (let k = 0; k <= remaining.length; k++) {
+        if (k === i) continue;
+
+        const previous = k === 0 ? startIndex : remaining[k - 1];
+        const next = k === remaining.length ? endIndex : remaining[k];
+        const insertionCost =
+          matrix[previous][segment[0]] +
+          matrix[segment[segment.length - 1]][next] -
+          matrix[previous][next];
+
+        const delta = insertionCost - removalGain;
+        if (delta < bestDelta) {
+          bestDelta = delta;
+          bestPosition = k;
+        }
+      }
+
+      if (bestPosition !== -1) {
+        remaining.splice(bestPosition, 0, ...segment);
+        order.splice(0, order.length, ...remaining);
+        improved = true;
+      }
+    }
+  }
+
+  return improved;
+}
+
+// Local search improvement phase
+// Repeatedly applies 2-opt and Or-opt moves to the given tour until no move helps,
+// the iteration limit is reached, or the optional time budget (in ms) runs out
+// Pass endPoint: null for an open route that doesn't return anywhere
+export function* improveRouteSteps(startingPoint, route, options = {}) {
+  const {
+    endPoint = startingPoint,
+    maxIterations = 100,
+    timeBudget = null,
+    maxSegmentLength = 3,
+    matrixProvider = haversineMatrixProvider,
+  } = options;
+
+  if (!startingPoint || !route || route.length < 2) {
+    return {
+      route: route ? [...route] : [],
+      totalDistance: calculateRouteDistance(startingPoint, route, endPoint, matrixProvider),
+      iterations: 0,
+    };
+  }
+
+  // Matrix layout: 0 = starting point, 1..n = stops, n + 1 = end point
+  const points = [startingPoint, ...route, endPoint || startingPoint];
+  const matrix = buildDistanceMatrix(points, matrixProvider);
+  const startIndex = 0;
+  const endIndex = points.length - 1;
+  
+  // Open route: finishing anywhere is free, so every leg into the end costs nothing
+  if (!endPoint) {
+    matrix.forEach(row => { row[endIndex] = 0; });
+  }
+  const order = route.map((_, index) => index + 1);
+
+  const startedAt = Date.now();
+  const shouldStop = () => timeBudget !== null && Date.now() - startedAt >= timeBudget;
+
+  let iterations = 0;
+  let improved = true;
+
+  while (improved && iterations < maxIterations && !shouldStop()) {
+    iterations++;
+    yield { stage: 'local-search', progress: iterations / maxIterations };
+
+    const twoOptImproved = yield* twoOptPass(matrix, order, startIndex, endIndex, shouldStop);
+    const orOptImproved = yield* orOptPass(matrix, order, startIndex, endIndex, maxSegmentLength, shouldStop);
+    improved = twoOptImproved || orOptImproved;
+  }
+
+  return {
+    route: order.map(index => points[index]),
+    totalDistance: pathCost(matrix, [startIndex, ...order, endIndex]),
+    iterations,
+  };
+}
+
+export const improveRoute = (startingPoint, route, options) =>
+  runSync(improveRouteSteps(startingPoint, route, options));
+
+// Local search from the given tour, then `restarts` more times from tours shuffled
+// with the seeded generator; the shortest result wins
+function* improveWithRestartsSteps(startingPoint, route, options = {}) {
+  const { restarts = 0, seed = DEFAULT_SEED } = options;
+  const random = createSeededRandom(seed);
+  const runs = restarts + 1;
+
+  let best = null;
+  let iterations = 0;
+  for (let run = 0; run < runs; run++) {
+    const start = run === 0 ? route : shuffle(route, random);
+    const result = yield* scaleProgress(improveRouteSteps(startingPoint, start, options), run / runs, (run + 1) / runs);
+    iterations += result.iterations;
+
+    if (!best || result.totalDistance < best.totalDistance - IMPROVEMENT_EPSILON) {
+      best = result;
+    }
+  }
+
+  return { ...best, iterations };
+}
+
+// Minutes from midnight to the end of the working day, with distance as a tie-break
+const finishCost = (schedule) => {
+  const end = getWorkdayEnd(schedule);
+  const midnight = new Date(end);
+  midnight.setHours(0, 0, 0, 0);
+  return (end - midnight) / 60000 + schedule.totalDistance * 0.01;
+};
+
+// How an objective weighs a single leg in the tour stages (tourProvider) and a
+// whole schedule once stops have times (baseCost; null means by distance)
+const objectiveCosts = (objective, matrixProvider, costModel) => {
+  if (objective === ROUTE_OBJECTIVES.COST) {
+    return {
+      tourProvider: withLegCosts(matrixProvider, costModel),
+      baseCost: (schedule) => scheduleMoneyCost(schedule, costModel),
+    };
+  }
+
+  if (objective === ROUTE_OBJECTIVES.FINISH) {
+    return {
+      tourProvider: {
+        ...matrixProvider,
+        getLeg: (from, to, departureTime) => {
+          const { duration } = matrixProvider.getLeg(from, to, departureTime);
+          return { distance: duration, duration };
+        },
+      },
+      baseCost: finishCost,
+    };
+  }
+
+  if (objective === ROUTE_OBJECTIVES.PUNCTUALITY) {
+    return { tourProvider: matrixProvider, baseCost: punctualityCost };
+  }
+
+  return { tourProvider: matrixProvider, baseCost: null };
+};
+
+// Stops in a fixed order (by time, then ID) however they were loaded, so ties in
+// the solvers are always broken the same way
+const compareStops = (a, b) => {
+  const byTime = new Date(a.time) - new Date(b.time);
+  if (byTime !== 0) return byTime;
+  if (a.appointmentId === b.appointmentId) return 0;
+  return a.appointmentId < b.appointmentId ? -1 : 1;
+};
+
 // Format appointments for route optimization
 export const formatAppointmentsForRouting = (appointments, startingPoint) => {
   // Ensure startingPoint has the correct format
@@ -91,6 +457,9 @@ export const formatAppointmentsForRouting = (appointments, startingPoint) => {
       throw new Error(`Missing coordinates for appointment at ${appointment.date}`);
     }
     
+    // Predicted visit length (or the user's override), estimated here if the caller didn't
+    const durationEstimate = appointment.durationEstimate || estimateServiceDuration(appointment);
+    
     return {
       id: appointment.id,
       appointmentId: appointment.id,
@@ -101,74 +470,360 @@ export const formatAppointmentsForRouting = (appointments, startingPoint) => {
       address: client.address.formatted || 'Address not available',
       coordinates: client.address.coordinates,
       serviceType: appointment.serviceType,
-      duration: appointment.duration || 60
+      priority: getPriority(appointment),
+      duration: durationEstimate.minutes,
+      durationSource: durationEstimate.source
     };
   });
   
   return { startingPoint, destinations };
 };
 
-// Optimize route using the nearest neighbor algorithm
-export const optimizeRoute = (appointments, userStartPoint) => {
-  // Format the data for routing
-  const { startingPoint, destinations } = formatAppointmentsForRouting(
-    appointments,
-    userStartPoint
-  );
-  
-  // Apply the nearest neighbor algorithm
-  const { route, totalDistance } = nearestNeighbor(startingPoint, destinations);
-  
-  // Calculate estimated travel times (very rough estimation)
-  // Assume average speed of 30 km/h in urban areas
-  const averageSpeed = 30; // km/h
-  const travelTimeInHours = totalDistance / averageSpeed;
-  const travelTimeInMinutes = Math.round(travelTimeInHours * 60);
-  
-  // Add starting and ending waypoints
+// Turn a simulated schedule into the waypoint list stored on a route
+// Every waypoint after the start carries the leg that leads into it
+export const buildWaypoints = (startingPoint, schedule, endPoint = startingPoint) => {
   const waypoints = [
     {
       ...startingPoint,
       type: 'start',
       arrivalTime: null,
-      departureTime: route.length > 0 ? new Date(route[0].time.getTime() - (travelTimeInMinutes / route.length) * 60000) : new Date()
+      departureTime: schedule.departureTime,
+      legDistance: 0,
+      legDuration: 0,
+      waitTime: 0,
     },
-    ...route.map((stop, index) => {
-      const arrivalTime = index === 0 
-        ? new Date(stop.time) // First appointment is at scheduled time
-        : new Date(route[index - 1].time.getTime() + route[index - 1].duration * 60000 + (travelTimeInMinutes / route.length) * 60000);
-      
-      return {
-        ...stop,
-        type: 'appointment',
-        arrivalTime,
-        departureTime: new Date(arrivalTime.getTime() + stop.duration * 60000)
-      };
-    }),
-    {
-      ...startingPoint,
+    ...schedule.stops.map(entry => ({
+      ...entry.stop,
+      type: entry.stop.type || 'appointment',
+      arrivalTime: entry.arrivalTime,
+      serviceStartTime: entry.serviceStartTime,
+      departureTime: entry.departureTime,
+      timeWindowStart: entry.timeWindowStart,
+      timeWindowEnd: entry.timeWindowEnd,
+      legDistance: entry.legDistance,
+      legDuration: Math.round(entry.legDuration),
+      waitTime: Math.round(entry.waitTime),
+      lateness: Math.round(entry.lateness),
+    })),
+  ];
+  
+  if (endPoint && schedule.returnLeg) {
+    waypoints.push({
+      ...endPoint,
       type: 'end',
-      arrivalTime: route.length > 0 
-        ? new Date(route[route.length - 1].departureTime.getTime() + (travelTimeInMinutes / route.length) * 60000)
-        : new Date(),
-      departureTime: null
+      arrivalTime: schedule.returnTime,
+      departureTime: null,
+      legDistance: schedule.returnLeg.distance,
+      legDuration: Math.round(schedule.returnLeg.duration),
+      waitTime: 0,
+    });
+  }
+  
+  return waypoints;
+};
+
+// Optimize route: nearest neighbor for the initial tour, then 2-opt / Or-opt improvement
+// Options:
+//   maxIterations, timeBudget, maxSegmentLength - passed through to the local search
+//   matrixProvider - distance/duration source; must already be prefetched for these stops
+//                    (wrap it with withTrafficProfile to time legs by hour and day)
+//   endPoint - where the day finishes; defaults to the starting point, null for an open route
+//   exactThreshold - solve exactly with Held-Karp up to this many stops (0 disables it)
+//   timeWindows - { mode: 'hard' | 'soft', tolerance, latenessPenalty }, or false to
+//                 order stops by distance alone
+//   startTime - fixed departure time; by default we leave just in time for the first stop
+//   pinnedPositions - { [appointmentId]: position } for stops the user fixed in place
+//   breaks - break rules (see breakScheduling); breaks are slotted in once the order is set
+//   shift - { end, maxMinutes } the day must fit in; lower-priority stops that don't fit
+//           are left out and returned as unscheduled (see appointmentPriority)
+//   objective - what to rank routes by: 'distance' (default), 'cost' (what the day costs
+//               to run), 'finish' (earliest end of the day) or 'punctuality' (fewest late visits)
+//   costModel - fuel, wear and wage rates (see routeCost); the result then includes a
+//               cost breakdown
+//   seed - seeds anything random in the run (default 1)
+//   restarts - extra local searches from seeded random tours (default 0)
+// The result's params hold every setting the run used, so it can be replayed (see routeReplay)
+export function* optimizeRouteSteps(appointments, userStartPoint, options = {}) {
+  // Format the data for routing
+  const { startingPoint, destinations: formatted } = formatAppointmentsForRouting(
+    appointments,
+    userStartPoint
+  );
+  const destinations = [...formatted].sort(compareStops);
+  
+  const {
+    matrixProvider = haversineMatrixProvider,
+    exactThreshold = DEFAULT_EXACT_THRESHOLD,
+    seed = DEFAULT_SEED,
+    restarts = 0,
+  } = options;
+  const endPoint = options.endPoint === undefined ? startingPoint : options.endPoint;
+  
+  if (endPoint && !endPoint.coordinates) {
+    throw new Error('Invalid end point. Must include coordinates.');
+  }
+  
+  // Other objectives than distance weigh each leg differently while building the tour,
+  // then compare whole schedules (waiting and lateness included) their own way
+  const objective = options.objective || ROUTE_OBJECTIVES.DISTANCE;
+  const byCost = objective === ROUTE_OBJECTIVES.COST;
+  const { tourProvider, baseCost } = objectiveCosts(objective, matrixProvider, options.costModel);
+  
+  yield { stage: 'initial', progress: 0 };
+  
+  // Apply the nearest neighbor algorithm to get a starting tour
+  const { route: initialRoute } = nearestNeighbor(startingPoint, destinations, tourProvider);
+  
+  // The leg to the end point (if any) is part of the objective
+  const initialDistance = calculateRouteDistance(
+    startingPoint,
+    initialRoute,
+    endPoint,
+    matrixProvider
+  );
+  
+  // Pinned stops stay where the user put them; only the free stops are optimized
+  const { pinned, free } = splitPinnedStops(destinations, options.pinnedPositions);
+  const hasPins = pinned.length > 0;
+  const freeInitialRoute = hasPins
+    ? nearestNeighbor(startingPoint, free, tourProvider).route
+    : initialRoute;
+  
+  // Small days are solved exactly; larger ones refine the greedy tour with local search
+  const useExact = !hasPins && destinations.length > 0 &&
+    destinations.length <= Math.min(exactThreshold, MAX_EXACT_STOPS);
+  const improved = useExact
+    ? {
+      ...(yield* scaleProgress(heldKarpSteps(startingPoint, destinations, { endPoint, matrixProvider: tourProvider }), 0.05, 0.5)),
+      iterations: 0,
     }
-  ];
+    : yield* scaleProgress(improveWithRestartsSteps(startingPoint, freeInitialRoute, {
+      ...options,
+      matrixProvider: tourProvider,
+      endPoint,
+      seed,
+      restarts,
+    }), 0.05, 0.5);
+  const improvedRoute = applyPinnedStops(improved.route, pinned);
+  const baseAlgorithm = useExact ? 'held-karp' : 'nearest-neighbor+local-search';
+  
+  const timeWindows = options.timeWindows === false
+    ? null
+    : { ...DEFAULT_TIME_WINDOW_OPTIONS, ...options.timeWindows };
+  
+  const scheduleOptions = {
+    getLeg: matrixProvider.getLeg,
+    endPoint,
+    tolerance: timeWindows ? timeWindows.tolerance : null,
+    startTime: options.startTime || null,
+  };
+  
+  // With time windows the shortest tour is only a candidate; the stops are
+  // re-ordered against the full schedule so appointments are visited on time.
+  // Pins are also settled here, since the free stops were improved without them.
+  let route = improvedRoute;
+  let iterations = improved.iterations;
+  if (timeWindows || hasPins) {
+    const windowed = yield* scaleProgress(optimizeTimeWindowRouteSteps(startingPoint, free, {
+      ...options,
+      ...timeWindows,
+      ...scheduleOptions,
+      baseCost,
+      initialRoutes: [improved.route],
+      pinned,
+    }), 0.5, 0.95);
+    route = windowed.route;
+    iterations += windowed.iterations;
+  }
+  
+  // Time windows may trade distance for punctuality; only an untouched exact tour is optimal
+  const reordered = route.some((stop, index) => stop !== improvedRoute[index]);
+  const algorithm = [
+    baseAlgorithm,
+    hasPins && 'pinned',
+    timeWindows && reordered && 'time-windows',
+  ].filter(Boolean).join('+');
+  
+  // Simulate the chosen order leg by leg to get the real timeline, with any breaks it needs
+  const buildPlan = (stops) => (options.breaks
+    ? insertBreaks(startingPoint, stops, { ...scheduleOptions, ...timeWindows, baseCost }, options.breaks)
+    : { route: stops, schedule: simulateSchedule(startingPoint, stops, scheduleOptions) });
+  
+  // On an overbooked day, leave out whatever doesn't fit in the shift
+  let schedule;
+  let unscheduled = [];
+  let shiftOverrun = 0;
+  if (options.shift) {
+    yield { stage: 'priorities', progress: 0.95 };
+    const fitted = yield* fitRouteToShiftSteps(route, buildPlan, {
+      shift: options.shift,
+      timeWindows,
+      lockedIds: pinned.map(({ stop }) => stop.appointmentId),
+      baseCost,
+    });
+    route = fitted.route;
+    schedule = fitted.plan.schedule;
+    unscheduled = fitted.unscheduled;
+    shiftOverrun = fitted.shiftOverrun;
+  } else {
+    schedule = buildPlan(route).schedule;
+  }
+  // Only distance and cost have an exact answer for the tour on its own
+  const exactObjective = objective === ROUTE_OBJECTIVES.DISTANCE || byCost;
+  const optimal = exactObjective && useExact && !reordered && unscheduled.length === 0;
+  const totalDistance = schedule.totalDistance;
+  const travelTimeInMinutes = Math.round(schedule.totalTravelTime);
+  
+  // Missed windows make the day infeasible in hard mode; in soft mode they are reported only
+  const unmetTimeWindows = timeWindows ? findUnmetTimeWindows(schedule) : [];
+  const feasible = !timeWindows || timeWindows.mode !== 'hard' || unmetTimeWindows.length === 0;
+  
+  const waypoints = buildWaypoints(startingPoint, schedule, endPoint);
   
   return {
     waypoints,
     optimizedRoute: route,
     appointmentIds: route.map(stop => stop.appointmentId),
+    initialDistance,
     totalDistance,
+    improvementIterations: iterations,
+    algorithm,
+    optimal,
     estimatedTravelTime: travelTimeInMinutes,
+    matrixProvider: matrixProvider.name,
+    trafficProfile: matrixProvider.trafficProfile || null,
+    totalWaitTime: Math.round(schedule.totalWaitTime),
+    totalBreakTime: Math.round(schedule.totalBreakTime),
+    totalLateness: Math.round(schedule.totalLateness),
+    finishTime: getWorkdayEnd(schedule),
+    feasible,
+    unmetTimeWindows,
+    unscheduled,
+    shiftOverrun,
+    objective,
+    cost: (options.costModel || byCost) ? getScheduleCost(schedule, options.costModel) : null,
+    version: OPTIMIZER_VERSION,
+    seed,
+    // Everything needed to run the same optimization again (null where unset)
+    params: {
+      seed,
+      restarts,
+      exactThreshold,
+      maxIterations: options.maxIterations || null,
+      maxSegmentLength: options.maxSegmentLength || null,
+      timeBudget: options.timeBudget || null,
+      timeWindows: timeWindows || false,
+      startTime: options.startTime || null,
+      pinnedPositions: options.pinnedPositions || null,
+      breaks: options.breaks || null,
+      shift: options.shift || null,
+      objective,
+      costModel: options.costModel || null,
+    },
     startPoint: startingPoint,
-    endPoint: startingPoint  // Default to returning to starting point
+    endPoint,  // null for an open route
+    openRoute: !endPoint
   };
+}
+
+export const optimizeRoute = (appointments, userStartPoint, options) =>
+  runSync(optimizeRouteSteps(appointments, userStartPoint, options));
+
+// Same as optimizeRoute, but runs in short slices so the UI stays responsive
+// Extra options: onProgress({ stage, progress }) and signal (an AbortSignal to cancel)
+export const optimizeRouteAsync = (appointments, userStartPoint, options = {}) =>
+  runCooperatively(optimizeRouteSteps(appointments, userStartPoint, options), {
+    onProgress: options.onProgress,
+    signal: options.signal,
+  });
+
+// Objectives compared by default when looking at alternative routes
+export const ALTERNATIVE_OBJECTIVES = [
+  ROUTE_OBJECTIVES.DISTANCE,
+  ROUTE_OBJECTIVES.FINISH,
+  ROUTE_OBJECTIVES.PUNCTUALITY,
+];
+
+// Identifies a plan by its stops and breaks in order, to spot objectives that agree
+const planKey = (plan) =>
+  plan.waypoints.map(waypoint => waypoint.appointmentId || waypoint.type).join('|');
+
+// How a finished plan scores on each objective, as the user would judge it (lower is better)
+const PLAN_SCORES = {
+  [ROUTE_OBJECTIVES.DISTANCE]: (plan) => plan.totalDistance,
+  [ROUTE_OBJECTIVES.COST]: (plan) => (plan.cost ? plan.cost.total : Infinity),
+  [ROUTE_OBJECTIVES.FINISH]: (plan) => plan.finishTime.getTime(),
+  [ROUTE_OBJECTIVES.PUNCTUALITY]: (plan) =>
+    plan.unmetTimeWindows.length * 1e6 + plan.totalLateness * 1e3 + plan.totalDistance,
 };
 
+// Optimize the same day once per objective so the plans can be compared side by side
+// Options: objectives (default shortest, earliest finish, fewest late), plus anything
+// optimizeRoute accepts
+// The search for one objective can turn up a plan that beats another objective's own
+// (e.g. a punctual plan that is also shorter), so every objective is given whichever
+// plan scores best on it; plans that win nothing are dropped
+// Returns { plans } in objective order; each plan is an optimizeRoute result with
+// objectives (every objective it wins) and labels for them
+export function* optimizeRouteAlternativesSteps(appointments, userStartPoint, options = {}) {
+  const { objectives = ALTERNATIVE_OBJECTIVES } = options;
+  
+  const results = [];
+  for (let i = 0; i < objectives.length; i++) {
+    results.push(yield* scaleProgress(
+      optimizeRouteSteps(appointments, userStartPoint, { ...options, objective: objectives[i] }),
+      i / objectives.length,
+      (i + 1) / objectives.length
+    ));
+  }
+  
+  const plans = [];
+  objectives.forEach((objective, index) => {
+    const score = PLAN_SCORES[objective];
+    
+    // An objective keeps its own plan unless another one is strictly better on it
+    const winner = results.reduce((best, candidate) =>
+      (score(candidate) < score(best) - IMPROVEMENT_EPSILON ? candidate : best), results[index]);
+    
+    const same = plans.find(plan => planKey(plan) === planKey(winner));
+    if (same) {
+      same.objectives.push(objective);
+      same.labels.push(ROUTE_OBJECTIVE_LABELS[objective]);
+    } else {
+      plans.push({ ...winner, objectives: [objective], labels: [ROUTE_OBJECTIVE_LABELS[objective]] });
+    }
+  });
+  
+  return { plans };
+}
+
+export const optimizeRouteAlternatives = (appointments, userStartPoint, options) =>
+  runSync(optimizeRouteAlternativesSteps(appointments, userStartPoint, options));
+
+// Cooperative version of optimizeRouteAlternatives; accepts onProgress and signal like optimizeRouteAsync
+export const optimizeRouteAlternativesAsync = (appointments, userStartPoint, options = {}) =>
+  runCooperatively(optimizeRouteAlternativesSteps(appointments, userStartPoint, options), {
+    onProgress: options.onProgress,
+    signal: options.signal,
+  });
+
 export default {
+  OPTIMIZER_VERSION,
+  ALTERNATIVE_OBJECTIVES,
   calculateDistance,
   nearestNeighbor,
+  heldKarp,
+  heldKarpSteps,
+  buildDistanceMatrix,
+  calculateRouteDistance,
+  improveRoute,
+  improveRouteSteps,
   formatAppointmentsForRouting,
-  optimizeRoute
+  buildWaypoints,
+  optimizeRoute,
+  optimizeRouteSteps,
+  optimizeRouteAsync,
+  optimizeRouteAlternatives,
+  optimizeRouteAlternativesSteps,
+  optimizeRouteAlternativesAsync,
 };
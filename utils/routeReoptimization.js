@@ -0,0 +1,221 @@
+/**
+ * Same-day changes to a saved route for FetchRoute
+ * Re-optimizes the stops still ahead on a saved route, starting from the walker's
+ * current position. Stops already completed keep their place in the timeline;
+ * cancelled appointments drop out and newly booked ones are slotted in.
+ * Also recalculates the timeline when the user re-orders the stops by hand.
+ */
+
+import { optimizeRouteSteps, buildWaypoints } from './routeOptimization';
+import { DEFAULT_TIME_WINDOW_OPTIONS, simulateSchedule, findUnmetTimeWindows } from './routeSchedule';
+import { haversineMatrixProvider } from './distanceMatrix';
+import { runSync, runCooperatively } from './optimizationRunner';
+import { offsetPinnedPositions } from './pinnedStops';
+import { insertBreaks } from './breakScheduling';
+import { getWaypointsCost } from './routeCost';
+
+// Appointment IDs added to and removed from a route between two versions
+export const diffAppointmentIds = (previousIds = [], nextIds = []) => ({
+  added: nextIds.filter(id => !previousIds.includes(id)),
+  removed: previousIds.filter(id => !nextIds.includes(id)),
+});
+
+// The part of a saved timeline that has already happened: the original start
+// plus every completed stop, in the order they were driven
+export const getCompletedWaypoints = (waypoints = [], completedAppointmentIds = []) => {
+  return waypoints
+    .filter(waypoint =>
+      waypoint.type === 'start' ||
+      (waypoint.appointmentId && completedAppointmentIds.includes(waypoint.appointmentId))
+    )
+    .map(waypoint => (waypoint.type === 'start' ? waypoint : { ...waypoint, completed: true }));
+};
+
+// Stops on a saved route that are still to be done, in their current order
+export const getUpcomingStops = (route) => {
+  const completedIds = (route.waypoints || [])
+    .filter(waypoint => waypoint.completed)
+    .map(waypoint => waypoint.appointmentId);
+
+  return (route.optimizedPath || []).filter(stop => !completedIds.includes(stop.appointmentId));
+};
+
+// Join the completed part of a route with a newly planned remainder
+// The remainder's start waypoint becomes a 'current' waypoint when re-planning from
+// somewhere other than the route's original start
+const mergeWithCompleted = (route, completedAppointmentIds, plan, replanStartName) => {
+  const completedWaypoints = getCompletedWaypoints(route.waypoints, completedAppointmentIds);
+  const completedDistance = completedWaypoints.reduce((sum, waypoint) => sum + (waypoint.legDistance || 0), 0);
+  const completedDuration = completedWaypoints.reduce((sum, waypoint) => sum + (waypoint.legDuration || 0), 0);
+
+  const [planStart, ...upcomingWaypoints] = plan.waypoints;
+  const waypoints = replanStartName
+    ? [...completedWaypoints, { ...planStart, type: 'current', name: replanStartName }, ...upcomingWaypoints]
+    : [planStart, ...upcomingWaypoints];
+
+  const completedIds = completedWaypoints
+    .filter(waypoint => waypoint.appointmentId)
+    .map(waypoint => waypoint.appointmentId);
+
+  return {
+    waypoints,
+    completedIds,
+    appointmentIds: [...completedIds, ...plan.appointmentIds],
+    totalDistance: completedDistance + plan.totalDistance,
+    estimatedTravelTime: Math.round(completedDuration + plan.estimatedTravelTime),
+  };
+};
+
+// Re-plan the rest of a saved route
+// remainingAppointments are today's appointments still to be done (new ones included),
+// currentPosition is where the walker is now ({ name, address, coordinates })
+// Options: completedAppointmentIds (defaults to the route's completed appointments),
+// startTime (defaults to now), plus anything optimizeRoute accepts
+export function* reoptimizeRouteSteps(route, remainingAppointments, currentPosition, options = {}) {
+  if (!currentPosition || !currentPosition.coordinates) {
+    throw new Error('A current position with coordinates is required to re-optimize');
+  }
+
+  const {
+    completedAppointmentIds = (route.appointments || [])
+      .filter(appointment => appointment.status === 'completed')
+      .map(appointment => appointment.id),
+    startTime = new Date(),
+  } = options;
+
+  // Anything already done must not be planned again
+  const remaining = remainingAppointments.filter(
+    appointment => !completedAppointmentIds.includes(appointment.id)
+  );
+
+  // Keep the route's original finish (null stays an open route)
+  const endPoint = options.endPoint !== undefined
+    ? options.endPoint
+    : route.endPoint === undefined ? route.startPoint : route.endPoint;
+
+  // Pins count positions over the whole day, so shift them past the completed stops
+  const pinnedPositions = offsetPinnedPositions(
+    options.pinnedPositions || route.pinnedPositions,
+    -completedAppointmentIds.length,
+    completedAppointmentIds
+  );
+
+  const plan = yield* optimizeRouteSteps(remaining, currentPosition, {
+    ...options,
+    endPoint,
+    startTime,
+    pinnedPositions,
+  });
+
+  // The new plan starts where the walker is standing rather than at the original start
+  const merged = mergeWithCompleted(
+    route,
+    completedAppointmentIds,
+    plan,
+    currentPosition.name || 'Current location'
+  );
+  const { added, removed } = diffAppointmentIds(route.appointmentIds, merged.appointmentIds);
+
+  return {
+    ...plan,
+    ...merged,
+    completedAppointmentIds: merged.completedIds,
+    addedAppointmentIds: added,
+    removedAppointmentIds: removed,
+    remainingDistance: plan.totalDistance,
+    // The plan only costs the rest of the day; cost the whole day, completed stops included
+    cost: plan.cost ? getWaypointsCost(merged.waypoints, options.costModel) : null,
+    reoptimizedFrom: currentPosition,
+  };
+}
+
+export const reoptimizeRoute = (route, remainingAppointments, currentPosition, options) =>
+  runSync(reoptimizeRouteSteps(route, remainingAppointments, currentPosition, options));
+
+// Cooperative version of reoptimizeRoute; accepts onProgress and signal like optimizeRouteAsync
+export const reoptimizeRouteAsync = (route, remainingAppointments, currentPosition, options = {}) =>
+  runCooperatively(reoptimizeRouteSteps(route, remainingAppointments, currentPosition, options), {
+    onProgress: options.onProgress,
+    signal: options.signal,
+  });
+
+// Recalculate a saved route for a hand-picked order of its upcoming stops
+// Everything done up to the last point the walker has passed (the last completed stop,
+// or the point the route was re-planned from) stays as it is, actual check-in times
+// included; stops skipped before it are planned again in their new place. The schedule and distances are rebuilt from there through the new order,
+// leaving at the actual departure when the walker checked out of that stop.
+// Options: matrixProvider, timeWindows, breaks (break rules, as for optimizeRoute) and
+// costModel to cost the new order
+export const reorderRoute = (route, orderedStops, options = {}) => {
+  const { matrixProvider = haversineMatrixProvider } = options;
+  const timeWindows = { ...DEFAULT_TIME_WINDOW_OPTIONS, ...options.timeWindows };
+  const routeWaypoints = route.waypoints || [];
+
+  let anchorIndex = -1;
+  routeWaypoints.forEach((waypoint, index) => {
+    if (waypoint.completed || waypoint.type === 'current') anchorIndex = index;
+  });
+  const anchor = routeWaypoints[anchorIndex];
+
+  // Stops skipped on the way are still to do (they are in orderedStops), so only the
+  // start, completed stops and the anchor itself stay in the timeline
+  const passedWaypoints = anchor
+    ? routeWaypoints
+      .slice(0, anchorIndex + 1)
+      .filter(waypoint => waypoint.type === 'start' || waypoint.completed || waypoint === anchor)
+    : [];
+
+  const startingPoint = anchor || route.startPoint;
+  const endPoint = route.endPoint === undefined ? route.startPoint : route.endPoint;
+
+  const scheduleOptions = {
+    getLeg: matrixProvider.getLeg,
+    endPoint,
+    tolerance: timeWindows.tolerance,
+    startTime: anchor ? anchor.actualDepartureTime || anchor.departureTime : null,
+  };
+  const { schedule } = options.breaks
+    ? insertBreaks(startingPoint, orderedStops, { ...scheduleOptions, ...timeWindows }, options.breaks)
+    : { schedule: simulateSchedule(startingPoint, orderedStops, scheduleOptions) };
+
+  // The plan's start waypoint stands in for the anchor, which is already in the timeline
+  const [planStart, ...upcomingWaypoints] = buildWaypoints(startingPoint, schedule, endPoint);
+  const waypoints = anchor
+    ? [...passedWaypoints, ...upcomingWaypoints]
+    : [planStart, ...upcomingWaypoints];
+
+  const completedIds = passedWaypoints
+    .filter(waypoint => waypoint.completed && waypoint.appointmentId)
+    .map(waypoint => waypoint.appointmentId);
+  const passedDistance = passedWaypoints.reduce((sum, waypoint) => sum + (waypoint.legDistance || 0), 0);
+  const passedDuration = passedWaypoints.reduce((sum, waypoint) => sum + (waypoint.legDuration || 0), 0);
+
+  const merged = {
+    waypoints,
+    completedIds,
+    appointmentIds: [...completedIds, ...orderedStops.map(stop => stop.appointmentId)],
+    totalDistance: passedDistance + schedule.totalDistance,
+    estimatedTravelTime: Math.round(passedDuration + schedule.totalTravelTime),
+  };
+  const unmetTimeWindows = findUnmetTimeWindows(schedule);
+
+  return {
+    ...merged,
+    optimizedRoute: orderedStops,
+    totalLateness: Math.round(schedule.totalLateness),
+    totalWaitTime: Math.round(schedule.totalWaitTime),
+    totalBreakTime: Math.round(schedule.totalBreakTime),
+    unmetTimeWindows,
+    feasible: timeWindows.mode !== 'hard' || unmetTimeWindows.length === 0,
+    cost: options.costModel ? getWaypointsCost(merged.waypoints, options.costModel) : null,
+  };
+};
+
+export default {
+  diffAppointmentIds,
+  getCompletedWaypoints,
+  getUpcomingStops,
+  reorderRoute,
+  reoptimizeRoute,
+  reoptimizeRouteAsync,
+};
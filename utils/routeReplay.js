@@ -0,0 +1,156 @@
+/**
+ * Reproducible optimization runs for FetchRoute
+ * When a route is created we keep a record of the run: the algorithm and optimizer
+ * version, every parameter, and a snapshot of the inputs (the appointments as the
+ * optimizer saw them, start and end points, the traffic profile and every leg's
+ * distance and duration). Replaying the record runs the optimizer again on exactly
+ * those inputs, so a complaint about a route can be reproduced later even after
+ * appointments, clients or road data have changed.
+ *
+ * Records only hold plain values and maps (Firestore can't store nested arrays);
+ * dates come back from Firestore as Timestamps and are converted on replay.
+ */
+
+import { optimizeRoute, formatAppointmentsForRouting, OPTIMIZER_VERSION } from './routeOptimization';
+import { captureLegs, createSnapshotMatrixProvider, withTrafficProfile } from './distanceMatrix';
+
+// Distances closer than this count as the same when comparing a replay (km)
+const DISTANCE_TOLERANCE = 1e-6;
+
+// Date from a Date, a Firestore Timestamp or an ISO string
+const toDate = (value) => {
+  if (!value) return value;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+// An appointment reduced to what the optimizer reads, with its visit length fixed
+// so a later change to the duration estimator doesn't change the replay
+const snapshotAppointment = (appointment, stop) => ({
+  id: appointment.id,
+  clientId: appointment.clientId || null,
+  petId: appointment.petId || null,
+  date: appointment.date,
+  serviceType: appointment.serviceType || null,
+  priority: stop.priority,
+  durationEstimate: { minutes: stop.duration, source: stop.durationSource || null },
+  client: {
+    name: appointment.client.name || null,
+    address: {
+      formatted: appointment.client.address.formatted || null,
+      coordinates: appointment.client.address.coordinates,
+    },
+  },
+});
+
+// Record of an optimizeRoute run, to store on the route document
+// appointments and matrixProvider are the ones the run was given; result is what it returned
+export const createRunRecord = (appointments, result, matrixProvider) => {
+  const { destinations } = formatAppointmentsForRouting(appointments, result.startPoint);
+  const snapshot = appointments.map((appointment, index) => snapshotAppointment(appointment, destinations[index]));
+
+  return {
+    algorithm: result.algorithm,
+    version: result.version,
+    seed: result.seed,
+    params: result.params,
+    // What the run produced, before any later re-planning or hand edits
+    appointmentIds: result.appointmentIds,
+    totalDistance: result.totalDistance,
+    input: {
+      appointments: snapshot,
+      startPoint: result.startPoint,
+      endPoint: result.endPoint,
+      matrixProvider: result.matrixProvider,
+      trafficProfile: matrixProvider.profile || null,
+      legs: captureLegs(matrixProvider, [
+        result.startPoint,
+        result.endPoint,
+        ...snapshot.map(appointment => appointment.client.address),
+      ]),
+    },
+  };
+};
+
+// Parameters as optimizeRoute expects them: unset ones left out, dates revived
+const paramsForReplay = (params = {}) => {
+  const options = {};
+  Object.keys(params).forEach(key => {
+    if (params[key] !== null && params[key] !== undefined) {
+      options[key] = params[key];
+    }
+  });
+
+  if (options.startTime) {
+    options.startTime = toDate(options.startTime);
+  }
+
+  if (options.shift && options.shift.end) {
+    options.shift = { ...options.shift, end: toDate(options.shift.end) };
+  }
+
+  return options;
+};
+
+// Run a stored record's optimization again on its own inputs
+export const replayRun = (record) => {
+  if (!record || !record.input) {
+    throw new Error('This route has no run record to replay');
+  }
+
+  const { input } = record;
+  const snapshotProvider = createSnapshotMatrixProvider(input.legs, { name: input.matrixProvider || 'snapshot' });
+  const matrixProvider = input.trafficProfile
+    ? withTrafficProfile(snapshotProvider, input.trafficProfile)
+    : snapshotProvider;
+
+  const appointments = input.appointments.map(appointment => ({
+    ...appointment,
+    date: toDate(appointment.date),
+  }));
+
+  return optimizeRoute(appointments, input.startPoint, {
+    ...paramsForReplay(record.params),
+    endPoint: input.endPoint,
+    matrixProvider,
+  });
+};
+
+// Compare a run record with a replay of it
+// Returns { matches, differences, notes }: differences name what came out differently,
+// notes explain why a replay might not match
+export const compareReplay = (record, replayed) => {
+  const differences = [];
+  const notes = [];
+
+  if (record.appointmentIds.join(',') !== replayed.appointmentIds.join(',')) {
+    differences.push('stop order');
+  }
+
+  if (Math.abs(record.totalDistance - replayed.totalDistance) > DISTANCE_TOLERANCE) {
+    differences.push('total distance');
+  }
+
+  if (record.algorithm !== replayed.algorithm) {
+    differences.push('algorithm');
+  }
+
+  if (record.version !== OPTIMIZER_VERSION) {
+    notes.push(`The route was made with optimizer ${record.version}; this is ${OPTIMIZER_VERSION}`);
+  }
+
+  if (record.params && record.params.timeBudget) {
+    notes.push('The run had a time budget, so how far it got depended on the device');
+  }
+
+  return {
+    matches: differences.length === 0,
+    differences,
+    notes,
+  };
+};
+
+export default {
+  createRunRecord,
+  replayRun,
+  compareReplay,
+};
@@ -0,0 +1,312 @@
+/**
+ * Schedule utilities for FetchRoute
+ * Walks an ordered list of stops, works out when each one is reached and
+ * checks the result against every appointment's time window
+ */
+
+import { runSync } from './optimizationRunner';
+import { applyPinnedStops } from './pinnedStops';
+
+// Default time window handling
+// mode: 'hard' windows must be met, 'soft' windows may be missed at a cost
+// tolerance: minutes either side of the appointment time that still count as on time
+// latenessPenalty: cost (in km, or money when optimizing for cost) added per minute of
+// lateness when comparing soft routes
+export const DEFAULT_TIME_WINDOW_OPTIONS = {
+  mode: 'soft',
+  tolerance: 15,
+  latenessPenalty: 1,
+};
+
+// Weights used to rank routes when windows are hard:
+// fewer late stops always wins, then less lateness, then less distance
+const LATE_STOP_WEIGHT = 1e6;
+const HARD_LATENESS_WEIGHT = 1e3;
+
+// Convert an "HH:MM" time to a Date on the given day
+export const timeOnDate = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes || 0, 0, 0);
+  return result;
+};
+
+// Get the time window for a stop: its scheduled time plus/minus the tolerance
+export const getTimeWindow = (stop, tolerance = DEFAULT_TIME_WINDOW_OPTIONS.tolerance) => {
+  if (!stop || !stop.time) {
+    return { earliest: null, latest: null };
+  }
+
+  const scheduled = new Date(stop.time).getTime();
+
+  return {
+    earliest: new Date(scheduled - tolerance * 60000),
+    latest: new Date(scheduled + tolerance * 60000),
+  };
+};
+
+// Walk the stops in order, one leg at a time, and work out arrival, departure,
+// wait and lateness for each stop plus the distance and duration of the leg into it
+// getLeg(from, to, departureTime) must return { distance, duration } with duration in minutes
+// If no startTime is given we leave just in time to reach the first stop as its window opens
+// A tolerance of null ignores time windows and simply drives from stop to stop
+// Stops of type 'break' are taken wherever the walker is: they have no leg, no
+// time window (only an optional earliestStart) and count as break time, not service time
+export const simulateSchedule = (startingPoint, route, options = {}) => {
+  const {
+    getLeg,
+    endPoint = startingPoint,
+    tolerance = DEFAULT_TIME_WINDOW_OPTIONS.tolerance,
+    startTime = null,
+  } = options;
+
+  if (!getLeg) {
+    throw new Error('simulateSchedule requires a getLeg function');
+  }
+
+  const windowFor = (stop) => (tolerance === null
+    ? { earliest: null, latest: null }
+    : getTimeWindow(stop, tolerance));
+
+  let clock;
+  if (startTime) {
+    clock = new Date(startTime).getTime();
+  } else if (route.length > 0 && route[0].time) {
+    const firstArrival = windowFor(route[0]).earliest || new Date(route[0].time);
+
+    // Leg times can depend on when we leave, so check the estimate against its own departure
+    const estimate = firstArrival.getTime() - getLeg(startingPoint, route[0], firstArrival).duration * 60000;
+    clock = firstArrival.getTime() - getLeg(startingPoint, route[0], new Date(estimate)).duration * 60000;
+  } else {
+    clock = Date.now();
+  }
+
+  const departureTime = new Date(clock);
+  let currentPoint = startingPoint;
+  let totalDistance = 0;
+  let totalTravelTime = 0;
+  let totalServiceTime = 0;
+  let totalBreakTime = 0;
+  let totalWaitTime = 0;
+  let totalLateness = 0;
+
+  const stops = route.map(stop => {
+    const isBreak = stop.type === 'break';
+    const leg = isBreak ? { distance: 0, duration: 0 } : getLeg(currentPoint, stop, new Date(clock));
+    totalDistance += leg.distance;
+    totalTravelTime += leg.duration;
+    clock += leg.duration * 60000;
+
+    const arrivalTime = new Date(clock);
+    const { earliest, latest } = isBreak
+      ? { earliest: stop.earliestStart ? new Date(stop.earliestStart) : null, latest: null }
+      : windowFor(stop);
+
+    // Early arrivals wait for the window to open
+    let waitTime = 0;
+    if (earliest && clock < earliest.getTime()) {
+      waitTime = (earliest.getTime() - clock) / 60000;
+      clock = earliest.getTime();
+    }
+
+    const serviceStartTime = new Date(clock);
+    const lateness = latest && clock > latest.getTime()
+      ? (clock - latest.getTime()) / 60000
+      : 0;
+
+    totalWaitTime += waitTime;
+    totalLateness += lateness;
+    if (isBreak) {
+      totalBreakTime += stop.duration || 0;
+    } else {
+      totalServiceTime += stop.duration || 0;
+      currentPoint = stop;
+    }
+
+    clock += (stop.duration || 0) * 60000;
+
+    return {
+      stop,
+      legDistance: leg.distance,
+      legDuration: leg.duration,
+      arrivalTime,
+      serviceStartTime,
+      departureTime: new Date(clock),
+      timeWindowStart: earliest,
+      timeWindowEnd: latest,
+      waitTime,
+      lateness,
+    };
+  });
+
+  let returnTime = null;
+  let returnLeg = null;
+  if (endPoint) {
+    const leg = getLeg(currentPoint, endPoint, new Date(clock));
+    totalDistance += leg.distance;
+    totalTravelTime += leg.duration;
+    clock += leg.duration * 60000;
+    returnTime = new Date(clock);
+    returnLeg = { distance: leg.distance, duration: leg.duration };
+  }
+
+  return {
+    departureTime,
+    returnTime,
+    returnLeg,
+    stops,
+    totalDistance,
+    totalTravelTime,
+    totalServiceTime,
+    totalBreakTime,
+    totalWaitTime,
+    totalLateness,
+    lateStops: stops.filter(entry => entry.lateness > 0),
+  };
+};
+
+// The moment a schedule's working day ends: back at the end point, or leaving the last stop
+export const getWorkdayEnd = (schedule) => {
+  if (schedule.returnTime) return schedule.returnTime;
+  if (schedule.stops.length > 0) return schedule.stops[schedule.stops.length - 1].departureTime;
+  return schedule.departureTime;
+};
+
+// Single number used to compare two schedules (lower is better)
+// baseCost(schedule) is what the route costs before any lateness; distance by default
+export const scheduleCost = (schedule, options = {}) => {
+  const {
+    mode = DEFAULT_TIME_WINDOW_OPTIONS.mode,
+    latenessPenalty = DEFAULT_TIME_WINDOW_OPTIONS.latenessPenalty,
+    baseCost = null,
+  } = options;
+  const base = baseCost ? baseCost(schedule) : schedule.totalDistance;
+
+  if (mode === 'hard') {
+    return (
+      schedule.lateStops.length * LATE_STOP_WEIGHT +
+      schedule.totalLateness * HARD_LATENESS_WEIGHT +
+      base
+    );
+  }
+
+  return base + schedule.totalLateness * latenessPenalty;
+};
+
+// Schedule cost that puts being on time first: fewer late stops always wins,
+// then less lateness, then less distance
+export const punctualityCost = (schedule) =>
+  schedule.lateStops.length * LATE_STOP_WEIGHT +
+  schedule.totalLateness * HARD_LATENESS_WEIGHT +
+  schedule.totalDistance;
+
+// Describe the appointments whose windows are missed in a schedule
+export const findUnmetTimeWindows = (schedule) => {
+  return schedule.lateStops.map(entry => ({
+    appointmentId: entry.stop.appointmentId,
+    clientName: entry.stop.clientName,
+    scheduledTime: entry.stop.time,
+    projectedArrival: entry.serviceStartTime,
+    lateness: Math.round(entry.lateness),
+  }));
+};
+
+// Order stops to respect their time windows
+// Starts from the best of the candidate orders (plus the stops sorted by time),
+// then applies relocate and segment reversal moves judged on the full schedule.
+// With pinned stops ({ stop, position } from splitPinnedStops) only the free
+// destinations are moved; every candidate is judged with the pins put back in place.
+export function* optimizeTimeWindowRouteSteps(startingPoint, destinations, options = {}) {
+  const {
+    initialRoutes = [],
+    maxIterations = 100,
+    timeBudget = null,
+    pinned = [],
+  } = options;
+
+  const evaluate = (freeRoute) => {
+    const route = applyPinnedStops(freeRoute, pinned);
+    const schedule = simulateSchedule(startingPoint, route, options);
+    return { route, freeRoute, schedule, cost: scheduleCost(schedule, options) };
+  };
+
+  if (!destinations || destinations.length === 0) {
+    const { freeRoute, ...result } = evaluate([]);
+    return { ...result, iterations: 0 };
+  }
+
+  const byTime = [...destinations].sort((a, b) => new Date(a.time) - new Date(b.time));
+  let best = [byTime, ...initialRoutes]
+    .map(evaluate)
+    .reduce((current, candidate) => (candidate.cost < current.cost ? candidate : current));
+
+  const startedAt = Date.now();
+  const shouldStop = () => timeBudget !== null && Date.now() - startedAt >= timeBudget;
+
+  let iterations = 0;
+  let improved = true;
+
+  while (improved && iterations < maxIterations && !shouldStop()) {
+    iterations++;
+    improved = false;
+    const n = best.freeRoute.length;
+    yield { stage: 'time-windows', progress: iterations / maxIterations };
+
+    // Relocate: move one stop to another position
+    for (let i = 0; i < n && !shouldStop(); i++) {
+      yield;
+
+      for (let k = 0; k < n; k++) {
+        if (k === i) continue;
+
+        const candidate = [...best.freeRoute];
+        const [stop] = candidate.splice(i, 1);
+        candidate.splice(k, 0, stop);
+
+        const result = evaluate(candidate);
+        if (result.cost < best.cost - 1e-9) {
+          best = result;
+          improved = true;
+        }
+      }
+    }
+
+    // Reverse a segment (2-opt)
+    for (let i = 0; i < n - 1 && !shouldStop(); i++) {
+      yield;
+
+      for (let j = i + 1; j < n; j++) {
+        const candidate = [
+          ...best.freeRoute.slice(0, i),
+          ...best.freeRoute.slice(i, j + 1).reverse(),
+          ...best.freeRoute.slice(j + 1),
+        ];
+
+        const result = evaluate(candidate);
+        if (result.cost < best.cost - 1e-9) {
+          best = result;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  const { freeRoute, ...result } = best;
+  return { ...result, iterations };
+}
+
+export const optimizeTimeWindowRoute = (startingPoint, destinations, options) =>
+  runSync(optimizeTimeWindowRouteSteps(startingPoint, destinations, options));
+
+export default {
+  DEFAULT_TIME_WINDOW_OPTIONS,
+  timeOnDate,
+  getTimeWindow,
+  simulateSchedule,
+  getWorkdayEnd,
+  scheduleCost,
+  punctualityCost,
+  findUnmetTimeWindows,
+  optimizeTimeWindowRoute,
+  optimizeTimeWindowRouteSteps,
+};
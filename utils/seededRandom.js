@@ -0,0 +1,36 @@
+/**
+ * Seeded random numbers for FetchRoute
+ * Anything random in the optimizers draws from one of these generators instead of
+ * Math.random, so the same seed always gives the same route.
+ */
+
+export const DEFAULT_SEED = 1;
+
+// Random number generator (mulberry32) returning floats in [0, 1)
+export const createSeededRandom = (seed = DEFAULT_SEED) => {
+  let state = (Number(seed) >>> 0) || DEFAULT_SEED;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Shuffled copy of a list (Fisher-Yates), driven by the given generator
+export const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+export default {
+  DEFAULT_SEED,
+  createSeededRandom,
+  shuffle,
+};
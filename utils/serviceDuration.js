@@ -0,0 +1,166 @@
+/**
+ * Service duration estimates for FetchRoute
+ * Predicts how long a visit really takes, so the route schedule isn't built on a
+ * flat 60 minutes. The model starts from the service type (or the booked length),
+ * scales size-sensitive services by the pet's size, adds time for special needs and
+ * a hand-off at the door, then leans towards the actual lengths of past visits
+ * (appointment.actualDuration, recorded when a visit is completed).
+ *
+ * A user-entered appointment.durationOverride always wins over the prediction.
+ */
+
+// Typical minutes per service type when the booking doesn't say
+export const SERVICE_BASE_DURATIONS = {
+  Walk: 30,
+  'Dog Walk': 30,
+  'Group Walk': 60,
+  'Drop-in Visit': 20,
+  'Pet Sitting': 45,
+  Feeding: 15,
+  Bath: 45,
+  Grooming: 60,
+  Training: 60,
+};
+
+export const DEFAULT_SERVICE_DURATION = 60;
+
+// How much the pet's size stretches a size-sensitive service
+export const SIZE_FACTORS = {
+  Small: 0.85,
+  Medium: 1,
+  Large: 1.2,
+  'Extra Large': 1.4,
+};
+
+// Walks and sits are booked by the clock; these take longer for bigger pets
+const SIZE_SENSITIVE_SERVICES = ['Bath', 'Grooming'];
+
+// Extra minutes for special needs, matched by keyword against the pet's specialNeeds
+export const SPECIAL_NEED_MINUTES = {
+  medication: 5,
+  senior: 5,
+  mobility: 10,
+  reactive: 5,
+  anxiety: 5,
+  diet: 3,
+};
+
+const DEFAULT_SPECIAL_NEED_MINUTES = 3;
+
+// Keys, leash and a quick note for the client on every visit
+export const HANDOFF_MINUTES = 5;
+
+// How many past visits the model's own estimate counts as when blending with history
+const PRIOR_WEIGHT = 3;
+
+// Where a duration came from
+export const DURATION_SOURCES = {
+  OVERRIDE: 'override',
+  HISTORY: 'history',
+  MODEL: 'model',
+};
+
+// Estimates are rounded to the nearest 5 minutes
+const roundToFive = (minutes) => Math.max(5, Math.round(minutes / 5) * 5);
+
+// Minutes a special need adds to a visit
+const specialNeedMinutes = (need) => {
+  const text = String(need).toLowerCase();
+  const keyword = Object.keys(SPECIAL_NEED_MINUTES).find(key => text.includes(key));
+  return keyword ? SPECIAL_NEED_MINUTES[keyword] : DEFAULT_SPECIAL_NEED_MINUTES;
+};
+
+// Estimate from the service, pet size and special needs alone
+export const modelServiceDuration = (appointment, pet) => {
+  const base = appointment.duration || SERVICE_BASE_DURATIONS[appointment.serviceType] || DEFAULT_SERVICE_DURATION;
+  const sizeFactor = SIZE_SENSITIVE_SERVICES.includes(appointment.serviceType)
+    ? SIZE_FACTORS[pet && pet.size] || SIZE_FACTORS.Medium
+    : 1;
+  const needs = (pet && pet.specialNeeds) || [];
+  const needsMinutes = needs.reduce((sum, need) => sum + specialNeedMinutes(need), 0);
+
+  return base * sizeFactor + needsMinutes + HANDOFF_MINUTES;
+};
+
+// Past visit lengths that tell us something about this appointment
+// The same pet and service is the best evidence; otherwise the same service
+// for pets of the same size
+export const findComparableVisits = (appointment, pet, history = []) => {
+  const completed = history.filter(visit =>
+    visit.id !== appointment.id &&
+    visit.serviceType === appointment.serviceType &&
+    visit.actualDuration > 0
+  );
+
+  const samePet = completed.filter(visit => visit.petId === appointment.petId);
+  if (samePet.length > 0) return samePet;
+
+  const size = pet && pet.size;
+  return size ? completed.filter(visit => visit.pet && visit.pet.size === size) : [];
+};
+
+// Completed visits with a recorded length, each with its pet attached so the
+// same-size fallback in findComparableVisits can match them
+// pets is any list of pets covering the visits (visits for unknown pets keep pet undefined)
+export const buildVisitHistory = (appointments = [], pets = []) => {
+  const petsById = new Map(pets.map(pet => [pet.id, pet]));
+
+  return appointments
+    .filter(appointment => appointment.status === 'completed' && appointment.actualDuration > 0)
+    .map(appointment => ({ ...appointment, pet: petsById.get(appointment.petId) }));
+};
+
+// Predict how long an appointment will take
+// history is a list of completed appointments (with actualDuration and, ideally, pet)
+// Returns { minutes, predicted, source, sampleCount }; minutes is what the schedule
+// should use, predicted is the estimate before any override
+export const estimateServiceDuration = (appointment, pet = appointment.pet, history = []) => {
+  const modelled = modelServiceDuration(appointment, pet);
+  const visits = findComparableVisits(appointment, pet, history);
+
+  // Shrink the average of past visits towards the model when there are only a few
+  const predicted = visits.length > 0
+    ? roundToFive(
+      (modelled * PRIOR_WEIGHT + visits.reduce((sum, visit) => sum + visit.actualDuration, 0)) /
+      (PRIOR_WEIGHT + visits.length)
+    )
+    : roundToFive(modelled);
+  const source = visits.length > 0 ? DURATION_SOURCES.HISTORY : DURATION_SOURCES.MODEL;
+
+  if (appointment.durationOverride > 0) {
+    return {
+      minutes: appointment.durationOverride,
+      predicted,
+      source: DURATION_SOURCES.OVERRIDE,
+      sampleCount: visits.length,
+    };
+  }
+
+  return { minutes: predicted, predicted, source, sampleCount: visits.length };
+};
+
+// Short description of where an estimate came from, for the UI
+export const describeDurationEstimate = (estimate) => {
+  switch (estimate.source) {
+    case DURATION_SOURCES.OVERRIDE:
+      return `Set by you (predicted ${estimate.predicted} min)`;
+    case DURATION_SOURCES.HISTORY:
+      return `Based on ${estimate.sampleCount} past ${estimate.sampleCount === 1 ? 'visit' : 'visits'}`;
+    default:
+      return 'Estimated from service, pet size and special needs';
+  }
+};
+
+export default {
+  SERVICE_BASE_DURATIONS,
+  DEFAULT_SERVICE_DURATION,
+  SIZE_FACTORS,
+  SPECIAL_NEED_MINUTES,
+  HANDOFF_MINUTES,
+  DURATION_SOURCES,
+  modelServiceDuration,
+  findComparableVisits,
+  buildVisitHistory,
+  estimateServiceDuration,
+  describeDurationEstimate,
+};
@@ -0,0 +1,199 @@
+/**
+ * Appointment slot suggestions for FetchRoute
+ * Helps pick a day and time for a new booking. For each of the next few days the
+ * day's existing appointments are optimized as they stand, then the new visit is
+ * tried at every slot of the working day, slotted into the best place in that
+ * day's route. The most promising slots are checked again by optimizing the whole
+ * day with the new visit in it, and ranked by whether the day still works (no late
+ * visits, nothing pushed out of the shift) and by how much extra driving it adds.
+ */
+
+import { optimizeRouteSteps, formatAppointmentsForRouting } from './routeOptimization';
+import { DEFAULT_TIME_WINDOW_OPTIONS, simulateSchedule, timeOnDate, getWorkdayEnd } from './routeSchedule';
+import { haversineMatrixProvider } from './distanceMatrix';
+import { runSync, runCooperatively, scaleProgress } from './optimizationRunner';
+
+export const DEFAULT_SUGGESTION_OPTIONS = {
+  workingHours: { start: '08:00', end: '18:00' },
+  slotInterval: 30, // minutes between candidate start times
+  perDay: 2, // most slots suggested on any one day
+  minSpacing: 60, // minutes between two slots suggested on the same day
+  maxSuggestions: 5,
+};
+
+// ID the new visit goes by while it's being tried out
+const NEW_APPOINTMENT_ID = 'new-appointment';
+
+// Working day as Dates, plus the shift optimizeRoute should keep the day inside
+const workingDayFor = (date, workingHours) => {
+  const start = timeOnDate(date, workingHours.start);
+  const end = timeOnDate(date, workingHours.end);
+  return { start, end, shift: { end, maxMinutes: (end - start) / 60000 } };
+};
+
+// Candidate start times for the new visit on one day
+const slotTimesFor = (workingDay, duration, slotInterval, notBefore) => {
+  const times = [];
+  const lastStart = workingDay.end.getTime() - duration * 60000;
+
+  for (let time = workingDay.start.getTime(); time <= lastStart; time += slotInterval * 60000) {
+    if (!notBefore || time >= notBefore.getTime()) {
+      times.push(new Date(time));
+    }
+  }
+
+  return times;
+};
+
+// Better candidates sort first: workable days, then least extra driving, then least lateness
+const compareCandidates = (a, b) =>
+  (b.feasible - a.feasible) ||
+  (a.addedDistance - b.addedDistance) ||
+  (a.lateness - b.lateness) ||
+  (a.date - b.date);
+
+// Best slots of one day, spaced apart so they offer a real choice
+const pickDaySlots = (candidates, perDay, minSpacing) => {
+  const picked = [];
+
+  [...candidates].sort(compareCandidates).forEach(candidate => {
+    const tooClose = picked.some(other => Math.abs(other.date - candidate.date) < minSpacing * 60000);
+    if (picked.length < perDay && !tooClose) {
+      picked.push(candidate);
+    }
+  });
+
+  return picked;
+};
+
+// Rank days and times for a new appointment
+// newAppointment: { clientId, client (with address.coordinates), petId, pet, serviceType, duration }
+// days: [{ date, appointments }] with each day's scheduled appointments, clients attached
+// startPoint: where the walker's day starts
+// Options: workingHours, slotInterval, perDay, minSpacing, maxSuggestions, now (no slots
+// before it), plus matrixProvider, endPoint, timeWindows and breaks as for optimizeRoute
+// Returns { suggestions } ranked best first; each has date (the start time), addedDistance
+// (km), addedTravelTime (minutes), lateness (minutes), displaced (appointments that would
+// no longer fit) and feasible
+export function* suggestSlotsSteps(newAppointment, days, startPoint, options = {}) {
+  const settings = { ...DEFAULT_SUGGESTION_OPTIONS, ...options };
+  const { matrixProvider = haversineMatrixProvider, now = new Date() } = settings;
+  const timeWindows = { ...DEFAULT_TIME_WINDOW_OPTIONS, ...settings.timeWindows };
+  const duration = newAppointment.duration;
+
+  if (!newAppointment.client || !newAppointment.client.address || !newAppointment.client.address.coordinates) {
+    throw new Error('The client needs an address with coordinates to suggest times');
+  }
+
+  if (!(duration > 0)) {
+    throw new Error('A visit length is required to suggest times');
+  }
+
+  const endPoint = settings.endPoint === undefined ? startPoint : settings.endPoint;
+
+  // Optimizing a day takes the same options whether or not the new visit is in it
+  const optimizeDay = (appointments, workingDay) => optimizeRouteSteps(appointments, startPoint, {
+    matrixProvider,
+    endPoint: settings.endPoint,
+    timeWindows: settings.timeWindows,
+    breaks: settings.breaks,
+    shift: workingDay.shift,
+  });
+
+  const newVisitAt = (date) => ({
+    ...newAppointment,
+    id: NEW_APPOINTMENT_ID,
+    date,
+    durationOverride: duration,
+  });
+
+  // First pass: each day's route as it stands, with the new visit tried in every slot
+  const shortlist = [];
+  for (let i = 0; i < days.length; i++) {
+    const day = days[i];
+    const workingDay = workingDayFor(day.date, settings.workingHours);
+    const baseline = day.appointments.length > 0
+      ? yield* scaleProgress(optimizeDay(day.appointments, workingDay), i / days.length * 0.5, (i + 0.5) / days.length * 0.5)
+      : { optimizedRoute: [], totalDistance: 0, estimatedTravelTime: 0 };
+
+    const scheduleOptions = { getLeg: matrixProvider.getLeg, endPoint, tolerance: timeWindows.tolerance };
+
+    const candidates = [];
+    for (const date of slotTimesFor(workingDay, duration, settings.slotInterval, now)) {
+      const [stop] = formatAppointmentsForRouting([newVisitAt(date)], startPoint).destinations;
+      let best = null;
+
+      for (let position = 0; position <= baseline.optimizedRoute.length; position++) {
+        const route = [...baseline.optimizedRoute.slice(0, position), stop, ...baseline.optimizedRoute.slice(position)];
+        const schedule = simulateSchedule(startPoint, route, scheduleOptions);
+        const candidate = {
+          date,
+          addedDistance: schedule.totalDistance - baseline.totalDistance,
+          lateness: schedule.totalLateness,
+          feasible: schedule.totalLateness === 0 && getWorkdayEnd(schedule) <= workingDay.end,
+        };
+
+        if (!best || compareCandidates(candidate, best) < 0) {
+          best = candidate;
+        }
+      }
+
+      candidates.push(best);
+      yield;
+    }
+
+    pickDaySlots(candidates, settings.perDay, settings.minSpacing).forEach(candidate => {
+      shortlist.push({ ...candidate, day, workingDay, baseline });
+    });
+  }
+
+  // Second pass: optimize each shortlisted day again with the new visit in it
+  const suggestions = [];
+  for (let i = 0; i < shortlist.length; i++) {
+    const { date, day, workingDay, baseline } = shortlist[i];
+    const plan = yield* scaleProgress(
+      optimizeDay([...day.appointments, newVisitAt(date)], workingDay),
+      0.5 + (i / shortlist.length) * 0.5,
+      0.5 + ((i + 1) / shortlist.length) * 0.5
+    );
+
+    const displaced = plan.unscheduled.filter(item => item.appointmentId !== NEW_APPOINTMENT_ID);
+    const newVisitDropped = plan.unscheduled.length > displaced.length;
+
+    suggestions.push({
+      date,
+      addedDistance: plan.totalDistance - baseline.totalDistance,
+      addedTravelTime: plan.estimatedTravelTime - baseline.estimatedTravelTime,
+      lateness: plan.totalLateness,
+      displaced,
+      stopCount: day.appointments.length,
+      feasible: plan.unmetTimeWindows.length === 0 && plan.unscheduled.length === 0 && plan.shiftOverrun === 0,
+      newVisitDropped,
+    });
+  }
+
+  return {
+    suggestions: suggestions
+      .filter(suggestion => !suggestion.newVisitDropped)
+      .sort(compareCandidates)
+      .slice(0, settings.maxSuggestions)
+      .map(({ newVisitDropped, ...suggestion }) => suggestion),
+  };
+}
+
+export const suggestSlots = (newAppointment, days, startPoint, options) =>
+  runSync(suggestSlotsSteps(newAppointment, days, startPoint, options));
+
+// Cooperative version of suggestSlots; accepts onProgress and signal like optimizeRouteAsync
+export const suggestSlotsAsync = (newAppointment, days, startPoint, options = {}) =>
+  runCooperatively(suggestSlotsSteps(newAppointment, days, startPoint, options), {
+    onProgress: options.onProgress,
+    signal: options.signal,
+  });
+
+export default {
+  DEFAULT_SUGGESTION_OPTIONS,
+  suggestSlots,
+  suggestSlotsSteps,
+  suggestSlotsAsync,
+};
@@ -0,0 +1,45 @@
+/**
+ * Stop check-ins for FetchRoute
+ * Saves a walker arriving at or finishing a stop: the re-projected waypoints go on
+ * the route and the visit's status and actual times go on its appointment. Shared by
+ * the Arrived / Done buttons in driver mode and by automatic geofence check-ins
+ * (see backgroundTracking), so both record exactly the same thing, and both message
+ * clients (see clientNotifications).
+ */
+
+import routeModel from '../firebase/models/routeModel';
+import appointmentModel from '../firebase/models/appointmentModel';
+import { recordStopEvent, getCurrentStopIndex, getAppointmentProgress } from './driverMode';
+import { notifyClientsForStopEvent } from './clientNotifications';
+
+// Record a driver event for the stop at index and save it
+// Options: matrixProvider (required, for re-projecting the day), time (defaults to now),
+// source (manual or geofence), senderName (the walker, as named in client messages)
+// Returns { updates, progress, notifications }: the route fields saved, the appointment
+// change (null when the stop has no appointment to update) and the client messages sent
+export const saveStopEvent = async (route, index, event, options = {}) => {
+  const { matrixProvider, time = new Date(), source, senderName } = options;
+
+  await matrixProvider.prefetch(route.waypoints.filter(waypoint => waypoint.coordinates));
+
+  const waypoints = recordStopEvent(route.waypoints, index, event, time, { matrixProvider, source });
+  const finished = getCurrentStopIndex(waypoints) === -1;
+  const updates = finished
+    ? { waypoints, status: 'completed', completedAt: time }
+    : { waypoints };
+  await routeModel.updateRoute(route.id, updates);
+
+  const progress = getAppointmentProgress(waypoints[index], event);
+  if (progress) {
+    await appointmentModel.updateVisitProgress(progress.appointmentId, progress);
+  }
+
+  // Sent from the re-projected waypoints, so "on my way" has the up-to-date ETA
+  const notifications = await notifyClientsForStopEvent(waypoints, index, event, { senderName });
+
+  return { updates, progress, notifications };
+};
+
+export default {
+  saveStopEvent,
+};
@@ -0,0 +1,263 @@
+/**
+ * Territory clustering for FetchRoute
+ * Groups regular clients into zones so each working weekday covers one area of
+ * town. Clients are clustered by address with a capacity-constrained k-means: every
+ * zone is kept to roughly the same number of weekly visits, so no day ends up with
+ * all the work. Zones are then matched to weekdays so as few clients as possible
+ * change day, and existing appointments can be moved over to the new days.
+ *
+ * Weekdays are JavaScript day numbers (0 = Sunday ... 6 = Saturday).
+ */
+
+import { calculateDistance } from './distanceMatrix';
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const DEFAULT_WORKING_WEEKDAYS = [1, 2, 3, 4, 5];
+
+export const DEFAULT_CLUSTERING_OPTIONS = {
+  capacitySlack: 0.15, // how far over an even share of visits a zone may go
+  maxIterations: 50,
+};
+
+// Colours for zones on the map, one per weekday
+export const ZONE_COLORS = ['#8e24aa', '#1e88e5', '#43a047', '#fb8c00', '#e53935', '#00897b', '#6d4c41'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weighted mean position of a group of clients
+const centroidOf = (members) => {
+  const totalWeight = members.reduce((sum, member) => sum + member.weight, 0);
+  return {
+    latitude: members.reduce((sum, member) => sum + member.coordinates.latitude * member.weight, 0) / totalWeight,
+    longitude: members.reduce((sum, member) => sum + member.coordinates.longitude * member.weight, 0) / totalWeight,
+  };
+};
+
+// Starting centres spread as far apart as possible (deterministic, so the same
+// clients always give the same zones)
+const initialCentroids = (points, count) => {
+  const middle = centroidOf(points);
+  const farthestFrom = (centres) => points.reduce((best, point) => {
+    const distance = Math.min(...centres.map(centre => calculateDistance(point.coordinates, centre)));
+    return !best || distance > best.distance ? { point, distance } : best;
+  }, null).point;
+
+  const centroids = [farthestFrom([middle]).coordinates];
+  while (centroids.length < count) {
+    centroids.push(farthestFrom(centroids).coordinates);
+  }
+  return centroids;
+};
+
+// Assign every point to a centroid without any zone going over capacity
+// Points that would lose the most by missing their nearest zone choose first
+const assignWithCapacity = (points, centroids, capacity) => {
+  const loads = centroids.map(() => 0);
+  const ranked = points.map(point => {
+    const distances = centroids.map(centre => calculateDistance(point.coordinates, centre));
+    const order = distances.map((distance, index) => index).sort((a, b) => distances[a] - distances[b]);
+    const regret = order.length > 1 ? distances[order[1]] - distances[order[0]] : 0;
+    return { point, order, regret };
+  });
+
+  ranked.sort((a, b) => (b.regret - a.regret) || a.point.id.localeCompare(b.point.id));
+
+  const assignment = new Map();
+  ranked.forEach(({ point, order }) => {
+    // If nothing has room (one very busy client), fall back to the least loaded zone
+    const roomy = order.find(index => loads[index] + point.weight <= capacity);
+    const zone = roomy !== undefined ? roomy : loads.indexOf(Math.min(...loads));
+
+    assignment.set(point.id, zone);
+    loads[zone] += point.weight;
+  });
+
+  return assignment;
+};
+
+// Every ordering of the given items (only used for up to 7 weekdays)
+const permutations = (items) => {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+  );
+};
+
+// Match zones to weekdays so the fewest weekly visits change day
+const matchZonesToWeekdays = (zones, weekdays) => {
+  let best = null;
+
+  permutations(weekdays).forEach(order => {
+    const moved = zones.reduce((sum, zone, index) =>
+      sum + zone.members.reduce((count, member) =>
+        count + (member.currentWeekday === order[index] ? 0 : member.weight), 0), 0);
+
+    if (!best || moved < best.moved) {
+      best = { order, moved };
+    }
+  });
+
+  return best.order;
+};
+
+// The weekday a client is usually seen on now, from their upcoming appointments
+const usualWeekday = (appointments) => {
+  const counts = new Map();
+  appointments.forEach(appointment => {
+    const day = appointment.date.getDay();
+    counts.set(day, (counts.get(day) || 0) + 1);
+  });
+
+  let usual = null;
+  counts.forEach((count, day) => {
+    if (usual === null || count > counts.get(usual)) usual = day;
+  });
+  return usual;
+};
+
+// Monday-based week number, used to count visits per week
+const weekOf = (date) => {
+  const monday = new Date(date);
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return Math.round(monday.getTime() / DAY_MS / 7);
+};
+
+// Propose a weekday for each regular client
+// clients: [{ id, name, address: { coordinates } }]
+// appointments: upcoming scheduled appointments; clients are weighted by how
+//   many visits they have a week, and those seen more than once in a week
+//   (e.g. daily walks) can't be tied to one day so are left out
+// weekdays: day numbers to spread clients over, e.g. [1, 2, 3, 4, 5]
+// Options: capacitySlack, maxIterations
+// Returns { zones: [{ weekday, label, color, clientIds, visitsPerWeek, centroid }],
+//   assignments: { clientId: weekday }, skipped: [{ clientId, name, reason }], changedClients }
+export const proposeTerritories = (clients, appointments, weekdays = DEFAULT_WORKING_WEEKDAYS, options = {}) => {
+  const settings = { ...DEFAULT_CLUSTERING_OPTIONS, ...options };
+
+  if (weekdays.length === 0) {
+    throw new Error('Choose at least one weekday to plan zones for');
+  }
+
+  const skipped = [];
+  const points = [];
+
+  clients.forEach(client => {
+    const clientAppointments = appointments.filter(appointment => appointment.clientId === client.id);
+
+    if (!client.address || !client.address.coordinates) {
+      skipped.push({ clientId: client.id, name: client.name, reason: 'No address on the map' });
+      return;
+    }
+
+    if (clientAppointments.length === 0) {
+      skipped.push({ clientId: client.id, name: client.name, reason: 'No upcoming appointments' });
+      return;
+    }
+
+    const visitsByWeek = new Map();
+    clientAppointments.forEach(appointment => {
+      const week = weekOf(appointment.date);
+      visitsByWeek.set(week, (visitsByWeek.get(week) || 0) + 1);
+    });
+
+    if (Math.max(...visitsByWeek.values()) > 1) {
+      skipped.push({ clientId: client.id, name: client.name, reason: 'Visited on several days a week' });
+      return;
+    }
+
+    points.push({
+      id: client.id,
+      coordinates: client.address.coordinates,
+      weight: clientAppointments.length / visitsByWeek.size, // visits a week
+      currentWeekday: usualWeekday(clientAppointments),
+    });
+  });
+
+  if (points.length === 0) {
+    return { zones: [], assignments: {}, skipped, changedClients: 0 };
+  }
+
+  const zoneCount = Math.min(weekdays.length, points.length);
+  const totalWeight = points.reduce((sum, point) => sum + point.weight, 0);
+  const capacity = (totalWeight / zoneCount) * (1 + settings.capacitySlack);
+
+  let centroids = initialCentroids(points, zoneCount);
+  let assignment = null;
+
+  for (let iteration = 0; iteration < settings.maxIterations; iteration++) {
+    const next = assignWithCapacity(points, centroids, capacity);
+    const stable = assignment && points.every(point => assignment.get(point.id) === next.get(point.id));
+    assignment = next;
+
+    if (stable) break;
+
+    centroids = centroids.map((centre, zone) => {
+      const members = points.filter(point => assignment.get(point.id) === zone);
+      return members.length > 0 ? centroidOf(members) : centre;
+    });
+  }
+
+  const clusters = centroids.map((centroid, zone) => ({
+    centroid,
+    members: points.filter(point => assignment.get(point.id) === zone),
+  }));
+
+  const order = matchZonesToWeekdays(clusters, [...weekdays].sort((a, b) => a - b));
+  const assignments = {};
+
+  const zones = clusters.map((cluster, index) => {
+    const weekday = order[index];
+    cluster.members.forEach(member => {
+      assignments[member.id] = weekday;
+    });
+
+    return {
+      weekday,
+      label: WEEKDAY_LABELS[weekday],
+      color: ZONE_COLORS[weekday],
+      clientIds: cluster.members.map(member => member.id),
+      visitsPerWeek: cluster.members.reduce((sum, member) => sum + member.weight, 0),
+      centroid: cluster.centroid,
+    };
+  }).sort((a, b) => a.weekday - b.weekday);
+
+  return {
+    zones,
+    assignments,
+    skipped,
+    changedClients: points.filter(point => point.currentWeekday !== assignments[point.id]).length,
+  };
+};
+
+// Appointment moves that put each client's visits on their new weekday
+// Each visit moves within its own week, keeping its time of day; a visit that
+// would land before `now` goes to the following week instead
+// Returns [{ appointmentId, clientId, from, to }]
+export const planWeekdayMoves = (appointments, assignments, now = new Date()) =>
+  appointments
+    .filter(appointment =>
+      assignments[appointment.clientId] !== undefined &&
+      appointment.date.getDay() !== assignments[appointment.clientId])
+    .map(appointment => {
+      const from = appointment.date;
+      const weekday = assignments[appointment.clientId];
+      const to = new Date(from);
+      to.setDate(to.getDate() + (((weekday + 6) % 7) - ((from.getDay() + 6) % 7)));
+
+      if (to < now) {
+        to.setDate(to.getDate() + 7);
+      }
+
+      return { appointmentId: appointment.id, clientId: appointment.clientId, from, to };
+    });
+
+export default {
+  WEEKDAY_LABELS,
+  DEFAULT_WORKING_WEEKDAYS,
+  DEFAULT_CLUSTERING_OPTIONS,
+  ZONE_COLORS,
+  proposeTerritories,
+  planWeekdayMoves,
+};
@@ -0,0 +1,157 @@
+/**
+ * Traffic speed profiles for FetchRoute
+ * A profile gives the average driving speed (km/h) for every hour of every day of
+ * the week, so a leg driven at 5pm on a Friday takes longer than the same leg at
+ * 10am on a Sunday. Leg durations are worked out by driving the leg's distance
+ * through the profile from the departure time, hour by hour.
+ *
+ * Profiles are stored as { name, speeds: { sun: [24 speeds], mon: [...], ... } }
+ * (Firestore can't hold nested arrays, hence one array per day).
+ */
+
+export const TRAFFIC_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const TRAFFIC_DAY_LABELS = {
+  sun: 'Sun',
+  mon: 'Mon',
+  tue: 'Tue',
+  wed: 'Wed',
+  thu: 'Thu',
+  fri: 'Fri',
+  sat: 'Sat',
+};
+
+// Name given to a profile once the user edits a preset
+export const CUSTOM_PROFILE_NAME = 'custom';
+
+// Speed used for any hour a profile is missing
+const FALLBACK_SPEED = 30; // km/h
+
+const isWeekend = (day) => day === 'sun' || day === 'sat';
+
+const buildSpeeds = (weekday, weekend) =>
+  TRAFFIC_DAYS.reduce((speeds, day) => ({
+    ...speeds,
+    [day]: [...(isWeekend(day) ? weekend : weekday)],
+  }), {});
+
+// Hourly speeds from midnight to 11pm; weekday rush hours are around 7-9am and 4-6pm
+export const TRAFFIC_PRESETS = {
+  urban: {
+    name: 'urban',
+    label: 'Urban',
+    speeds: buildSpeeds(
+      [40, 40, 40, 40, 38, 34, 26, 18, 17, 22, 26, 25, 24, 25, 25, 22, 17, 15, 18, 24, 28, 32, 36, 38],
+      [40, 40, 40, 40, 40, 38, 36, 34, 31, 28, 26, 25, 24, 24, 25, 25, 26, 26, 27, 29, 32, 35, 38, 40]
+    ),
+  },
+  suburban: {
+    name: 'suburban',
+    label: 'Suburban',
+    speeds: buildSpeeds(
+      [55, 55, 55, 55, 52, 46, 36, 28, 27, 34, 40, 39, 38, 39, 38, 34, 28, 26, 31, 38, 44, 48, 52, 55],
+      [55, 55, 55, 55, 55, 52, 50, 47, 44, 41, 39, 38, 37, 37, 38, 39, 40, 41, 43, 45, 48, 51, 54, 55]
+    ),
+  },
+  rural: {
+    name: 'rural',
+    label: 'Rural',
+    speeds: buildSpeeds(
+      [70, 70, 70, 70, 68, 64, 58, 54, 54, 60, 63, 62, 62, 62, 62, 60, 55, 54, 58, 63, 66, 68, 70, 70],
+      [70, 70, 70, 70, 70, 68, 67, 66, 64, 62, 61, 60, 60, 60, 61, 61, 62, 62, 63, 64, 66, 68, 70, 70]
+    ),
+  },
+};
+
+export const DEFAULT_TRAFFIC_PROFILE = TRAFFIC_PRESETS.urban;
+
+// Display name for a profile
+export const getTrafficProfileLabel = (profile) => {
+  if (!profile) return null;
+  const preset = TRAFFIC_PRESETS[profile.name];
+  return preset ? preset.label : 'Custom';
+};
+
+// Average speed at a moment in time
+export const getSpeedAt = (profile, date) => {
+  const hours = profile.speeds[TRAFFIC_DAYS[date.getDay()]];
+  const speed = hours ? hours[date.getHours()] : null;
+  return speed > 0 ? speed : FALLBACK_SPEED;
+};
+
+// Minutes to drive a distance (km) leaving at departureTime
+// The speed changes at each hour boundary the leg crosses
+export const getTravelMinutes = (profile, distance, departureTime) => {
+  let remaining = distance;
+  let clock = new Date(departureTime).getTime();
+  let minutes = 0;
+
+  while (remaining > 0) {
+    const now = new Date(clock);
+    const speed = getSpeedAt(profile, now);
+    const nextHour = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours() + 1).getTime();
+    const hoursLeft = (nextHour - clock) / 3600000;
+
+    if (speed * hoursLeft >= remaining) {
+      minutes += (remaining / speed) * 60;
+      break;
+    }
+
+    minutes += hoursLeft * 60;
+    remaining -= speed * hoursLeft;
+    clock = nextHour;
+  }
+
+  return minutes;
+};
+
+// Set one hour of one day, returning a new (custom) profile
+export const setProfileSpeed = (profile, day, hour, speed) => ({
+  name: CUSTOM_PROFILE_NAME,
+  speeds: {
+    ...profile.speeds,
+    [day]: profile.speeds[day].map((value, index) => (index === hour ? speed : value)),
+  },
+});
+
+// Copy one day's speeds to every other weekday (Mon-Fri), returning a new (custom) profile
+export const copyDayToWeekdays = (profile, day) => ({
+  name: CUSTOM_PROFILE_NAME,
+  speeds: TRAFFIC_DAYS.reduce((speeds, other) => ({
+    ...speeds,
+    [other]: isWeekend(other) ? [...profile.speeds[other]] : [...profile.speeds[day]],
+  }), {}),
+});
+
+// Make sure a profile has a positive speed for every hour of the week
+export const validateTrafficProfile = (profile) => {
+  if (!profile || !profile.speeds) {
+    throw new Error('A traffic profile needs speeds for every day');
+  }
+
+  TRAFFIC_DAYS.forEach(day => {
+    const hours = profile.speeds[day];
+
+    if (!Array.isArray(hours) || hours.length !== 24) {
+      throw new Error(`${TRAFFIC_DAY_LABELS[day]} needs a speed for each of the 24 hours`);
+    }
+
+    if (hours.some(speed => !(speed > 0) || speed > 200)) {
+      throw new Error(`${TRAFFIC_DAY_LABELS[day]} has a speed that isn't between 1 and 200 km/h`);
+    }
+  });
+};
+
+export default {
+  TRAFFIC_DAYS,
+  TRAFFIC_DAY_LABELS,
+  TRAFFIC_PRESETS,
+  DEFAULT_TRAFFIC_PROFILE,
+  CUSTOM_PROFILE_NAME,
+  getTrafficProfileLabel,
+  getSpeedAt,
+  getTravelMinutes,
+  setProfileSpeed,
+  copyDayToWeekdays,
+  validateTrafficProfile,
+};
@@ -0,0 +1,246 @@
+/**
+ * Team (multi-walker) route planning for FetchRoute
+ * Splits one day's appointments across several staff members, then optimizes
+ * each walker's stops with optimizeRoute
+ */
+
+import { formatAppointmentsForRouting, optimizeRouteSteps } from './routeOptimization';
+import { haversineMatrixProvider } from './distanceMatrix';
+import { timeOnDate } from './routeSchedule';
+import { runSync, runCooperatively, scaleProgress } from './optimizationRunner';
+import { getPriorityRank } from './appointmentPriority';
+
+// How appointments are shared out between walkers
+// distance: put each stop wherever it adds the fewest kilometers
+// workload: give each stop to whoever has the least work so far
+export const BALANCE_MODES = {
+  DISTANCE: 'distance',
+  WORKLOAD: 'workload',
+};
+
+// Reasons reported for appointments no walker can take
+export const UNASSIGNED_REASONS = {
+  OUTSIDE_SHIFTS: 'No staff member is working at this time',
+  CAPACITY: 'All available staff are at capacity',
+  SHIFT_LENGTH: 'Would run past the end of every available shift',
+};
+
+export { timeOnDate };
+
+// Whether a staff member has somewhere to start their route from
+export const hasStartLocation = (staffMember) =>
+  !!(staffMember && staffMember.startLocation && staffMember.startLocation.coordinates);
+
+// Starting point for a staff member's route
+export const getStaffStartPoint = (staffMember) => {
+  if (!hasStartLocation(staffMember)) {
+    throw new Error(`${staffMember.name || 'A staff member'} has no start location`);
+  }
+
+  return {
+    name: staffMember.name,
+    address: staffMember.startLocation.formatted || staffMember.startLocation.address || 'Start location',
+    coordinates: staffMember.startLocation.coordinates,
+    type: 'start',
+  };
+};
+
+// Drive time (minutes) of a closed tour from the start point through the stops and back
+const tourDuration = (startPoint, route, getLeg) => {
+  let duration = 0;
+  let currentPoint = startPoint;
+
+  for (const stop of route) {
+    duration += getLeg(currentPoint, stop).duration;
+    currentPoint = stop;
+  }
+
+  return route.length > 0 ? duration + getLeg(currentPoint, startPoint).duration : 0;
+};
+
+// Cheapest position to insert a stop into a closed tour, by added distance
+const cheapestInsertion = (startPoint, route, stop, getLeg) => {
+  let best = { position: 0, distance: Infinity };
+
+  for (let i = 0; i <= route.length; i++) {
+    const previous = i === 0 ? startPoint : route[i - 1];
+    const next = i === route.length ? startPoint : route[i];
+    const added =
+      getLeg(previous, stop).distance +
+      getLeg(stop, next).distance -
+      (route.length > 0 ? getLeg(previous, next).distance : 0);
+
+    if (added < best.distance) {
+      best = { position: i, distance: added };
+    }
+  }
+
+  return best;
+};
+
+// Assign appointments to staff members
+// Stops are handled by priority, then in time order, and inserted into whichever walker
+// scores best, respecting each walker's shift hours, shift length and capacity (max appointments)
+export const assignAppointmentsToStaff = (appointments, staff, options = {}) => {
+  const {
+    routeDate = appointments.length > 0 ? appointments[0].date : new Date(),
+    balance = BALANCE_MODES.DISTANCE,
+    matrixProvider = haversineMatrixProvider,
+  } = options;
+
+  if (!staff || staff.length === 0) {
+    throw new Error('At least one staff member is required for team planning');
+  }
+
+  // Fail before any work is shared out rather than part way through
+  staff.forEach(getStaffStartPoint);
+
+  const getLeg = matrixProvider.getLeg;
+  const appointmentsById = new Map(appointments.map(appointment => [appointment.id, appointment]));
+  const { destinations } = formatAppointmentsForRouting(appointments, getStaffStartPoint(staff[0]));
+
+  const assignments = staff.map(staffMember => {
+    const shiftStart = timeOnDate(routeDate, staffMember.shiftStart || '00:00');
+    const shiftEnd = timeOnDate(routeDate, staffMember.shiftEnd || '23:59');
+
+    return {
+      staffMember,
+      startPoint: getStaffStartPoint(staffMember),
+      shiftStart,
+      shiftEnd,
+      shiftLength: (shiftEnd - shiftStart) / 60000,
+      capacity: staffMember.capacity || Infinity,
+      route: [],
+      serviceTime: 0,
+      workload: 0,
+    };
+  });
+
+  const unassigned = [];
+  const stops = [...destinations].sort((a, b) =>
+    getPriorityRank(b) - getPriorityRank(a) || new Date(a.time) - new Date(b.time)
+  );
+
+  for (const stop of stops) {
+    const stopStart = new Date(stop.time);
+    const stopEnd = new Date(stopStart.getTime() + stop.duration * 60000);
+
+    let best = null;
+    let bestScore = Infinity;
+    let rejection = UNASSIGNED_REASONS.OUTSIDE_SHIFTS;
+
+    for (const assignment of assignments) {
+      if (stopStart < assignment.shiftStart || stopEnd > assignment.shiftEnd) {
+        continue;
+      }
+
+      if (assignment.route.length >= assignment.capacity) {
+        rejection = UNASSIGNED_REASONS.CAPACITY;
+        continue;
+      }
+
+      const insertion = cheapestInsertion(assignment.startPoint, assignment.route, stop, getLeg);
+      const candidateRoute = [...assignment.route];
+      candidateRoute.splice(insertion.position, 0, stop);
+
+      const workload =
+        assignment.serviceTime + stop.duration +
+        tourDuration(assignment.startPoint, candidateRoute, getLeg);
+
+      if (workload > assignment.shiftLength) {
+        if (rejection !== UNASSIGNED_REASONS.CAPACITY) {
+          rejection = UNASSIGNED_REASONS.SHIFT_LENGTH;
+        }
+        continue;
+      }
+
+      // Distance is still a small tie-breaker when balancing workload
+      const score = balance === BALANCE_MODES.WORKLOAD
+        ? workload + insertion.distance * 0.01
+        : insertion.distance;
+
+      if (score < bestScore) {
+        bestScore = score;
+        best = { assignment, route: candidateRoute, workload };
+      }
+    }
+
+    if (!best) {
+      unassigned.push({
+        appointmentId: stop.appointmentId,
+        clientName: stop.clientName,
+        scheduledTime: stop.time,
+        reason: rejection,
+      });
+      continue;
+    }
+
+    best.assignment.route = best.route;
+    best.assignment.serviceTime += stop.duration;
+    best.assignment.workload = best.workload;
+  }
+
+  return {
+    assignments: assignments.map(assignment => ({
+      staffMember: assignment.staffMember,
+      startPoint: assignment.startPoint,
+      shift: { end: assignment.shiftEnd, maxMinutes: assignment.shiftLength },
+      appointments: assignment.route.map(stop => appointmentsById.get(stop.appointmentId)),
+      workload: Math.round(assignment.workload),
+    })),
+    unassigned,
+  };
+};
+
+// Plan one optimized route per staff member for a day's appointments
+// Options: balance, routeDate, matrixProvider, plus anything optimizeRoute accepts
+export function* planTeamRoutesSteps(appointments, staff, options = {}) {
+  const { assignments, unassigned } = assignAppointmentsToStaff(appointments, staff, options);
+  const active = assignments.filter(assignment => assignment.appointments.length > 0);
+
+  const plans = [];
+  for (let i = 0; i < active.length; i++) {
+    const assignment = active[i];
+    const optimizedRoute = yield* scaleProgress(
+      optimizeRouteSteps(assignment.appointments, assignment.startPoint, { ...options, shift: assignment.shift }),
+      i / active.length,
+      (i + 1) / active.length
+    );
+
+    plans.push({
+      staffMember: assignment.staffMember,
+      workload: assignment.workload,
+      appointments: assignment.appointments,
+      optimizedRoute,
+    });
+
+    // Stops that made it onto a walker but not into their real timeline
+    unassigned.push(...optimizedRoute.unscheduled);
+  }
+
+  const totalDistance = plans.reduce((sum, plan) => sum + plan.optimizedRoute.totalDistance, 0);
+
+  return { plans, unassigned, totalDistance };
+}
+
+export const planTeamRoutes = (appointments, staff, options) =>
+  runSync(planTeamRoutesSteps(appointments, staff, options));
+
+// Cooperative version of planTeamRoutes; accepts onProgress and signal like optimizeRouteAsync
+export const planTeamRoutesAsync = (appointments, staff, options = {}) =>
+  runCooperatively(planTeamRoutesSteps(appointments, staff, options), {
+    onProgress: options.onProgress,
+    signal: options.signal,
+  });
+
+export default {
+  BALANCE_MODES,
+  UNASSIGNED_REASONS,
+  timeOnDate,
+  hasStartLocation,
+  getStaffStartPoint,
+  assignAppointmentsToStaff,
+  planTeamRoutes,
+  planTeamRoutesSteps,
+  planTeamRoutesAsync,
+};